@@ -12,6 +12,7 @@ import {
   StyleSheet,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import GroupAvatar from '../../components/GroupAvatar';
 import { ChatContext } from '../../src/context/ChatContext';
 
 export default function ChatScreen() {
@@ -19,9 +20,11 @@ export default function ChatScreen() {
   const {
     primaryChats,
     secondaryChats,
+    groups,
     onlineUsers,
     loading,
     loadChats,
+    loadGroups,
     moveToPrimary,
     moveToSecondary,
     deleteChat,
@@ -29,7 +32,7 @@ export default function ChatScreen() {
     muteChat,
   } = useContext(ChatContext);
 
-  const [activeTab, setActiveTab] = useState('primary'); // 'primary' or 'secondary'
+  const [activeTab, setActiveTab] = useState('primary'); // 'primary', 'secondary' or 'groups'
   const [contextMenuVisible, setContextMenuVisible] = useState(false);
   const [selectedChat, setSelectedChat] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
@@ -41,10 +44,17 @@ export default function ChatScreen() {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await loadChats();
+    await (activeTab === 'groups' ? loadGroups() : loadChats());
     setRefreshing(false);
   };
 
+  const handleGroupPress = (group) => {
+    router.push({
+      pathname: '/chat-conversation',
+      params: { roomId: group._id, userName: group.name, isGroup: 'true' },
+    });
+  };
+
   const handleChatPress = (chat) => {
     // Handle different structures: primary has direct user, secondary has nested user
     const userObj = chat.user || chat;
@@ -97,14 +107,19 @@ export default function ChatScreen() {
   };
 
   const filteredChats = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    if (activeTab === 'groups') {
+      const list = groups || [];
+      return q ? list.filter((g) => (g.name || '').toLowerCase().includes(q)) : list;
+    }
+
     const list = (activeTab === 'primary' ? primaryChats : secondaryChats) || [];
-    if (!query.trim()) return list;
-    const q = query.toLowerCase();
+    if (!q) return list;
     return list.filter((c) => {
       const userObj = c.user || c;
       return (userObj.U_Id || '').toLowerCase().includes(q);
     });
-  }, [activeTab, primaryChats, secondaryChats, query]);
+  }, [activeTab, primaryChats, secondaryChats, groups, query]);
 
   // Relative time formatter for last message timestamp
   const formatRelativeTime = (iso) => {
@@ -256,6 +271,55 @@ export default function ChatScreen() {
     );
   };
 
+  const renderGroupItem = ({ item }) => {
+    const unread = item.unreadCount > 0;
+    const lastTime = formatRelativeTime(item.lastMessageTime);
+    const lastMessageRaw = item.lastMessage || `${item.members?.length || 0} members`;
+    const lastMessage =
+      lastMessageRaw.length > 80 ? `${lastMessageRaw.slice(0, 77)}…` : lastMessageRaw;
+
+    return (
+      <TouchableOpacity
+        onPress={() => handleGroupPress(item)}
+        onLongPress={() => router.push({ pathname: '/group-info', params: { groupId: item._id } })}
+        className={`flex-row items-center rounded-3xl mb-3 px-4 py-3 border active:opacity-75 ${
+          unread ? 'bg-dark-card/90 border-blue-600/40' : 'bg-dark-surface/90 border-dark-border'
+        }`}
+      >
+        <View className="relative mr-4">
+          <GroupAvatar avatarId={item.avatarId} size={56} />
+          {unread && (
+            <View className="absolute -top-1 -right-1 bg-red-500 rounded-full min-w-5 h-5 px-1 justify-center items-center border-2 border-dark-surface">
+              <Text className="text-white text-[10px] font-bold">
+                {item.unreadCount > 9 ? '9+' : item.unreadCount}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        <View className="flex-1 mr-3">
+          <Text
+            className={`text-base font-semibold mb-1 ${unread ? 'text-white' : 'text-dark-text-primary'}`}
+            numberOfLines={1}
+          >
+            {item.name || 'Group'}
+          </Text>
+          <Text
+            className={`text-sm ${unread ? 'text-blue-100 font-medium' : 'text-dark-text-muted'}`}
+            numberOfLines={1}
+          >
+            {lastMessage}
+          </Text>
+        </View>
+
+        <View className="items-end justify-between h-14 py-1">
+          <Text className="text-[11px] text-dark-text-muted">{lastTime}</Text>
+          <Ionicons name="chevron-forward" size={18} color="#6B7280" />
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
   if (loading) {
     return (
       <View className="flex-1 justify-center items-center bg-dark-bg">
@@ -271,7 +335,7 @@ export default function ChatScreen() {
         <View className="flex-row items-end justify-between mb-3">
           <Text className="text-2xl font-bold text-dark-text-primary">Chats</Text>
           <Text className="text-xs text-dark-text-muted">
-            {primaryChats.length + secondaryChats.length} total
+            {primaryChats.length + secondaryChats.length + groups.length} total
           </Text>
         </View>
 
@@ -360,6 +424,28 @@ export default function ChatScreen() {
               )}
             </View>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={() => setActiveTab('groups')}
+            className={`flex-1 py-3 rounded-xl ${
+              activeTab === 'groups' ? 'bg-dark-accent-blue' : 'bg-transparent'
+            }`}
+          >
+            <View className="flex-row justify-center items-center">
+              <Ionicons
+                name="people"
+                size={16}
+                color={activeTab === 'groups' ? '#fff' : '#9CA3AF'}
+              />
+              <Text
+                className={`ml-2 font-semibold ${
+                  activeTab === 'groups' ? 'text-white' : 'text-dark-text-muted'
+                }`}
+              >
+                Groups
+              </Text>
+            </View>
+          </TouchableOpacity>
         </View>
       </View>
 
@@ -376,21 +462,29 @@ export default function ChatScreen() {
             colors={['#3B82F6']}
           />
         }
-        renderItem={renderChatItem}
+        renderItem={activeTab === 'groups' ? renderGroupItem : renderChatItem}
         ListEmptyComponent={
           <View className="items-center justify-center py-20">
             <Ionicons
-              name={activeTab === 'primary' ? 'star' : 'chatbubbles'}
+              name={
+                activeTab === 'primary' ? 'star' : activeTab === 'groups' ? 'people' : 'chatbubbles'
+              }
               size={64}
               color="#6B7280"
             />
             <Text className="text-dark-text-primary text-lg font-semibold mb-2 mt-4">
-              {activeTab === 'primary' ? 'No primary chats' : 'No secondary chats'}
+              {activeTab === 'primary'
+                ? 'No primary chats'
+                : activeTab === 'groups'
+                  ? 'No groups yet'
+                  : 'No secondary chats'}
             </Text>
             <Text className="text-dark-text-muted text-center px-10">
               {activeTab === 'primary'
                 ? 'Long press on any chat in Secondary to add here'
-                : 'All your chats will appear here'}
+                : activeTab === 'groups'
+                  ? 'Tap + to start a group with your contacts'
+                  : 'All your chats will appear here'}
             </Text>
           </View>
         }
@@ -406,11 +500,11 @@ export default function ChatScreen() {
       </TouchableOpacity>
 
       <TouchableOpacity
-        onPress={() => router.push('/explore')}
+        onPress={() => router.push(activeTab === 'groups' ? '/group-create' : '/explore')}
         className="absolute bottom-6 right-6 w-14 h-14 rounded-full bg-blue-600 justify-center items-center shadow-2xl"
         activeOpacity={0.85}
       >
-        <Ionicons name="person-add" size={24} color="#fff" />
+        <Ionicons name={activeTab === 'groups' ? 'add' : 'person-add'} size={24} color="#fff" />
       </TouchableOpacity>
 
       {/* Context Menu Modal */}
@@ -1,12 +1,56 @@
-import { useContext } from 'react';
+import { useRouter } from 'expo-router';
+import { useContext, useEffect, useState } from 'react';
 import { Text, View, ScrollView, TouchableOpacity, Linking, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { ChatContext } from '../../src/context/ChatContext';
 import { AuthContext } from '../../src/context/AuthContext';
+import mediaCache, { MAX_BYTES_OPTIONS } from '../../src/services/mediaCache';
+
+const formatMegabytes = (bytes) =>
+  bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / (1024 * 1024 * 1024)).toFixed(bytes % (1024 * 1024 * 1024) ? 1 : 0)} GB`
+    : `${Math.round(bytes / (1024 * 1024))} MB`;
 
 export default function SettingScreen() {
   const { e2eeInitialized } = useContext(ChatContext);
   const { user } = useContext(AuthContext);
+  const router = useRouter();
+
+  // Decrypted media kept on this device
+  const [cacheUsage, setCacheUsage] = useState({ files: 0, bytes: 0 });
+  const [cacheMaxBytes, setCacheMaxBytes] = useState(null);
+
+  const refreshCache = async () => {
+    setCacheUsage(await mediaCache.getUsage());
+    setCacheMaxBytes(await mediaCache.getMaxBytes());
+  };
+
+  useEffect(() => {
+    refreshCache();
+  }, []);
+
+  const changeCacheSize = async (maxBytes) => {
+    await mediaCache.setMaxBytes(maxBytes);
+    await refreshCache();
+  };
+
+  const clearMediaCache = () => {
+    Alert.alert(
+      'Clear Media Cache',
+      'Decrypted photos and files are removed from this device. Media whose key was already used cannot be decrypted again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await mediaCache.clear();
+            await refreshCache();
+          },
+        },
+      ],
+    );
+  };
 
   const openPrivacyPolicy = async () => {
     const url = 'https://whisp-legal.vercel.app/privacy-policy.html';
@@ -42,12 +86,21 @@ export default function SettingScreen() {
               {user?.U_Id || 'Loading...'}
             </Text>
           </View>
-          <View className="mt-3 p-2 bg-yellow-900/20 rounded-lg border border-yellow-700">
-            <Text className="text-xs text-yellow-300">
-              ⚠️ Single Device Login: Logging in on another device will automatically log you out
-              here.
-            </Text>
-          </View>
+          <TouchableOpacity
+            onPress={() => router.push('/linked-devices')}
+            className="flex-row items-center justify-between p-3 bg-dark-bg rounded-lg mt-3"
+          >
+            <View className="flex-row items-center flex-1">
+              <Ionicons name="phone-portrait-outline" size={20} color="#3B82F6" />
+              <View className="ml-3 flex-1">
+                <Text className="text-sm text-dark-text-primary">Linked Devices</Text>
+                <Text className="text-xs text-dark-text-muted">
+                  Use WhispChat on several devices - each has its own encryption keys
+                </Text>
+              </View>
+            </View>
+            <Ionicons name="chevron-forward" size={18} color="#6B7280" />
+          </TouchableOpacity>
         </View>
 
         {/* E2EE Status Section */}
@@ -87,6 +140,55 @@ export default function SettingScreen() {
           </View>
         </View>
 
+        {/* Media Storage Section */}
+        <View className="bg-dark-surface rounded-lg p-4 mb-4">
+          <Text className="text-lg font-semibold mb-3 text-dark-text-primary">
+            🗂️ Media Storage
+          </Text>
+          <Text className="text-xs text-dark-text-muted mb-3">
+            Decrypted photos and files are kept on this device. When the cache is full the least
+            recently viewed ones are removed first.
+          </Text>
+
+          <Text className="text-sm text-dark-text-secondary mb-2">Cache size</Text>
+          <View className="flex-row mb-3">
+            {MAX_BYTES_OPTIONS.map((maxBytes) => (
+              <TouchableOpacity
+                key={maxBytes}
+                onPress={() => changeCacheSize(maxBytes)}
+                className={`flex-1 py-2 mr-2 rounded-lg items-center ${
+                  cacheMaxBytes === maxBytes ? 'bg-blue-600' : 'bg-dark-bg'
+                }`}
+              >
+                <Text
+                  className={`text-xs ${
+                    cacheMaxBytes === maxBytes
+                      ? 'text-white font-semibold'
+                      : 'text-dark-text-primary'
+                  }`}
+                >
+                  {formatMegabytes(maxBytes)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            onPress={clearMediaCache}
+            className="flex-row items-center justify-between p-3 bg-dark-bg rounded-lg"
+          >
+            <View className="flex-row items-center flex-1">
+              <Ionicons name="trash-outline" size={20} color="#EF4444" />
+              <View className="ml-3 flex-1">
+                <Text className="text-sm text-dark-text-primary">Clear Media Cache</Text>
+                <Text className="text-xs text-dark-text-muted">
+                  {cacheUsage.files} files, {formatMegabytes(cacheUsage.bytes)} used
+                </Text>
+              </View>
+            </View>
+          </TouchableOpacity>
+        </View>
+
         {/* Legal & Privacy Section */}
         <View className="bg-dark-surface rounded-lg p-4 mb-4">
           <Text className="text-lg font-semibold mb-3 text-dark-text-primary">
@@ -22,10 +22,15 @@ function RootNavigator() {
       {/* Auth screens */}
       <Stack.Screen name="auth/index" />
       <Stack.Screen name="auth/verify" />
+      <Stack.Screen name="auth/link-device" />
 
       {/* Authenticated screens */}
       <Stack.Screen name="(tabs)" />
       <Stack.Screen name="chat-conversation" />
+      <Stack.Screen name="safety-number" />
+      <Stack.Screen name="linked-devices" />
+      <Stack.Screen name="group-create" />
+      <Stack.Screen name="group-info" />
       <Stack.Screen name="temp-session" />
       <Stack.Screen name="feedback" />
     </Stack>
@@ -38,4 +43,4 @@ function RootNavigator() {
       <RootNavigator />
     </ChatProvider>
   </AuthProvider>
-</ErrorBoundary>
+</ErrorBoundary>;
@@ -200,6 +200,17 @@ export default function AuthScreen() {
           )}
         </TouchableOpacity>
 
+        {/* Link to an account that is logged in elsewhere */}
+        <TouchableOpacity
+          onPress={() => router.push('/auth/link-device')}
+          disabled={loading}
+          className="items-center mt-4"
+        >
+          <Text className="text-sm text-dark-accent-blue font-semibold">
+            Already use WhispChat? Link this device
+          </Text>
+        </TouchableOpacity>
+
         {/* Test Credentials Info */}
         <View className="bg-blue-900/20 border border-blue-700 rounded-xl p-4 mt-4">
           <Text className="text-xs text-blue-400 font-semibold mb-1">
@@ -0,0 +1,163 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useContext, useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import QRScannerModal from '../../components/QRScannerModal';
+import { AuthContext } from '../../src/context/AuthContext';
+import deviceLinking from '../../src/services/deviceLinking';
+
+/**
+ * Link this device to an account that is logged in on another device (no OTP)
+ * Scan the code from Settings → Linked Devices on the other device (or paste it when
+ * the camera can't be used), compare the verification code and wait for the approval.
+ */
+export default function LinkDeviceScreen() {
+  const router = useRouter();
+  const { completeDeviceLink } = useContext(AuthContext);
+
+  const [showScanner, setShowScanner] = useState(false);
+  const [pastedCode, setPastedCode] = useState('');
+  const [verificationCode, setVerificationCode] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Leaving the screen stops waiting for the approval
+  useEffect(() => () => deviceLinking.cancelJoin(), []);
+
+  const handleScanned = async (data) => {
+    const link = deviceLinking.parseQrPayload(data?.trim());
+    if (!link) {
+      Alert.alert('Not a Link Code', 'Use the code from Settings → Linked Devices.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const { verificationCode: code } = await deviceLinking.requestLink(link);
+      setVerificationCode(code);
+
+      const approval = await deviceLinking.waitForApproval();
+      if (!approval) return; // Cancelled
+
+      const result = await completeDeviceLink(approval);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      router.replace('/(tabs)/profile');
+    } catch (err) {
+      console.error('❌ Device linking failed:', err);
+      setVerificationCode(null);
+      setError(err.message || 'Linking failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startScan = () => {
+    setError(null);
+    setShowScanner(true);
+  };
+
+  const cancel = () => {
+    deviceLinking.cancelJoin();
+    setVerificationCode(null);
+    setLoading(false);
+  };
+
+  return (
+    <View className="flex-1 bg-dark-bg dark">
+      <View className="flex-1 justify-center px-6">
+        {/* Header */}
+        <View className="items-center mb-10">
+          <View className="w-20 h-20 bg-dark-accent-blue rounded-full items-center justify-center mb-4 shadow-lg">
+            <Ionicons name="phone-portrait" size={40} color="#fff" />
+          </View>
+          <Text className="text-3xl font-bold text-dark-text-primary mb-2">Link Device</Text>
+          <Text className="text-base text-dark-text-secondary text-center">
+            On your other device, open Settings → Linked Devices → Link New Device and scan the code
+            shown there
+          </Text>
+        </View>
+
+        {verificationCode ? (
+          <View className="bg-dark-surface rounded-2xl p-6 shadow-xl border border-dark-border mb-6 items-center">
+            <Text className="text-sm font-semibold text-dark-text-primary mb-3">
+              Verification Code
+            </Text>
+            <Text
+              className="text-3xl text-dark-text-primary mb-4"
+              style={{ fontFamily: 'monospace', letterSpacing: 6 }}
+            >
+              {verificationCode}
+            </Text>
+            <Text className="text-xs text-dark-text-muted text-center mb-4">
+              Approve on your other device only if it shows the same code.
+            </Text>
+            <View className="flex-row items-center">
+              <ActivityIndicator color="#3B82F6" />
+              <Text className="text-sm text-dark-text-secondary ml-2">Waiting for approval...</Text>
+            </View>
+          </View>
+        ) : (
+          <>
+            <TouchableOpacity
+              onPress={startScan}
+              disabled={loading}
+              className={`rounded-xl py-4 items-center shadow-lg ${
+                loading ? 'bg-dark-border' : 'bg-dark-accent-blue'
+              }`}
+            >
+              {loading ? (
+                <ActivityIndicator color="#ffffff" />
+              ) : (
+                <Text className="text-white text-base font-bold">Scan Code</Text>
+              )}
+            </TouchableOpacity>
+
+            {/* No camera - paste the code copied on the other device */}
+            <Text className="text-sm text-dark-text-secondary mt-6 mb-2">Or paste the code</Text>
+            <View className="flex-row items-center">
+              <TextInput
+                value={pastedCode}
+                onChangeText={setPastedCode}
+                placeholder="whispchat-link:..."
+                placeholderTextColor="#64748B"
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!loading}
+                className="flex-1 bg-dark-surface border border-dark-border rounded-xl px-4 py-3 text-dark-text-primary"
+              />
+              <TouchableOpacity
+                onPress={() => handleScanned(pastedCode)}
+                disabled={loading || !pastedCode.trim()}
+                className="ml-2 bg-dark-surface border border-dark-border rounded-xl px-4 py-3"
+              >
+                <Text className="text-dark-text-primary font-medium">Link</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        {error && <Text className="text-red-400 mt-3 text-xs text-center">{error}</Text>}
+
+        <TouchableOpacity
+          onPress={() => {
+            cancel();
+            router.back();
+          }}
+          className="mt-6 items-center"
+        >
+          <Text className="text-sm text-dark-text-secondary">Log in with phone number instead</Text>
+        </TouchableOpacity>
+      </View>
+
+      <QRScannerModal
+        visible={showScanner}
+        onClose={() => setShowScanner(false)}
+        onScanned={handleScanned}
+        title="Scan the code on your other device"
+      />
+    </View>
+  );
+}
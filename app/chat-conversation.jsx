@@ -15,11 +15,20 @@ import {
 } from 'react-native';
 // File & picker modules (ensure installed in package.json)
 import * as DocumentPicker from 'expo-document-picker';
-import * as FileSystem from 'expo-file-system';
+import { Image as ExpoImage } from 'expo-image';
+import * as FileSystem from 'expo-file-system/legacy';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
+import { getGroupAvatarIcon } from '../components/GroupAvatar';
+import ProgressRing from '../components/ProgressRing';
 import { ChatContext } from '../src/context/ChatContext';
 import { AuthContext } from '../src/context/AuthContext';
+import identityTrust, { TRUST_STATES } from '../src/services/identityTrust';
+import mediaCache, { AUTO_DECRYPT_MAX_BYTES } from '../src/services/mediaCache';
+import transferManager, {
+  TRANSFER_STATUS,
+  TransferCancelledError,
+} from '../src/services/transferManager';
 
 // Predefined Avatars (Ionicons names)
 const AVATARS = [
@@ -35,13 +44,61 @@ const AVATARS = [
   { id: 10, icon: 'glasses' },
 ];
 
+const PROGRESS_LABELS = {
+  encrypt: 'Encrypting',
+  upload: 'Uploading',
+  download: 'Downloading',
+  decrypt: 'Decrypting',
+};
+
+// Share of the current stage done (0..1)
+const transferProgress = ({ bytes, totalBytes }) =>
+  totalBytes > 0 ? Math.min(bytes / totalBytes, 1) : 0;
+
+const formatTransfer = (transfer) =>
+  transfer.status === TRANSFER_STATUS.FAILED
+    ? 'Interrupted - tap to retry'
+    : `${PROGRESS_LABELS[transfer.stage] || 'Processing'} ${Math.round(
+        transferProgress(transfer) * 100,
+      )}%`;
+
+// Bubble size of media - the preview's aspect ratio within limits
+const MEDIA_WIDTH = 180;
+const mediaSize = (preview) => {
+  if (!preview?.width || !preview?.height) return { width: MEDIA_WIDTH, height: MEDIA_WIDTH };
+  const height = Math.round((MEDIA_WIDTH * preview.height) / preview.width);
+  return { width: MEDIA_WIDTH, height: Math.min(Math.max(height, 120), 240) };
+};
+
+// expo-image sources of a decrypted preview (thumbnail, and its blurhash while that loads)
+const thumbnailSource = (preview) =>
+  preview?.thumbnail ? { uri: `data:image/jpeg;base64,${preview.thumbnail}` } : null;
+const blurhashSource = (preview) => (preview?.blurhash ? { blurhash: preview.blurhash } : null);
+
+// Received images small enough to decrypt without a tap (by the coarse size sent in the
+// clear - older messages carry the exact size)
+const shouldAutoDecrypt = (message, currentUserId) => {
+  const fileSize = Number(message.fileSizeBucket || message.fileSize);
+  return (
+    message.messageType === 'image' &&
+    !message.decryptionError &&
+    (message.senderId?._id || message.senderId) !== currentUserId &&
+    fileSize > 0 &&
+    fileSize <= AUTO_DECRYPT_MAX_BYTES
+  );
+};
+
 export default function ChatConversationScreen() {
   const router = useRouter();
-  const { userId, userName, roomId, isPublicRoom } = useLocalSearchParams();
+  const { userId, userName, roomId, isPublicRoom, isGroup } = useLocalSearchParams();
 
   const {
     activeChat,
+    groups,
     messages,
+    hasMoreMessages,
+    loadingOlderMessages,
+    loadOlderMessages,
     typingUsers,
     isConnected,
     loading,
@@ -49,6 +106,9 @@ export default function ChatConversationScreen() {
     openRoom,
     closeChat,
     sendMessage,
+    retryMessage,
+    retryTransfer,
+    cancelTransfer,
     deleteMessageForMe,
     deleteMessageForEveryone,
     reactToMessage,
@@ -64,14 +124,55 @@ export default function ChatConversationScreen() {
   const insets = useSafeAreaInsets();
   const [keyboardHeight, setKeyboardHeight] = useState(0);
   const flatListRef = useRef(null);
+  // Only follow new messages while the user is at the bottom (not while reading history)
+  const isAtBottomRef = useRef(true);
   const inputRef = useRef(null);
   const sendButtonScale = useRef(new Animated.Value(0.8)).current;
 
-  // Cache for decrypted media (messageId -> local URI)
+  // Decrypted media shown in this chat (messageId -> local URI) - files live in mediaCache
   const [decryptedMedia, setDecryptedMedia] = useState({});
-  const [decryptingMedia, setDecryptingMedia] = useState({}); // Track decryption in progress
+  // Encrypted media already looked up in the cache / queued for automatic decryption
+  const autoDecryptRef = useRef({ seen: new Set(), queue: Promise.resolve(), active: true });
+  // Decrypted metadata of file messages (messageId -> { thumbnail, blurhash, width, ... })
+  const [mediaPreviews, setMediaPreviews] = useState({});
+  const previewedRef = useRef(new Set());
+  // Running media transfers (transferManager) - upload placeholder / message ID -> progress
+  const [transfers, setTransfers] = useState({});
+  useEffect(() => transferManager.subscribe(setTransfers), []);
 
   const isRoomMode = isPublicRoom === 'true' || !!roomId;
+  const isGroupMode = isGroup === 'true';
+  const group = isGroupMode ? groups.find((g) => g._id === roomId) : null;
+
+  // Safety number trust state (verified badge / key change banner)
+  const [trustState, setTrustState] = useState(TRUST_STATES.UNVERIFIED);
+  const isVerified = trustState === TRUST_STATES.VERIFIED;
+  const isSendBlocked = trustState === TRUST_STATES.CHANGED;
+  useEffect(() => {
+    if (isRoomMode || !userId) return;
+
+    const refresh = async () => setTrustState(await identityTrust.getState(userId));
+    refresh();
+    return identityTrust.onChange((changedUserId) => {
+      if (changedUserId === userId) refresh();
+    });
+  }, [userId, isRoomMode]);
+
+  const openSafetyNumber = () => {
+    router.push({ pathname: '/safety-number', params: { userId, userName } });
+  };
+
+  const acceptNewIdentity = () => {
+    Alert.alert(
+      'Accept New Safety Number',
+      `${userName}'s safety number changed, likely because they reinstalled WhispChat or switched phones. Accept it to keep chatting, or verify it first.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Verify', onPress: openSafetyNumber },
+        { text: 'Accept', onPress: () => identityTrust.acceptIdentityChange(userId) },
+      ],
+    );
+  };
 
   // Animate send button when text changes
   useEffect(() => {
@@ -96,16 +197,29 @@ export default function ChatConversationScreen() {
     };
   }, [userId, userName, roomId, isRoomMode, openChat, openRoom, closeChat]);
 
-  // Auto scroll to bottom when new messages arrive
+  // Auto scroll to bottom when a new message is appended (not when older pages are prepended)
+  const lastMessageId = messages[messages.length - 1]?._id;
   useEffect(() => {
-    if (messages.length > 0) {
+    if (lastMessageId) {
       // Delayed scroll for smooth animation
       const timer = setTimeout(() => {
         flatListRef.current?.scrollToEnd({ animated: true });
       }, 50);
       return () => clearTimeout(timer);
     }
-  }, [messages]);
+  }, [lastMessageId]);
+
+  const handleScroll = ({ nativeEvent }) => {
+    const { contentOffset, contentSize, layoutMeasurement } = nativeEvent;
+    const distanceFromBottom = contentSize.height - layoutMeasurement.height - contentOffset.y;
+    isAtBottomRef.current = distanceFromBottom < 80;
+  };
+
+  const handleStartReached = () => {
+    if (hasMoreMessages && !loadingOlderMessages) {
+      loadOlderMessages();
+    }
+  };
 
   // Keyboard height tracking (Android & iOS)
   useEffect(() => {
@@ -149,6 +263,12 @@ export default function ChatConversationScreen() {
       return;
     }
 
+    // Keep the draft - it can be sent once the new key is accepted
+    if (isSendBlocked) {
+      acceptNewIdentity();
+      return;
+    }
+
     console.log('🚀 handleSendMessage called');
     console.log('📝 Message text:', messageText);
     console.log('🔌 Socket connected:', isConnected);
@@ -224,7 +344,13 @@ export default function ChatConversationScreen() {
       if (result.canceled) return;
       const file = result.assets?.[0];
       if (!file) return;
-      await uploadFileMessage({ uri: file.uri, name: file.name, mimeType: file.mimeType });
+      // Shows as a message with upload progress - see uploadFileMessage
+      await uploadFileMessage({
+        uri: file.uri,
+        name: file.name,
+        mimeType: file.mimeType,
+        size: file.size,
+      });
     } catch (e) {
       Alert.alert('Error', e.message || 'File selection failed');
     }
@@ -246,8 +372,10 @@ export default function ChatConversationScreen() {
 
   /**
    * Decrypt and display encrypted media
+   * @param {object} [options]
+   * @param {boolean} [options.auto] - Started automatically - no alerts
    */
-  const handleDecryptMedia = async (message) => {
+  const handleDecryptMedia = async (message, { auto = false } = {}) => {
     try {
       // Check if already decrypted
       if (decryptedMedia[message._id]) {
@@ -255,79 +383,48 @@ export default function ChatConversationScreen() {
         return;
       }
 
-      // Check if decryption in progress
-      if (decryptingMedia[message._id]) {
+      // Check if decryption in progress (a failed download continues where it stopped)
+      if (transferManager.get(message._id)?.status === TRANSFER_STATUS.ACTIVE) {
         console.log('⏳ Decryption already in progress');
         return;
       }
 
-      setDecryptingMedia((prev) => ({ ...prev, [message._id]: true }));
-
-      console.log('🔓 Decrypting media...', message.originalFileName);
-
-      // Import mediaEncryption and signalProtocol
       const mediaEncryption = (await import('../src/services/mediaEncryption')).default;
 
-      // Download encrypted blob from Cloudinary
-      console.log('📥 Downloading encrypted blob from:', message.mediaUrl);
-      const response = await fetch(message.mediaUrl);
-      const encryptedBlobArrayBuffer = await response.arrayBuffer();
-
-      // Convert ArrayBuffer to base64
-      const uint8Array = new Uint8Array(encryptedBlobArrayBuffer);
-      let binaryString = '';
-      for (let i = 0; i < uint8Array.length; i++) {
-        binaryString += String.fromCharCode(uint8Array[i]);
-      }
-      const encryptedBlobBase64 = btoa(binaryString);
-
-      // Get sender ID for session
-      const senderId = message.senderId?._id || message.senderId;
-
-      // Parse encryptedFileKey if it's a string
-      let encryptedFileKey = message.encryptedFileKey;
-      if (typeof encryptedFileKey === 'string') {
-        try {
-          encryptedFileKey = JSON.parse(encryptedFileKey);
-        } catch (_e) {
-          // Already an object
-        }
-      }
-
-      console.log('🔑 Decrypting file key...');
-      // Decrypt the file
-      const decryptedBytes = await mediaEncryption.decryptFile(
-        encryptedBlobBase64,
-        encryptedFileKey,
-        message.fileNonce,
-        senderId,
-      );
-
-      console.log('💾 Saving decrypted file...');
-      // Save to local filesystem
-      const localUri = await mediaEncryption.saveDecryptedFile(
-        decryptedBytes,
-        message.originalFileName || 'decrypted_file',
+      // The file name is in the encrypted metadata (older messages sent it in the clear)
+      const details = await mediaEncryption.decryptMetadata(message).catch(() => null);
+      const fileName = details?.fileName || message.originalFileName || 'decrypted_file';
+      console.log('🔓 Decrypting media...', fileName);
+
+      // Downloads to disk and decrypts chunk by chunk - never the whole file in memory.
+      // The file key only decrypts once, so the result goes straight into the media cache.
+      const localUri = await mediaCache.decryptOnce(message._id, fileName, (destination) =>
+        mediaEncryption.decryptFile(
+          {
+            mediaUrl: message.mediaUrl,
+            encryptedFileKey: message.encryptedFileKey,
+            fileNonce: message.fileNonce,
+            chunkSize: message.chunkSize,
+            senderId: message.senderId?._id || message.senderId,
+            senderDeviceId: message.senderDeviceId,
+            fileKey: message.fileKey,
+            fileName,
+          },
+          { transferId: message._id, destination },
+        ),
       );
 
       console.log('✅ File decrypted and saved:', localUri);
-
-      // Cache the decrypted URI
       setDecryptedMedia((prev) => ({ ...prev, [message._id]: localUri }));
-      setDecryptingMedia((prev) => {
-        const newState = { ...prev };
-        delete newState[message._id];
-        return newState;
-      });
 
-      Alert.alert('Success', 'Media decrypted successfully');
+      if (message.messageType === 'file' && !auto) {
+        Alert.alert('Saved', `${fileName} was decrypted and saved`);
+      }
     } catch (error) {
+      if (error instanceof TransferCancelledError) return;
       console.error('❌ Decryption failed:', error);
-      setDecryptingMedia((prev) => {
-        const newState = { ...prev };
-        delete newState[message._id];
-        return newState;
-      });
+      // Interrupted downloads stay on the bubble with a retry button
+      if (auto || transferManager.get(message._id)?.status === TRANSFER_STATUS.FAILED) return;
       Alert.alert(
         'Decryption Failed',
         error.message || 'Could not decrypt media. Keys may be missing.',
@@ -335,12 +432,103 @@ export default function ChatConversationScreen() {
     }
   };
 
+  // Show media decrypted before (also on earlier visits), then decrypt small received images
+  useEffect(() => {
+    const autoDecrypt = autoDecryptRef.current;
+    autoDecrypt.active = true;
+    return () => {
+      autoDecrypt.active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    const autoDecrypt = autoDecryptRef.current;
+    const pending = messages.filter(
+      (msg) =>
+        msg.mediaUrl && msg.encryptedFileKey && !msg.deleted && !autoDecrypt.seen.has(msg._id),
+    );
+    if (pending.length === 0) return;
+    pending.forEach((msg) => autoDecrypt.seen.add(msg._id));
+
+    mediaCache
+      .getMany(pending.map((msg) => msg._id))
+      .then((cached) => {
+        if (!autoDecrypt.active) return;
+        setDecryptedMedia((prev) => ({ ...cached, ...prev }));
+
+        pending
+          .filter((msg) => !cached[msg._id] && shouldAutoDecrypt(msg, user?._id))
+          .forEach((msg) => {
+            // One at a time - every decryption streams a whole file through disk
+            autoDecrypt.queue = autoDecrypt.queue.then(
+              () => autoDecrypt.active && handleDecryptMedia(msg, { auto: true }),
+            );
+          });
+      })
+      .catch((error) => console.error('❌ Failed to load cached media:', error));
+    // handleDecryptMedia only uses state setters and services
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, user?._id]);
+
+  // Previews sent with file messages - decrypted with the file key, no download needed
+  useEffect(() => {
+    const pending = messages.filter(
+      (msg) => msg.encryptedMetadata && msg.fileKey && !previewedRef.current.has(msg._id),
+    );
+    if (pending.length === 0) return;
+    pending.forEach((msg) => previewedRef.current.add(msg._id));
+
+    (async () => {
+      const mediaEncryption = (await import('../src/services/mediaEncryption')).default;
+      const previews = {};
+      for (const msg of pending) {
+        try {
+          previews[msg._id] = await mediaEncryption.decryptMetadata(msg);
+        } catch (error) {
+          console.warn('⚠️ Could not decrypt media preview:', error.message);
+        }
+      }
+      setMediaPreviews((prev) => ({ ...prev, ...previews }));
+    })();
+  }, [messages]);
+
+  /**
+   * Progress ring for a message's upload or download (cancel / retry in the middle)
+   */
+  const renderTransferRing = (message, transfer, size = 48) => {
+    const isUpload = transfer.direction === 'upload';
+    return (
+      <ProgressRing
+        progress={transferProgress(transfer)}
+        size={size}
+        failed={transfer.status === TRANSFER_STATUS.FAILED}
+        onCancel={() => cancelTransfer(transfer.id)}
+        onRetry={() => (isUpload ? retryTransfer(transfer.id) : handleDecryptMedia(message))}
+      />
+    );
+  };
+
   const renderMessage = ({ item: message }) => {
     const senderId = message.senderId?._id || message.senderId;
     const currentUserId = user?._id;
     const isMyMessage = senderId === currentUserId;
     const isDeleted = message.deleted || message.text === 'This message was deleted';
     if (message.hidden) return null; // Do not render hidden messages
+    const transfer = transfers[message.transferId || message._id];
+    const imageUri = message.localUri || decryptedMedia[message._id];
+    const preview = mediaPreviews[message._id];
+
+    // Local system notices (e.g. safety number changed)
+    if (message.messageType === 'system') {
+      return (
+        <View className="mb-3 px-6 items-center">
+          <View className="flex-row items-center bg-dark-surface border border-dark-border rounded-full px-3 py-1.5">
+            <Ionicons name="shield-half-outline" size={14} color="#F59E0B" />
+            <Text className="text-dark-text-muted text-xs ml-1.5">{message.text}</Text>
+          </View>
+        </View>
+      );
+    }
 
     return (
       <TouchableOpacity
@@ -359,6 +547,11 @@ export default function ChatConversationScreen() {
         }}
         className={`mb-3 px-4 ${isMyMessage ? 'items-end' : 'items-start'}`}
       >
+        {isRoomMode && !isMyMessage && message.senderId?.U_Id && (
+          <Text className="text-blue-400 text-xs font-semibold mb-1 ml-1">
+            {message.senderId.U_Id}
+          </Text>
+        )}
         <View
           className={`max-w-[75%] rounded-2xl p-3 ${
             activeChat?.isTemp
@@ -384,51 +577,76 @@ export default function ChatConversationScreen() {
             </Text>
           )}
 
-          {/* Encrypted Image Display */}
-          {message.messageType === 'image' && message.mediaUrl && message.encryptedFileKey && (
-            <View>
-              {decryptedMedia[message._id] ? (
-                // Show decrypted image
-                <Image
-                  source={{ uri: decryptedMedia[message._id] }}
-                  style={{ width: 180, height: 180, borderRadius: 12, marginBottom: 4 }}
-                  resizeMode="cover"
-                />
-              ) : (
-                // Show encrypted placeholder with decrypt button
-                <TouchableOpacity
-                  onPress={() => handleDecryptMedia(message)}
-                  disabled={decryptingMedia[message._id]}
-                  style={{
-                    width: 180,
-                    height: 180,
-                    borderRadius: 12,
-                    marginBottom: 4,
-                    backgroundColor: isMyMessage ? '#1E3A8A' : '#1F2937',
-                    justifyContent: 'center',
-                    alignItems: 'center',
-                    borderWidth: 1,
-                    borderColor: isMyMessage ? '#60A5FA' : '#374151',
-                  }}
-                >
-                  {decryptingMedia[message._id] ? (
-                    <View className="items-center">
-                      <ActivityIndicator size="large" color="#60A5FA" />
-                      <Text className="text-blue-300 text-xs mt-2">Decrypting...</Text>
-                    </View>
-                  ) : (
-                    <View className="items-center">
-                      <Ionicons name="lock-closed" size={32} color="#60A5FA" />
-                      <Text className="text-blue-300 text-xs mt-2 font-semibold">
-                        Encrypted Image
-                      </Text>
-                      <Text className="text-blue-400 text-xs mt-1">Tap to decrypt</Text>
-                    </View>
-                  )}
-                </TouchableOpacity>
-              )}
-            </View>
-          )}
+          {/* Encrypted Image Display (our own uploads show the local file) */}
+          {message.messageType === 'image' &&
+            (message.localUri || (message.mediaUrl && message.encryptedFileKey)) && (
+              <View>
+                {imageUri ? (
+                  // Show decrypted image
+                  <View>
+                    <ExpoImage
+                      source={{ uri: imageUri }}
+                      placeholder={thumbnailSource(preview) || blurhashSource(preview)}
+                      placeholderContentFit="cover"
+                      style={{ ...mediaSize(preview), borderRadius: 12, marginBottom: 4 }}
+                      contentFit="cover"
+                      transition={150}
+                    />
+                    {transfer && (
+                      <View className="absolute inset-0 justify-center items-center">
+                        {renderTransferRing(message, transfer)}
+                      </View>
+                    )}
+                  </View>
+                ) : (
+                  // Show encrypted placeholder (or the sender's preview) with decrypt button
+                  <TouchableOpacity
+                    onPress={() => handleDecryptMedia(message)}
+                    disabled={!!transfer}
+                    style={{
+                      ...mediaSize(preview),
+                      borderRadius: 12,
+                      marginBottom: 4,
+                      overflow: 'hidden',
+                      backgroundColor: isMyMessage ? '#1E3A8A' : '#1F2937',
+                      justifyContent: 'center',
+                      alignItems: 'center',
+                      borderWidth: 1,
+                      borderColor: isMyMessage ? '#60A5FA' : '#374151',
+                    }}
+                  >
+                    {preview && (
+                      <ExpoImage
+                        source={thumbnailSource(preview)}
+                        placeholder={blurhashSource(preview)}
+                        style={{ position: 'absolute', width: '100%', height: '100%' }}
+                        contentFit="cover"
+                      />
+                    )}
+                    {transfer ? (
+                      <View className="items-center">
+                        {renderTransferRing(message, transfer)}
+                        <Text className="text-blue-300 text-xs mt-2">
+                          {formatTransfer(transfer)}
+                        </Text>
+                      </View>
+                    ) : preview ? (
+                      <View className="w-12 h-12 rounded-full bg-black/50 justify-center items-center">
+                        <Ionicons name="arrow-down" size={24} color="#fff" />
+                      </View>
+                    ) : (
+                      <View className="items-center">
+                        <Ionicons name="lock-closed" size={32} color="#60A5FA" />
+                        <Text className="text-blue-300 text-xs mt-2 font-semibold">
+                          Encrypted Image
+                        </Text>
+                        <Text className="text-blue-400 text-xs mt-1">Tap to decrypt</Text>
+                      </View>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
 
           {/* Legacy Plaintext Image Display */}
           {message.messageType === 'image' && message.mediaUrl && !message.encryptedFileKey && (
@@ -440,8 +658,27 @@ export default function ChatConversationScreen() {
           )}
 
           {/* File Display (encrypted or plaintext) */}
-          {message.messageType === 'file' && message.mediaUrl && (
+          {message.messageType === 'file' && (message.mediaUrl || message.transferId) && (
             <View className="mb-2">
+              {preview?.thumbnail && (
+                // Video frame (or image sent as a file) from the encrypted metadata
+                <View
+                  style={{ ...mediaSize(preview), borderRadius: 12, overflow: 'hidden' }}
+                  className="mb-2"
+                >
+                  <ExpoImage
+                    source={thumbnailSource(preview)}
+                    placeholder={blurhashSource(preview)}
+                    style={{ width: '100%', height: '100%' }}
+                    contentFit="cover"
+                  />
+                  {preview.mimeType?.startsWith('video/') && (
+                    <View className="absolute inset-0 justify-center items-center">
+                      <Ionicons name="play-circle" size={44} color="rgba(255,255,255,0.9)" />
+                    </View>
+                  )}
+                </View>
+              )}
               <View className="flex-row items-center mb-1">
                 <Ionicons
                   name={message.encryptedFileKey ? 'lock-closed' : 'document-text-outline'}
@@ -452,8 +689,9 @@ export default function ChatConversationScreen() {
                   numberOfLines={1}
                   className={`ml-2 flex-1 text-xs ${isMyMessage ? 'text-blue-100' : 'text-dark-text-primary'}`}
                 >
-                  {message.originalFileName ||
-                    message.mediaUrl.split('/').pop()?.split('?')[0] ||
+                  {preview?.fileName ||
+                    message.originalFileName ||
+                    message.mediaUrl?.split('/').pop()?.split('?')[0] ||
                     'file'}
                 </Text>
               </View>
@@ -462,23 +700,37 @@ export default function ChatConversationScreen() {
                   🔐 Encrypted
                 </Text>
               )}
-              <TouchableOpacity
-                onPress={() =>
-                  message.encryptedFileKey ? handleDecryptMedia(message) : handleDownload(message)
-                }
-                disabled={decryptingMedia[message._id]}
-                className={`px-3 py-1 rounded-lg ${isMyMessage ? 'bg-blue-700' : 'bg-dark-border'}`}
-              >
-                <Text
-                  className={`text-xs ${isMyMessage ? 'text-white' : 'text-dark-text-primary'}`}
-                >
-                  {decryptingMedia[message._id]
-                    ? 'Decrypting...'
-                    : message.encryptedFileKey
-                      ? 'Decrypt & Save'
-                      : 'Download'}
-                </Text>
-              </TouchableOpacity>
+              {transfer ? (
+                <View className="flex-row items-center">
+                  {renderTransferRing(message, transfer, 32)}
+                  <Text
+                    className={`ml-2 text-xs ${isMyMessage ? 'text-white' : 'text-dark-text-primary'}`}
+                  >
+                    {formatTransfer(transfer)}
+                  </Text>
+                </View>
+              ) : (
+                message.mediaUrl && (
+                  <TouchableOpacity
+                    onPress={() =>
+                      message.encryptedFileKey
+                        ? handleDecryptMedia(message)
+                        : handleDownload(message)
+                    }
+                    className={`px-3 py-1 rounded-lg ${isMyMessage ? 'bg-blue-700' : 'bg-dark-border'}`}
+                  >
+                    <Text
+                      className={`text-xs ${isMyMessage ? 'text-white' : 'text-dark-text-primary'}`}
+                    >
+                      {!message.encryptedFileKey
+                        ? 'Download'
+                        : decryptedMedia[message._id]
+                          ? 'Saved'
+                          : 'Decrypt & Save'}
+                    </Text>
+                  </TouchableOpacity>
+                )
+              )}
             </View>
           )}
 
@@ -492,7 +744,19 @@ export default function ChatConversationScreen() {
 
             {isMyMessage && !isDeleted && (
               <View className="ml-2">
-                {message.status === 'pending' ? (
+                {message.status === 'failed' ? (
+                  <TouchableOpacity
+                    onPress={() =>
+                      message.transferId
+                        ? retryTransfer(message.transferId)
+                        : retryMessage(message._id)
+                    }
+                    className="flex-row items-center"
+                  >
+                    <Ionicons name="alert-circle" size={16} color="#EF4444" />
+                    <Text className="text-xs text-red-300 ml-1">Tap to retry</Text>
+                  </TouchableOpacity>
+                ) : message.status === 'pending' || message.status === 'sending' ? (
                   <Ionicons name="time-outline" size={16} color="#9CA3AF" /> // ⏱ Pending (Gray)
                 ) : message.read ? (
                   <Ionicons name="checkmark-done" size={16} color="#3B82F6" /> // ✓✓ Read (Blue)
@@ -533,33 +797,60 @@ export default function ChatConversationScreen() {
               <Ionicons name="chevron-back" size={24} color="#3B82F6" />
             </TouchableOpacity>
 
-            <View className="w-10 h-10 rounded-full bg-dark-surface border border-dark-border justify-center items-center mr-3">
-              {isRoomMode ? (
-                <Ionicons name="people" size={20} color="#fff" />
-              ) : (
-                <Ionicons
-                  name={AVATARS.find((a) => a.id === activeChat?.avatarId)?.icon || 'person'}
-                  size={20}
-                  color="#fff"
-                />
-              )}
-            </View>
+            <TouchableOpacity
+              onPress={() => router.push({ pathname: '/group-info', params: { groupId: roomId } })}
+              disabled={!isGroupMode}
+              activeOpacity={0.7}
+              className="flex-row items-center flex-1"
+            >
+              <View className="w-10 h-10 rounded-full bg-dark-surface border border-dark-border justify-center items-center mr-3">
+                {isRoomMode ? (
+                  <Ionicons
+                    name={isGroupMode ? getGroupAvatarIcon(group?.avatarId) : 'people'}
+                    size={20}
+                    color="#fff"
+                  />
+                ) : (
+                  <Ionicons
+                    name={AVATARS.find((a) => a.id === activeChat?.avatarId)?.icon || 'person'}
+                    size={20}
+                    color="#fff"
+                  />
+                )}
+              </View>
 
-            <View className="flex-1">
-              <Text className="text-dark-text-primary font-semibold text-base">
-                {userName || 'User'}
-              </Text>
-              <View className="flex-row items-center">
-                <View
-                  className={`w-2 h-2 rounded-full mr-1 ${
-                    isRoomMode ? 'bg-green-500' : userOnline ? 'bg-green-500' : 'bg-gray-500'
-                  }`}
-                />
-                <Text className="text-dark-text-muted text-xs">
-                  {isRoomMode ? 'Public Room' : userOnline ? 'Online' : 'Offline'}
-                </Text>
+              <View className="flex-1">
+                <View className="flex-row items-center">
+                  <Text className="text-dark-text-primary font-semibold text-base">
+                    {group?.name || userName || 'User'}
+                  </Text>
+                  {isVerified && (
+                    <Ionicons
+                      name="shield-checkmark"
+                      size={14}
+                      color="#22C55E"
+                      style={{ marginLeft: 4 }}
+                    />
+                  )}
+                </View>
+                <View className="flex-row items-center">
+                  <View
+                    className={`w-2 h-2 rounded-full mr-1 ${
+                      isRoomMode ? 'bg-green-500' : userOnline ? 'bg-green-500' : 'bg-gray-500'
+                    }`}
+                  />
+                  <Text className="text-dark-text-muted text-xs">
+                    {isGroupMode
+                      ? `${group?.members?.length || 0} members`
+                      : isRoomMode
+                        ? 'Public Room'
+                        : userOnline
+                          ? 'Online'
+                          : 'Offline'}
+                  </Text>
+                </View>
               </View>
-            </View>
+            </TouchableOpacity>
           </View>
 
           {!isConnected && (
@@ -567,6 +858,16 @@ export default function ChatConversationScreen() {
               <Text className="text-white text-xs font-semibold">Offline</Text>
             </View>
           )}
+
+          {!isRoomMode && !activeChat?.isTemp && (
+            <TouchableOpacity onPress={openSafetyNumber} className="ml-3">
+              <Ionicons
+                name={isVerified ? 'shield-checkmark' : 'shield-outline'}
+                size={22}
+                color={isVerified ? '#22C55E' : '#9CA3AF'}
+              />
+            </TouchableOpacity>
+          )}
         </View>
       </View>
 
@@ -582,14 +883,30 @@ export default function ChatConversationScreen() {
               ref={flatListRef}
               data={messages}
               renderItem={renderMessage}
+              // Stable keys - index-based keys would remount every row when a page is prepended
               keyExtractor={(item, index) =>
-                item._id ? `${item._id}-${index}` : `msg-${index}-${item.createdAt || Date.now()}`
+                item._id ? String(item._id) : `msg-${index}-${item.createdAt || Date.now()}`
               }
               contentContainerStyle={{ paddingVertical: 16, paddingBottom: 96 }}
               keyboardDismissMode="interactive"
               keyboardShouldPersistTaps="handled"
-              onContentSizeChange={() => flatListRef.current?.scrollToEnd({ animated: true })}
+              onContentSizeChange={() => {
+                if (isAtBottomRef.current) flatListRef.current?.scrollToEnd({ animated: true });
+              }}
               onLayout={() => flatListRef.current?.scrollToEnd({ animated: false })}
+              onScroll={handleScroll}
+              scrollEventThrottle={100}
+              // Infinite scroll upwards - keep the visible message in place while a page is prepended
+              onStartReached={handleStartReached}
+              onStartReachedThreshold={0.2}
+              maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+              ListHeaderComponent={
+                loadingOlderMessages ? (
+                  <View className="py-3 items-center">
+                    <ActivityIndicator size="small" color="#3B82F6" />
+                  </View>
+                ) : null
+              }
               ListEmptyComponent={
                 <View className="flex-1 justify-center items-center py-20">
                   <Ionicons
@@ -618,6 +935,19 @@ export default function ChatConversationScreen() {
         )}
       </View>
 
+      {/* Identity key changed - sending paused until the user accepts */}
+      {isSendBlocked && (
+        <TouchableOpacity
+          onPress={acceptNewIdentity}
+          className="mx-3 mb-2 flex-row items-center bg-amber-500/15 border border-amber-500/40 rounded-2xl px-4 py-3"
+        >
+          <Ionicons name="warning-outline" size={18} color="#F59E0B" />
+          <Text className="flex-1 text-amber-300 text-sm ml-2">
+            Safety number with {userName} changed. Tap to review before sending.
+          </Text>
+        </TouchableOpacity>
+      )}
+
       {/* Modern Input Bar (dynamic bottom offset) */}
       <View
         style={{
@@ -0,0 +1,99 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useContext, useState } from 'react';
+import { ActivityIndicator, Alert, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import GroupAvatar, { GROUP_AVATARS } from '../components/GroupAvatar';
+import MemberPicker from '../components/MemberPicker';
+import { ChatContext } from '../src/context/ChatContext';
+
+const MAX_NAME_LENGTH = 50;
+
+export default function GroupCreateScreen() {
+  const router = useRouter();
+  const { chats, createGroup } = useContext(ChatContext);
+
+  const [name, setName] = useState('');
+  const [avatarId, setAvatarId] = useState(GROUP_AVATARS[0].id);
+  const [memberIds, setMemberIds] = useState([]);
+  const [creating, setCreating] = useState(false);
+
+  const canCreate = name.trim().length > 0 && memberIds.length > 0 && !creating;
+
+  const handleCreate = async () => {
+    if (!canCreate) return;
+    try {
+      setCreating(true);
+      const group = await createGroup({ name: name.trim(), avatarId, memberIds });
+      router.replace({
+        pathname: '/chat-conversation',
+        params: { roomId: group._id, userName: group.name, isGroup: 'true' },
+      });
+    } catch (err) {
+      console.error('❌ Failed to create group:', err);
+      Alert.alert('Error', err.message || 'Could not create the group');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <View className="flex-1 bg-dark-bg">
+      {/* Header */}
+      <View className="bg-dark-surface border-b border-dark-border px-4 py-3 pt-6">
+        <View className="flex-row items-center">
+          <TouchableOpacity onPress={() => router.back()} className="mr-3">
+            <Ionicons name="chevron-back" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+          <Text className="flex-1 text-dark-text-primary font-semibold text-base">New Group</Text>
+          <TouchableOpacity onPress={handleCreate} disabled={!canCreate}>
+            {creating ? (
+              <ActivityIndicator color="#3B82F6" />
+            ) : (
+              <Text className={`font-semibold ${canCreate ? 'text-blue-500' : 'text-gray-600'}`}>
+                Create
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <View className="flex-1 px-5 pt-5">
+        {/* Avatar + name */}
+        <View className="flex-row items-center mb-4">
+          <GroupAvatar avatarId={avatarId} size={56} />
+          <TextInput
+            value={name}
+            onChangeText={setName}
+            placeholder="Group name"
+            placeholderTextColor="#6B7280"
+            maxLength={MAX_NAME_LENGTH}
+            className="flex-1 ml-4 bg-dark-surface border border-dark-border rounded-xl px-4 py-3 text-dark-text-primary"
+          />
+        </View>
+
+        <View className="flex-row flex-wrap justify-between bg-dark-surface p-3 rounded-2xl border border-dark-border mb-5">
+          {GROUP_AVATARS.map((avatar) => (
+            <TouchableOpacity
+              key={avatar.id}
+              onPress={() => setAvatarId(avatar.id)}
+              className={`w-12 h-12 justify-center items-center rounded-xl mb-2 ${
+                avatarId === avatar.id ? 'bg-blue-600' : 'bg-dark-bg'
+              }`}
+            >
+              <Ionicons
+                name={avatar.icon}
+                size={24}
+                color={avatarId === avatar.id ? '#fff' : '#6B7280'}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text className="text-dark-text-muted text-xs mb-3 font-bold uppercase tracking-wider">
+          Members{memberIds.length > 0 ? ` (${memberIds.length})` : ''}
+        </Text>
+        <MemberPicker contacts={chats} selectedIds={memberIds} onChange={setMemberIds} />
+      </View>
+    </View>
+  );
+}
@@ -0,0 +1,303 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useContext, useEffect, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import GroupAvatar, { GROUP_AVATARS } from '../components/GroupAvatar';
+import MemberPicker from '../components/MemberPicker';
+import { AuthContext } from '../src/context/AuthContext';
+import { ChatContext } from '../src/context/ChatContext';
+
+const MAX_NAME_LENGTH = 50;
+
+export default function GroupInfoScreen() {
+  const router = useRouter();
+  const { groupId } = useLocalSearchParams();
+  const { user } = useContext(AuthContext);
+  const {
+    chats,
+    groups,
+    refreshGroup,
+    updateGroup,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupMemberRole,
+    leaveGroup,
+    isGroupAdmin,
+  } = useContext(ChatContext);
+
+  const group = groups.find((g) => g._id === groupId);
+  const isAdmin = isGroupAdmin(groupId, user?._id);
+
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
+  const [avatarId, setAvatarId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [showAddMembers, setShowAddMembers] = useState(false);
+  const [newMemberIds, setNewMemberIds] = useState([]);
+
+  useEffect(() => {
+    refreshGroup(groupId).catch((err) => console.error('❌ Failed to refresh group:', err));
+  }, [groupId, refreshGroup]);
+
+  // Members come as user IDs or populated users - fill in names from our contacts
+  const members = useMemo(() => {
+    const contacts = new Map((chats || []).map((c) => [(c.user || c)._id, c.user || c]));
+    return (group?.members || []).map((member) => {
+      const memberUser =
+        typeof member.user === 'object' ? member.user : contacts.get(member.user) || {};
+      const userId = memberUser._id || member.user;
+      return {
+        userId,
+        name: userId === user?._id ? 'You' : memberUser.U_Id || 'Member',
+        role: member.role,
+      };
+    });
+  }, [group, chats, user]);
+
+  if (!group) {
+    return (
+      <View className="flex-1 justify-center items-center bg-dark-bg">
+        <ActivityIndicator size="large" color="#3B82F6" />
+      </View>
+    );
+  }
+
+  const startEditing = () => {
+    setName(group.name || '');
+    setAvatarId(group.avatarId || GROUP_AVATARS[0].id);
+    setEditing(true);
+  };
+
+  const saveChanges = async () => {
+    if (!name.trim()) return;
+    try {
+      setSaving(true);
+      await updateGroup(groupId, { name: name.trim(), avatarId });
+      setEditing(false);
+    } catch (err) {
+      Alert.alert('Error', err.message || 'Could not update the group');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+    } catch (err) {
+      Alert.alert('Error', err.message || errorMessage);
+    }
+  };
+
+  const showMemberOptions = (member) => {
+    if (!isAdmin || member.userId === user?._id) return;
+
+    Alert.alert(member.name, null, [
+      member.role === 'admin'
+        ? {
+            text: 'Dismiss as Admin',
+            onPress: () =>
+              runAction(
+                () => setGroupMemberRole(groupId, member.userId, 'member'),
+                'Could not change the role',
+              ),
+          }
+        : {
+            text: 'Make Admin',
+            onPress: () =>
+              runAction(
+                () => setGroupMemberRole(groupId, member.userId, 'admin'),
+                'Could not change the role',
+              ),
+          },
+      {
+        text: 'Remove from Group',
+        style: 'destructive',
+        onPress: () =>
+          runAction(() => removeGroupMember(groupId, member.userId), 'Could not remove the member'),
+      },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const addMembers = async () => {
+    if (newMemberIds.length === 0) return;
+    await runAction(async () => {
+      await addGroupMembers(groupId, newMemberIds);
+      setShowAddMembers(false);
+      setNewMemberIds([]);
+    }, 'Could not add the members');
+  };
+
+  const confirmLeave = () => {
+    Alert.alert('Leave Group', `Leave ${group.name}? Its messages are removed from this device.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Leave',
+        style: 'destructive',
+        onPress: () =>
+          runAction(async () => {
+            await leaveGroup(groupId);
+            router.replace('/(tabs)/chat');
+          }, 'Could not leave the group'),
+      },
+    ]);
+  };
+
+  return (
+    <View className="flex-1 bg-dark-bg">
+      {/* Header */}
+      <View className="bg-dark-surface border-b border-dark-border px-4 py-3 pt-6">
+        <View className="flex-row items-center">
+          <TouchableOpacity onPress={() => router.back()} className="mr-3">
+            <Ionicons name="chevron-back" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+          <Text className="flex-1 text-dark-text-primary font-semibold text-base">Group Info</Text>
+          {isAdmin &&
+            (editing ? (
+              <TouchableOpacity onPress={saveChanges} disabled={saving || !name.trim()}>
+                {saving ? (
+                  <ActivityIndicator color="#3B82F6" />
+                ) : (
+                  <Text className="text-blue-500 font-semibold">Save</Text>
+                )}
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity onPress={startEditing}>
+                <Text className="text-blue-500 font-semibold">Edit</Text>
+              </TouchableOpacity>
+            ))}
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={{ padding: 20 }}>
+        {/* Avatar + name */}
+        <View className="items-center mb-6">
+          <GroupAvatar avatarId={editing ? avatarId : group.avatarId} size={96} />
+          {editing ? (
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder="Group name"
+              placeholderTextColor="#6B7280"
+              maxLength={MAX_NAME_LENGTH}
+              className="w-full mt-4 bg-dark-surface border border-dark-border rounded-xl px-4 py-3 text-dark-text-primary text-center"
+            />
+          ) : (
+            <Text className="text-xl font-bold text-dark-text-primary mt-4">{group.name}</Text>
+          )}
+          <Text className="text-dark-text-muted text-xs mt-1">{members.length} members</Text>
+        </View>
+
+        {editing && (
+          <View className="flex-row flex-wrap justify-between bg-dark-surface p-3 rounded-2xl border border-dark-border mb-6">
+            {GROUP_AVATARS.map((avatar) => (
+              <TouchableOpacity
+                key={avatar.id}
+                onPress={() => setAvatarId(avatar.id)}
+                className={`w-12 h-12 justify-center items-center rounded-xl mb-2 ${
+                  avatarId === avatar.id ? 'bg-blue-600' : 'bg-dark-bg'
+                }`}
+              >
+                <Ionicons
+                  name={avatar.icon}
+                  size={24}
+                  color={avatarId === avatar.id ? '#fff' : '#6B7280'}
+                />
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Members */}
+        <View className="flex-row items-center justify-between mb-3">
+          <Text className="text-dark-text-muted text-xs font-bold uppercase tracking-wider">
+            Members
+          </Text>
+          {isAdmin && (
+            <TouchableOpacity
+              onPress={() => setShowAddMembers(true)}
+              className="flex-row items-center"
+            >
+              <Ionicons name="person-add" size={16} color="#3B82F6" />
+              <Text className="text-blue-500 font-semibold ml-1">Add</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {members.map((member) => (
+          <TouchableOpacity
+            key={member.userId}
+            onPress={() => showMemberOptions(member)}
+            disabled={!isAdmin || member.userId === user?._id}
+            className="flex-row items-center bg-dark-surface border border-dark-border rounded-xl px-4 py-3 mb-2"
+          >
+            <View className="w-10 h-10 rounded-full bg-blue-600 justify-center items-center mr-3">
+              <Text className="text-white font-bold">{member.name.charAt(0).toUpperCase()}</Text>
+            </View>
+            <Text className="flex-1 text-dark-text-primary font-medium">{member.name}</Text>
+            {member.role === 'admin' && (
+              <View className="px-2 py-0.5 rounded-full bg-blue-600/20">
+                <Text className="text-blue-400 text-xs font-semibold">Admin</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+        ))}
+
+        <TouchableOpacity
+          onPress={confirmLeave}
+          className="flex-row items-center justify-center bg-dark-surface border border-dark-border rounded-xl py-3 mt-6"
+        >
+          <Ionicons name="exit-outline" size={20} color="#EF4444" />
+          <Text className="text-red-500 font-semibold ml-2">Leave Group</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {/* Add members */}
+      <Modal
+        visible={showAddMembers}
+        animationType="slide"
+        onRequestClose={() => setShowAddMembers(false)}
+      >
+        <View className="flex-1 bg-dark-bg">
+          <View className="bg-dark-surface border-b border-dark-border px-4 py-3 pt-6">
+            <View className="flex-row items-center">
+              <TouchableOpacity onPress={() => setShowAddMembers(false)} className="mr-3">
+                <Ionicons name="close" size={24} color="#3B82F6" />
+              </TouchableOpacity>
+              <Text className="flex-1 text-dark-text-primary font-semibold text-base">
+                Add Members
+              </Text>
+              <TouchableOpacity onPress={addMembers} disabled={newMemberIds.length === 0}>
+                <Text
+                  className={`font-semibold ${
+                    newMemberIds.length > 0 ? 'text-blue-500' : 'text-gray-600'
+                  }`}
+                >
+                  Add
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          <View className="flex-1 px-5 pt-5">
+            <MemberPicker
+              contacts={chats}
+              selectedIds={newMemberIds}
+              onChange={setNewMemberIds}
+              excludeIds={members.map((m) => m.userId)}
+            />
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
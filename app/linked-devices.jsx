@@ -0,0 +1,220 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useCallback, useContext, useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+import * as Clipboard from 'expo-clipboard';
+import { AuthContext } from '../src/context/AuthContext';
+import deviceLinking from '../src/services/deviceLinking';
+
+export default function LinkedDevicesScreen() {
+  const router = useRouter();
+  const { user } = useContext(AuthContext);
+
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [link, setLink] = useState(null); // { linkId, expiresAt, qrPayload } while showing a code
+  const [linking, setLinking] = useState(false);
+
+  const loadDevices = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setDevices(await deviceLinking.getLinkedDevices());
+    } catch (err) {
+      console.error('❌ Failed to load linked devices:', err);
+      setError(err.message || 'Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  // Close an open link code when leaving the screen
+  useEffect(() => () => deviceLinking.cancelLink(), []);
+
+  const approve = useCallback(
+    async (request) => {
+      try {
+        setLinking(true);
+        await deviceLinking.approveLink(request, user);
+        setLink(null);
+        Alert.alert('Device Linked', `${request.deviceName || 'The new device'} is ready to use.`);
+        loadDevices();
+      } catch (err) {
+        console.error('❌ Failed to approve device link:', err);
+        Alert.alert('Linking Failed', err.message || 'Could not link the device');
+      } finally {
+        setLinking(false);
+      }
+    },
+    [user, loadDevices],
+  );
+
+  // A new device scanned the code - compare codes, then approve or decline
+  useEffect(() => {
+    if (!link) return;
+
+    return deviceLinking.onLinkRequest(async (request) => {
+      const code = await deviceLinking.getRequestVerificationCode(request);
+      Alert.alert(
+        'Link New Device?',
+        `${request.deviceName || 'A new device'} wants to use your account.\n\n` +
+          `Verification code: ${code}\n\nApprove only if the new device shows the same code.`,
+        [
+          {
+            text: 'Decline',
+            style: 'destructive',
+            onPress: () => {
+              deviceLinking.rejectLink(request);
+              setLink(null);
+            },
+          },
+          { text: 'Approve', onPress: () => approve(request) },
+        ],
+        { cancelable: false },
+      );
+    });
+  }, [link, approve]);
+
+  const showLinkCode = async () => {
+    try {
+      setLinking(true);
+      setLink(await deviceLinking.createLink());
+    } catch (err) {
+      console.error('❌ Failed to open device link:', err);
+      Alert.alert('Error', err.message || 'Could not create a link code');
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  const hideLinkCode = () => {
+    deviceLinking.cancelLink();
+    setLink(null);
+  };
+
+  // The code only starts the request - the new device still needs approval here
+  const copyLinkCode = async () => {
+    if (!link) return;
+    await Clipboard.setStringAsync(link.qrPayload);
+    Alert.alert('Code Copied', 'Paste it on the new device under "Or paste the code".');
+  };
+
+  const unlink = (device) => {
+    Alert.alert(
+      'Unlink Device',
+      `Log ${device.deviceName || 'this device'} out of your account? Its messages stay on it until it logs out.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unlink',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deviceLinking.unlinkDevice(device.deviceId);
+              setDevices((prev) => prev.filter((d) => d.deviceId !== device.deviceId));
+            } catch (err) {
+              Alert.alert('Error', err.message || 'Could not unlink the device');
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  return (
+    <View className="flex-1 bg-dark-bg">
+      {/* Header */}
+      <View className="bg-dark-surface border-b border-dark-border px-4 py-3 pt-6">
+        <View className="flex-row items-center">
+          <TouchableOpacity onPress={() => router.back()} className="mr-3">
+            <Ionicons name="chevron-back" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+          <Text className="text-dark-text-primary font-semibold text-base">Linked Devices</Text>
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={{ padding: 20 }}>
+        {link ? (
+          <View className="items-center mb-6">
+            <View className="bg-white p-4 rounded-2xl mb-4">
+              <QRCode value={link.qrPayload} size={220} backgroundColor="#ffffff" color="#111827" />
+            </View>
+            <Text className="text-dark-text-muted text-sm text-center mb-4 px-2">
+              On the new device, tap &quot;Link this device&quot; on the login screen and scan this
+              code.
+            </Text>
+            <TouchableOpacity
+              onPress={copyLinkCode}
+              className="w-full bg-dark-surface border border-dark-border rounded-xl py-3 items-center mb-3"
+            >
+              <Text className="text-dark-text-primary font-medium">
+                Copy Code (if the new device can&apos;t scan)
+              </Text>
+            </TouchableOpacity>
+            {linking && <ActivityIndicator color="#3B82F6" style={{ marginBottom: 12 }} />}
+            <TouchableOpacity
+              onPress={hideLinkCode}
+              className="w-full bg-dark-surface border border-dark-border rounded-xl py-3 items-center"
+            >
+              <Text className="text-dark-text-primary font-medium">Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity
+            onPress={showLinkCode}
+            disabled={linking}
+            className="w-full bg-blue-600 rounded-xl py-3 items-center mb-6"
+          >
+            {linking ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text className="text-white font-semibold">Link New Device</Text>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#3B82F6" />
+        ) : error ? (
+          <View className="items-center">
+            <Text className="text-dark-text-primary text-center mb-4">{error}</Text>
+            <TouchableOpacity onPress={loadDevices} className="bg-blue-600 rounded-xl px-6 py-3">
+              <Text className="text-white font-semibold">Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          devices.map((device) => (
+            <View
+              key={device.deviceId}
+              className="flex-row items-center bg-dark-surface border border-dark-border rounded-xl p-4 mb-3"
+            >
+              <Ionicons name="phone-portrait-outline" size={22} color="#9CA3AF" />
+              <View className="flex-1 ml-3">
+                <Text className="text-dark-text-primary font-medium">
+                  {device.deviceName || 'Unknown device'}
+                  {device.current ? ' (this device)' : ''}
+                </Text>
+                {device.lastSeenAt && (
+                  <Text className="text-dark-text-muted text-xs mt-1">
+                    Last active {new Date(device.lastSeenAt).toLocaleString()}
+                  </Text>
+                )}
+              </View>
+              {!device.current && (
+                <TouchableOpacity onPress={() => unlink(device)} className="p-2">
+                  <Ionicons name="log-out-outline" size={20} color="#EF4444" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))
+        )}
+      </ScrollView>
+    </View>
+  );
+}
@@ -0,0 +1,251 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useCallback, useContext, useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, Text, TouchableOpacity, View } from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+import QRScannerModal from '../components/QRScannerModal';
+import { AuthContext } from '../src/context/AuthContext';
+import { deviceAddress } from '../src/services/device';
+import identityTrust from '../src/services/identityTrust';
+import safetyNumberService from '../src/services/safetyNumber';
+import signalProtocol from '../src/services/signalProtocol';
+
+export default function SafetyNumberScreen() {
+  const router = useRouter();
+  const { userId, userName } = useLocalSearchParams();
+  const { user } = useContext(AuthContext);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [peerIdentityKey, setPeerIdentityKey] = useState(null);
+  const [verified, setVerified] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  // Each of the contact's devices has its own identity key (and safety number)
+  const [devices, setDevices] = useState([]);
+  const [pickedDeviceId, setPickedDeviceId] = useState(undefined); // First device until picked
+
+  const deviceId = pickedDeviceId !== undefined ? pickedDeviceId : (devices[0]?.deviceId ?? null);
+  const address = deviceAddress(userId, deviceId);
+
+  const loadSafetyNumber = useCallback(async () => {
+    if (!user?._id || !userId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      let knownDevices = await signalProtocol.getDevices(userId);
+      if (knownDevices.length === 0) {
+        await signalProtocol.ensureSession(userId); // Fetches the device list
+        knownDevices = await signalProtocol.getDevices(userId);
+      }
+      setDevices(knownDevices);
+
+      const selected =
+        pickedDeviceId !== undefined ? pickedDeviceId : (knownDevices[0]?.deviceId ?? null);
+
+      const result = await safetyNumberService.getSafetyNumber(user._id, userId, selected);
+      setSafetyNumber(result.safetyNumber);
+      setPeerIdentityKey(result.peerIdentityKey);
+      setVerified(
+        await identityTrust.isVerified(deviceAddress(userId, selected), result.peerIdentityKey),
+      );
+    } catch (err) {
+      console.error('❌ Failed to compute safety number:', err);
+      setError(err.message || 'Failed to load safety number');
+    } finally {
+      setLoading(false);
+    }
+  }, [user, userId, pickedDeviceId]);
+
+  useEffect(() => {
+    loadSafetyNumber();
+  }, [loadSafetyNumber]);
+
+  // Keep the badge in sync if the identity changes while the screen is open
+  useEffect(() => {
+    return identityTrust.onChange(async (changedUserId) => {
+      if (changedUserId !== userId) return;
+      setVerified(await identityTrust.isVerified(address, peerIdentityKey));
+    });
+  }, [userId, address, peerIdentityKey]);
+
+  const handleScanned = async (data) => {
+    const scanned = safetyNumberService.parseQrPayload(data);
+
+    if (!scanned) {
+      Alert.alert('Not a Safety Number', "This QR code isn't a WhispChat safety number.");
+      return;
+    }
+    if (scanned.userId !== userId) {
+      Alert.alert('Wrong Contact', `This code belongs to someone other than ${userName}.`);
+      return;
+    }
+    if (scanned.safetyNumber !== safetyNumber) {
+      Alert.alert(
+        "Safety Numbers Don't Match",
+        `Your conversation with ${userName} may be intercepted, or one of you reinstalled WhispChat. Don't mark this contact as verified.`,
+      );
+      return;
+    }
+
+    await identityTrust.markVerified(address, peerIdentityKey);
+    setVerified(true);
+    Alert.alert('Verified', `Your safety number with ${userName} matches.`);
+  };
+
+  const toggleVerified = () => {
+    if (verified) {
+      Alert.alert('Clear Verification', `Mark ${userName} as not verified?`, [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await identityTrust.clearVerification(address);
+            setVerified(false);
+          },
+        },
+      ]);
+      return;
+    }
+
+    Alert.alert(
+      'Mark as Verified',
+      `Only do this if every digit matches the safety number on ${userName}'s phone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Verified',
+          onPress: async () => {
+            await identityTrust.markVerified(address, peerIdentityKey);
+            setVerified(true);
+          },
+        },
+      ],
+    );
+  };
+
+  return (
+    <View className="flex-1 bg-dark-bg">
+      {/* Header */}
+      <View className="bg-dark-surface border-b border-dark-border px-4 py-3 pt-6">
+        <View className="flex-row items-center">
+          <TouchableOpacity onPress={() => router.back()} className="mr-3">
+            <Ionicons name="chevron-back" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+          <Text className="text-dark-text-primary font-semibold text-base">
+            Verify Safety Number
+          </Text>
+        </View>
+      </View>
+
+      {loading ? (
+        <View className="flex-1 justify-center items-center">
+          <ActivityIndicator size="large" color="#3B82F6" />
+        </View>
+      ) : error ? (
+        <View className="flex-1 justify-center items-center px-10">
+          <Ionicons name="alert-circle" size={48} color="#EF4444" style={{ marginBottom: 12 }} />
+          <Text className="text-dark-text-primary text-center mb-4">{error}</Text>
+          <TouchableOpacity onPress={loadSafetyNumber} className="bg-blue-600 rounded-xl px-6 py-3">
+            <Text className="text-white font-semibold">Try Again</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={{ padding: 20, alignItems: 'center' }}>
+          {/* Verification status */}
+          <View
+            className={`flex-row items-center rounded-full px-4 py-2 mb-6 ${
+              verified ? 'bg-green-600/20' : 'bg-gray-700/40'
+            }`}
+          >
+            <Ionicons
+              name={verified ? 'shield-checkmark' : 'shield-outline'}
+              size={16}
+              color={verified ? '#22C55E' : '#9CA3AF'}
+            />
+            <Text
+              className={`ml-2 text-sm font-semibold ${verified ? 'text-green-400' : 'text-gray-300'}`}
+            >
+              {verified ? `${userName} is verified` : 'Not verified'}
+            </Text>
+          </View>
+
+          {/* Device picker - only when the contact uses several devices */}
+          {devices.length > 1 && (
+            <View className="flex-row flex-wrap justify-center mb-6">
+              {devices.map((device, index) => (
+                <TouchableOpacity
+                  key={device.deviceId || index}
+                  onPress={() => setPickedDeviceId(device.deviceId)}
+                  className={`rounded-full px-4 py-2 m-1 border ${
+                    device.deviceId === deviceId
+                      ? 'bg-blue-600 border-blue-600'
+                      : 'bg-dark-surface border-dark-border'
+                  }`}
+                >
+                  <Text className="text-dark-text-primary text-sm">
+                    {device.deviceName || `Device ${index + 1}`}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {/* Own QR code - the peer scans this */}
+          <View className="bg-white p-4 rounded-2xl mb-6">
+            <QRCode
+              value={safetyNumberService.buildQrPayload(user._id, safetyNumber)}
+              size={200}
+              backgroundColor="#ffffff"
+              color="#111827"
+            />
+          </View>
+
+          {/* Safety number digits (12 groups of 5) */}
+          <View className="flex-row flex-wrap w-full max-w-xs mb-6">
+            {safetyNumberService.formatSafetyNumber(safetyNumber).map((group, index) => (
+              <Text
+                key={index}
+                className="text-dark-text-primary text-lg text-center py-1"
+                style={{ width: '25%', fontFamily: 'monospace' }}
+              >
+                {group}
+              </Text>
+            ))}
+          </View>
+
+          <Text className="text-dark-text-muted text-sm text-center mb-8 px-2">
+            To verify end-to-end encryption with {userName}, compare the numbers above with their
+            {devices.length > 1 ? ' selected device' : ' phone'}, or scan the code on that device.
+          </Text>
+
+          <TouchableOpacity
+            onPress={() => setShowScanner(true)}
+            className="w-full bg-blue-600 rounded-xl py-3 items-center mb-3"
+          >
+            <Text className="text-white font-semibold">Scan Code</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={toggleVerified}
+            className="w-full bg-dark-surface border border-dark-border rounded-xl py-3 items-center"
+          >
+            <Text className="text-dark-text-primary font-medium">
+              {verified ? 'Clear Verification' : 'Mark as Verified'}
+            </Text>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+
+      <QRScannerModal
+        visible={showScanner}
+        onClose={() => setShowScanner(false)}
+        onScanned={handleScanned}
+        title={`Scan ${userName}'s code`}
+      />
+    </View>
+  );
+}
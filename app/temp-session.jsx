@@ -1,28 +1,13 @@
 import { useRouter } from 'expo-router';
 import { useContext, useState } from 'react';
-import {
-  ActivityIndicator,
-  Text,
-  TextInput,
-  TouchableOpacity,
-  View,
-  Modal,
-  Alert,
-} from 'react-native';
+import { ActivityIndicator, Text, TextInput, TouchableOpacity, View, Modal } from 'react-native';
 import QRCode from 'react-native-qrcode-svg';
 import * as Clipboard from 'expo-clipboard';
 import { Ionicons } from '@expo/vector-icons';
 // Removed unused imports SecureStore, api
 import { chatService } from '../src/services/chatService';
 import { ChatContext } from '../src/context/ChatContext';
-
-// Optional barcode scanner import
-let BarCodeScanner = null;
-try {
-  BarCodeScanner = require('expo-barcode-scanner').BarCodeScanner;
-} catch (_e) {
-  console.log('BarCodeScanner not available, QR scan disabled');
-}
+import QRScannerModal from '../components/QRScannerModal';
 
 export default function TempSessionScreen() {
   const router = useRouter();
@@ -34,20 +19,8 @@ export default function TempSessionScreen() {
   const [session, setSession] = useState(null);
   const [warningVisible, setWarningVisible] = useState(false);
   const [showScanner, setShowScanner] = useState(false);
-  const [hasScannerPermission, setHasScannerPermission] = useState(null);
 
-  const requestScannerPermission = async () => {
-    if (!BarCodeScanner) {
-      Alert.alert('QR Scanner Unavailable', 'Please rebuild the app with: npx expo run:android');
-      return;
-    }
-    const { status } = await BarCodeScanner.requestPermissionsAsync();
-    setHasScannerPermission(status === 'granted');
-    if (status === 'granted') setShowScanner(true);
-  };
-
-  const handleBarCodeScanned = async ({ data }) => {
-    setShowScanner(false);
+  const handleBarCodeScanned = async (data) => {
     setPeerCode(data);
     try {
       setLoading(true);
@@ -149,26 +122,11 @@ export default function TempSessionScreen() {
               <Text className="text-white font-semibold">Join Session</Text>
             </TouchableOpacity>
             <TouchableOpacity
-              onPress={() =>
-                BarCodeScanner
-                  ? hasScannerPermission
-                    ? setShowScanner(true)
-                    : requestScannerPermission()
-                  : Alert.alert(
-                      'QR Scanner Unavailable',
-                      'Enter session code manually or rebuild app',
-                    )
-              }
+              onPress={() => setShowScanner(true)}
               className="bg-pink-600 rounded-xl py-3 items-center mt-3"
               disabled={loading}
             >
-              <Text className="text-white font-semibold">
-                {!BarCodeScanner
-                  ? 'QR Scan (Rebuild Required)'
-                  : hasScannerPermission
-                    ? 'Scan QR Code'
-                    : 'Grant Camera & Scan'}
-              </Text>
+              <Text className="text-white font-semibold">Scan QR Code</Text>
             </TouchableOpacity>
             {error && <Text className="text-red-400 mt-3 text-xs">{error}</Text>}
           </View>
@@ -255,44 +213,11 @@ export default function TempSessionScreen() {
       </Modal>
 
       {/* QR Scanner Modal */}
-      {BarCodeScanner && (
-        <Modal
-          visible={showScanner}
-          transparent
-          animationType="slide"
-          onRequestClose={() => setShowScanner(false)}
-        >
-          <View className="flex-1 bg-black/80 justify-center px-6">
-            <View className="rounded-2xl overflow-hidden border border-pink-700/40">
-              {hasScannerPermission === false ? (
-                <View className="bg-gray-900 p-6">
-                  <Text className="text-red-400 mb-3 font-semibold">Camera permission denied</Text>
-                  <Text className="text-gray-300 text-sm mb-4">
-                    Enable camera access in settings to scan QR codes.
-                  </Text>
-                  <TouchableOpacity
-                    onPress={requestScannerPermission}
-                    className="bg-pink-600 rounded-xl py-3 items-center"
-                  >
-                    <Text className="text-white font-semibold">Retry Permission</Text>
-                  </TouchableOpacity>
-                </View>
-              ) : (
-                <BarCodeScanner
-                  onBarCodeScanned={handleBarCodeScanned}
-                  style={{ width: '100%', height: 320 }}
-                />
-              )}
-            </View>
-            <TouchableOpacity
-              onPress={() => setShowScanner(false)}
-              className="mt-4 bg-gray-800 rounded-xl py-3 items-center border border-gray-700"
-            >
-              <Text className="text-gray-200 font-medium">Close Scanner</Text>
-            </TouchableOpacity>
-          </View>
-        </Modal>
-      )}
+      <QRScannerModal
+        visible={showScanner}
+        onClose={() => setShowScanner(false)}
+        onScanned={handleBarCodeScanned}
+      />
     </View>
   );
 }
@@ -0,0 +1,30 @@
+import { Ionicons } from '@expo/vector-icons';
+import { View } from 'react-native';
+
+// Predefined group avatars (Ionicons names) - groups store the avatarId
+export const GROUP_AVATARS = [
+  { id: 1, icon: 'people' },
+  { id: 2, icon: 'briefcase' },
+  { id: 3, icon: 'home' },
+  { id: 4, icon: 'code-slash' },
+  { id: 5, icon: 'rocket' },
+  { id: 6, icon: 'flask' },
+  { id: 7, icon: 'book' },
+  { id: 8, icon: 'football' },
+  { id: 9, icon: 'musical-notes' },
+  { id: 10, icon: 'airplane' },
+];
+
+export const getGroupAvatarIcon = (avatarId) =>
+  GROUP_AVATARS.find((a) => a.id === avatarId)?.icon || 'people';
+
+export default function GroupAvatar({ avatarId, size = 56 }) {
+  return (
+    <View
+      className="rounded-full bg-blue-600/20 justify-center items-center"
+      style={{ width: size, height: size }}
+    >
+      <Ionicons name={getGroupAvatarIcon(avatarId)} size={size / 2} color="#3B82F6" />
+    </View>
+  );
+}
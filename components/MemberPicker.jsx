@@ -0,0 +1,83 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useMemo, useState } from 'react';
+import { FlatList, Text, TextInput, TouchableOpacity, View } from 'react-native';
+
+/**
+ * Multi-select list of contacts (chat list entries) for adding group members
+ * @param {Array} contacts - Chats (primary entries are users, secondary ones nest `user`)
+ * @param {Array<string>} selectedIds - Selected user IDs
+ * @param {function} onChange - (selectedIds) => void
+ * @param {Array<string>} excludeIds - Users not to offer (e.g. already members)
+ */
+export default function MemberPicker({ contacts, selectedIds, onChange, excludeIds = [] }) {
+  const [query, setQuery] = useState('');
+
+  const users = useMemo(() => {
+    const seen = new Set(excludeIds);
+    const q = query.trim().toLowerCase();
+    return (contacts || [])
+      .map((c) => c.user || c)
+      .filter((u) => {
+        if (!u?._id || seen.has(u._id)) return false;
+        seen.add(u._id);
+        return !q || (u.U_Id || '').toLowerCase().includes(q);
+      });
+  }, [contacts, excludeIds, query]);
+
+  const toggle = (userId) => {
+    onChange(
+      selectedIds.includes(userId)
+        ? selectedIds.filter((id) => id !== userId)
+        : [...selectedIds, userId],
+    );
+  };
+
+  return (
+    <View className="flex-1">
+      <View className="flex-row items-center bg-dark-surface rounded-2xl px-3 py-2 border border-dark-border mb-3">
+        <Ionicons name="search" size={18} color="#6B7280" />
+        <TextInput
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search contacts"
+          placeholderTextColor="#6B7280"
+          className="flex-1 ml-2 text-dark-text-primary"
+        />
+      </View>
+
+      <FlatList
+        data={users}
+        keyExtractor={(item) => item._id}
+        keyboardShouldPersistTaps="handled"
+        renderItem={({ item }) => {
+          const selected = selectedIds.includes(item._id);
+          return (
+            <TouchableOpacity
+              onPress={() => toggle(item._id)}
+              className="flex-row items-center bg-dark-surface border border-dark-border rounded-xl px-4 py-3 mb-2"
+            >
+              <View className="w-10 h-10 rounded-full bg-blue-600 justify-center items-center mr-3">
+                <Text className="text-white font-bold">
+                  {item.U_Id?.charAt(0).toUpperCase() || '?'}
+                </Text>
+              </View>
+              <Text className="flex-1 text-dark-text-primary font-medium">
+                {item.U_Id || 'User'}
+              </Text>
+              <Ionicons
+                name={selected ? 'checkmark-circle' : 'ellipse-outline'}
+                size={24}
+                color={selected ? '#3B82F6' : '#6B7280'}
+              />
+            </TouchableOpacity>
+          );
+        }}
+        ListEmptyComponent={
+          <Text className="text-dark-text-muted text-center py-10">
+            {query ? 'No matching contacts' : 'No contacts to add'}
+          </Text>
+        }
+      />
+    </View>
+  );
+}
@@ -0,0 +1,59 @@
+import { Ionicons } from '@expo/vector-icons';
+import { TouchableOpacity, View } from 'react-native';
+import Svg, { Circle } from 'react-native-svg';
+
+/**
+ * Circular progress of a media transfer with a cancel (or retry) button in the middle
+ * @param {number} progress - 0..1
+ * @param {boolean} failed - Show a retry button instead of cancel
+ */
+export default function ProgressRing({
+  progress = 0,
+  size = 48,
+  strokeWidth = 4,
+  color = '#60A5FA',
+  failed = false,
+  onCancel,
+  onRetry,
+}) {
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const clamped = Math.min(Math.max(progress, 0), 1);
+
+  return (
+    <TouchableOpacity
+      onPress={failed ? onRetry : onCancel}
+      disabled={failed ? !onRetry : !onCancel}
+      style={{ width: size, height: size }}
+      className="justify-center items-center"
+    >
+      <Svg width={size} height={size} style={{ position: 'absolute' }}>
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke="rgba(255,255,255,0.2)"
+          strokeWidth={strokeWidth}
+          fill="rgba(0,0,0,0.35)"
+        />
+        {!failed && (
+          <Circle
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            stroke={color}
+            strokeWidth={strokeWidth}
+            fill="none"
+            strokeLinecap="round"
+            strokeDasharray={`${circumference} ${circumference}`}
+            strokeDashoffset={circumference * (1 - clamped)}
+            transform={`rotate(-90 ${size / 2} ${size / 2})`}
+          />
+        )}
+      </Svg>
+      <View>
+        <Ionicons name={failed ? 'refresh' : 'close'} size={size / 2.4} color="#fff" />
+      </View>
+    </TouchableOpacity>
+  );
+}
@@ -0,0 +1,71 @@
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useEffect, useRef } from 'react';
+import { Linking, Modal, Text, TouchableOpacity, View } from 'react-native';
+
+/**
+ * Full-screen QR scanner in a modal
+ * Asks for camera permission when opened and reports the first scanned code
+ */
+export default function QRScannerModal({ visible, onClose, onScanned, title }) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const scannedRef = useRef(false); // The camera keeps reporting the code until the modal closes
+
+  useEffect(() => {
+    if (!visible) return;
+    scannedRef.current = false;
+    if (permission?.status === 'undetermined') {
+      requestPermission();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible, permission?.status]);
+
+  const handleBarcodeScanned = ({ data }) => {
+    if (scannedRef.current) return;
+    scannedRef.current = true;
+    onClose();
+    onScanned(data);
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View className="flex-1 bg-black/80 justify-center px-6">
+        {title && (
+          <Text className="text-white text-lg font-semibold mb-4 text-center">{title}</Text>
+        )}
+        <View className="rounded-2xl overflow-hidden border border-pink-700/40">
+          {permission?.status === 'denied' ? (
+            <View className="bg-gray-900 p-6">
+              <Text className="text-red-400 mb-3 font-semibold">Camera permission denied</Text>
+              <Text className="text-gray-300 text-sm mb-4">
+                Enable camera access in settings to scan QR codes.
+              </Text>
+              <TouchableOpacity
+                onPress={() =>
+                  permission.canAskAgain ? requestPermission() : Linking.openSettings()
+                }
+                className="bg-pink-600 rounded-xl py-3 items-center"
+              >
+                <Text className="text-white font-semibold">Retry Permission</Text>
+              </TouchableOpacity>
+            </View>
+          ) : permission?.granted && visible ? (
+            <CameraView
+              facing="back"
+              barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+              onBarcodeScanned={handleBarcodeScanned}
+              style={{ width: '100%', height: 320 }}
+            />
+          ) : (
+            <View className="bg-gray-900" style={{ height: 320 }} />
+          )}
+        </View>
+        <TouchableOpacity
+          onPress={onClose}
+          className="mt-4 bg-gray-800 rounded-xl py-3 items-center border border-gray-700"
+        >
+          <Text className="text-gray-200 font-medium">Close Scanner</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
@@ -1,10 +1,17 @@
 import { createContext, useCallback, useEffect, useState } from 'react';
 import { Alert } from 'react-native';
+import { setAuthFailureHandler } from '../services/api';
 import { authService } from '../services/authService';
 import { userService } from '../services/user.service';
-import { keyService } from '../services/keyService';
 import { socketService } from '../services/socket';
-import signalProtocol from '../services/signalProtocol'; // ✅ NEW: For background key generation
+import { SOCKET_EVENTS } from '../services/socketEvents';
+import keyMaintenance from '../services/keyMaintenance';
+import messageQueue from '../services/messageQueue';
+import localDatabase from '../services/localDatabase';
+import plaintextCache from '../services/plaintextCache';
+import mediaCache from '../services/mediaCache';
+import identityTrust from '../services/identityTrust';
+import senderKeys from '../services/senderKeys';
 
 export const AuthContext = createContext();
 
@@ -17,12 +24,12 @@ export const AuthProvider = ({ children }) => {
     console.log('🔄 App mounted - checking for existing session...');
     checkStoredSession();
 
-    // ✅ FIX: Listen for force logout from another device
+    // Listen for force logout (this device was unlinked from another one)
     const handleForceLogout = (data) => {
       console.log('🚪 Force logout event received:', data);
       Alert.alert(
         'Logged Out',
-        data.message || 'You have been logged out because you logged in on another device',
+        data.message || 'You have been logged out because this device was unlinked',
         [
           {
             text: 'OK',
@@ -36,11 +43,18 @@ export const AuthProvider = ({ children }) => {
     };
 
     // Listen for force logout events
-    socketService.on('force:logout', handleForceLogout);
+    socketService.on(SOCKET_EVENTS.FORCE_LOGOUT, handleForceLogout);
+
+    // ✅ Token refresh failed (refresh token expired/revoked) - sign out cleanly
+    setAuthFailureHandler(() => {
+      Alert.alert('Session Expired', 'Please log in again.', [{ text: 'OK' }]);
+      logout();
+    });
 
     // Cleanup
     return () => {
-      socketService.off('force:logout', handleForceLogout);
+      socketService.off(SOCKET_EVENTS.FORCE_LOGOUT, handleForceLogout);
+      setAuthFailureHandler(null);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
@@ -51,14 +65,9 @@ export const AuthProvider = ({ children }) => {
   const generateKeysInBackground = async () => {
     try {
       console.log('🔑 Checking/Generating E2EE keys in background...');
-      // This will check if keys exist, if not generate and upload them
-      const bundle = await signalProtocol.generatePrekeyBundle();
-
-      if (bundle) {
-        console.log('📤 Uploading E2EE keys to server...');
-        await keyService.uploadPrekeyBundle(bundle);
-        console.log('✅ E2EE keys uploaded successfully');
-      }
+      // Publishes the bundle if the server has none, tops up one-time prekeys,
+      // rotates the signed prekey - and repeats that on every socket connect
+      await keyMaintenance.start();
     } catch (error) {
       console.warn('⚠️ Background key generation/upload failed:', error);
     }
@@ -126,16 +135,58 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish linking this device to an account (result of deviceLinking.waitForApproval)
+  const completeDeviceLink = async ({ accessToken, refreshToken, bootstrap }) => {
+    try {
+      await authService.completeDeviceLink({ accessToken, refreshToken });
+
+      // Contacts from the approving device - the chat list shows before the first sync
+      if (bootstrap.chats) {
+        await localDatabase.saveChats(bootstrap.chats);
+      }
+
+      setUser(bootstrap.user);
+      // This device gets its own identity key and prekeys
+      generateKeysInBackground();
+      return { success: true, user: bootstrap.user };
+    } catch (error) {
+      console.error('❌ Complete device link error:', error);
+      return {
+        success: false,
+        error: error.message || 'Linking failed',
+      };
+    }
+  };
+
   const logout = async () => {
     try {
       console.log('🚪 Logout initiated...');
       await authService.logout();
-      setUser(null);
-      console.log('✅ User logged out successfully');
     } catch (error) {
       console.error('❌ Logout error:', error);
-      // Still clear user state even if API fails
+    } finally {
+      // Wipe local data even if the server call failed (e.g. offline) - decrypted
+      // plaintext and keys must not outlive the session on this device
+      keyMaintenance.stop();
+      socketService.disconnect();
+      // Queued messages belong to this account - never send them as the next user
+      const localStores = [
+        messageQueue,
+        localDatabase,
+        plaintextCache,
+        mediaCache,
+        identityTrust,
+        senderKeys,
+      ];
+      for (const store of localStores) {
+        try {
+          await store.clear();
+        } catch (error) {
+          console.error('❌ Failed to clear local data on logout:', error);
+        }
+      }
       setUser(null);
+      console.log('✅ User logged out');
     }
   };
 
@@ -179,6 +230,7 @@ export const AuthProvider = ({ children }) => {
         isLoading,
         sendOTP,
         verifyOTP,
+        completeDeviceLink,
         logout,
         getUser,
         updateUserProfile,
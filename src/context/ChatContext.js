@@ -5,27 +5,120 @@ import { chatService } from '../services/chatService';
 import { userService } from '../services/user.service';
 import notificationService from '../services/notificationService';
 import { socketService } from '../services/socket';
+import { SOCKET_EVENTS } from '../services/socketEvents';
 import {
   // initializeE2EE, // Unused
   // sendEncryptedMessage, // Unused
   receiveEncryptedMessage, // Keep if used, otherwise remove
 } from '../services/e2eeManager';
+import localDatabase from '../services/localDatabase';
+import plaintextCache from '../services/plaintextCache';
+import mediaCache from '../services/mediaCache';
+import identityTrust, { TRUST_STATES } from '../services/identityTrust';
+import sessionRecovery from '../services/sessionRecovery';
+import senderKeys from '../services/senderKeys';
+import { deviceService } from '../services/device';
+import deviceLinking from '../services/deviceLinking';
 import messageQueue from '../services/messageQueue'; // ✅ NEW: Message queue for background sending
+import transferManager, {
+  TRANSFER_STATUS,
+  TransferCancelledError,
+} from '../services/transferManager';
 
 import { AuthContext } from './AuthContext';
 
 export const ChatContext = createContext();
 
+const MESSAGE_PAGE_SIZE = 50;
+
+/**
+ * Newest page of a conversation - widened to still include `keepFromId`
+ * (the oldest message already on screen) so a sync never drops loaded pages
+ */
+const latestWindow = (conversation, keepFromId) => {
+  const pageStart = Math.max(conversation.length - MESSAGE_PAGE_SIZE, 0);
+  const keepFrom = keepFromId ? conversation.findIndex((msg) => msg._id === keepFromId) : -1;
+  return conversation.slice(keepFrom >= 0 ? Math.min(keepFrom, pageStart) : pageStart);
+};
+
+/**
+ * Locally generated notices (identity changes) - never sent, never paged from the server
+ */
+const isSystemMessage = (message) => message?.messageType === 'system';
+
+/**
+ * Whether a page response means there is older history left on the server
+ */
+const hasMorePages = (data, limit) => data.hasMore ?? (data.messages || []).length >= limit;
+
+/**
+ * Group members are user IDs or populated users, depending on the endpoint
+ */
+const memberUserId = (member) => member.user?._id || member.user;
+
+/**
+ * Whether this device has to decrypt a message - everything others sent, and our own
+ * messages sent from another of our devices (this device's own are in the plaintext cache)
+ * File messages count until their file key is decrypted.
+ */
+const needsDecryption = (message, userId, deviceId) => {
+  const hasEncryptedText =
+    message.encryptedText && (message.ratchetHeader || message.senderKeyHeader);
+  const hasEncryptedFileKey = message.encryptedFileKey && !message.fileKey;
+  if (!hasEncryptedText && !hasEncryptedFileKey) return false;
+  const senderId = message.senderId?._id || message.senderId;
+  return senderId !== userId || (!!message.senderDeviceId && message.senderDeviceId !== deviceId);
+};
+
+/**
+ * Decrypt a received E2EE message - each ciphertext is only ever decrypted once,
+ * repeated calls (history refetch, socket redelivery) are answered from the plaintext cache.
+ * receiveEncryptedMessage holds the sender's session lock, so decryptions for one
+ * sender never interleave with each other or with our sends to them.
+ * Room messages are decrypted with the sender's sender key for the room (see senderKeys).
+ * File messages get their file key decrypted (for the preview and the later download).
+ * A failed decryption starts a session reset (see sessionRecovery).
+ *
+ * @param {object} options
+ * @param {boolean} options.live - Arrived over the socket just now (its sender key may still
+ *   be on the way)
+ */
+const decryptReceivedMessage = async (message, { live = false } = {}) => {
+  const entry = await plaintextCache.decryptOnce(message, async (msg) => {
+    const senderId = msg.senderId?._id || msg.senderId;
+    try {
+      if (msg.senderKeyHeader) {
+        return await senderKeys.decrypt({ ...msg, senderId }, { waitForKey: live });
+      }
+      if (msg.encryptedFileKey && !msg.encryptedText) {
+        const mediaEncryption = (await import('../services/mediaEncryption')).default;
+        const fileKey = await mediaEncryption.receiveFileKey({ ...msg, senderId });
+        return { text: msg.text || '', fileKey };
+      }
+      return await receiveEncryptedMessage({ ...msg, senderId });
+    } catch (error) {
+      if (!msg.roomId) {
+        sessionRecovery.reportDecryptionFailure(senderId, msg._id, msg.senderDeviceId);
+      }
+      throw error;
+    }
+  });
+  return { ...message, ...entry, encryptedText: undefined };
+};
+
 export function ChatProvider({ children }) {
   const { user } = useContext(AuthContext);
   const router = useRouter();
 
   // State
   const [chats, setChats] = useState([]);
+  const [groups, setGroups] = useState([]);
   const [primaryChats, setPrimaryChats] = useState([]);
   const [secondaryChats, setSecondaryChats] = useState([]);
   const [activeChat, setActiveChat] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [loadingOlderMessages, setLoadingOlderMessages] = useState(false);
   // Temp session state
   const [activeTempSession, setActiveTempSession] = useState(null); // { sessionId, code, alias }
   const [onlineUsers, setOnlineUsers] = useState([]);
@@ -41,15 +134,51 @@ export function ChatProvider({ children }) {
     activeChatRef.current = activeChat;
   }, [activeChat]);
 
+  // Guards against overlapping "load older" calls (onStartReached fires repeatedly)
+  const loadingOlderRef = useRef(false);
+
+  // Unfinished uploads (transferId -> { uri, fileKey }) - the picked file is cached as our
+  // own copy, the file key kept to show the preview (our envelopes are for the recipient)
+  const pendingUploadsRef = useRef(new Map());
+
   // Note: E2EE initialization is now handled in AuthContext (background)
   // and on-demand via signalProtocol.ensureSession()
 
   /**
-   * Load all chats
+   * Put a chat list ({ primaryChat, secondaryChat }) into state
+   */
+  const applyChats = useCallback((data) => {
+    setPrimaryChats(data.primaryChat || []);
+    setSecondaryChats(data.secondaryChat || []);
+
+    // Extract muted chat IDs for quick lookup
+    const mutedIds = new Set();
+    (data.primaryChat || []).forEach((chat) => {
+      if (chat.isMuted) mutedIds.add(chat._id);
+    });
+    (data.secondaryChat || []).forEach((chat) => {
+      if (chat.user?.isMuted) mutedIds.add(chat.user._id);
+    });
+    setMutedChats(mutedIds);
+
+    // Combine all chats for easier access
+    const allChats = [...(data.primaryChat || []), ...(data.secondaryChat || [])];
+    setChats(allChats);
+    return allChats;
+  }, []);
+
+  /**
+   * Load all chats (local database first, then the server)
    */
   const loadChats = useCallback(async () => {
+    // ✅ Offline-first: show the stored chat list right away
+    const cachedChats = await localDatabase.getChats();
+    if (cachedChats) {
+      applyChats(cachedChats);
+    }
+
     try {
-      setLoading(true);
+      if (!cachedChats) setLoading(true);
       console.log('📥 Loading chats from API...');
       const data = await chatService.getChats();
 
@@ -58,22 +187,8 @@ export function ChatProvider({ children }) {
         secondaryCount: data.secondaryChat?.length || 0,
       });
 
-      setPrimaryChats(data.primaryChat || []);
-      setSecondaryChats(data.secondaryChat || []);
-
-      // Extract muted chat IDs for quick lookup
-      const mutedIds = new Set();
-      (data.primaryChat || []).forEach((chat) => {
-        if (chat.isMuted) mutedIds.add(chat._id);
-      });
-      (data.secondaryChat || []).forEach((chat) => {
-        if (chat.user?.isMuted) mutedIds.add(chat.user._id);
-      });
-      setMutedChats(mutedIds);
-
-      // Combine all chats for easier access
-      const allChats = [...(data.primaryChat || []), ...(data.secondaryChat || [])];
-      setChats(allChats);
+      const allChats = applyChats(data);
+      localDatabase.saveChats(data);
 
       console.log('✅ Chats loaded:', {
         total: allChats.length,
@@ -95,19 +210,163 @@ export function ChatProvider({ children }) {
     } finally {
       setLoading(false);
     }
+  }, [applyChats]);
+
+  /**
+   * Load the groups we are a member of (local database first, then the server)
+   */
+  const loadGroups = useCallback(async () => {
+    const cachedGroups = await localDatabase.getGroups();
+    if (cachedGroups) {
+      setGroups(cachedGroups);
+    }
+
+    try {
+      const data = await chatService.getGroups();
+      setGroups(data);
+      localDatabase.saveGroups(data);
+      console.log('✅ Groups loaded:', data.length);
+    } catch (error) {
+      console.error('❌ Failed to load groups:', error);
+    }
+  }, []);
+
+  /**
+   * Put a created/changed group into the list (keeps its last message)
+   */
+  const applyGroup = useCallback((group) => {
+    setGroups((prev) => {
+      const existing = prev.find((g) => g._id === group._id);
+      const next = existing
+        ? prev.map((g) => (g._id === group._id ? { ...g, ...group } : g))
+        : [{ ...group }, ...prev];
+      localDatabase.saveGroups(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Drop a group we are no longer a member of - with its history and sender keys
+   */
+  const removeGroupLocally = useCallback(async (groupId) => {
+    setGroups((prev) => {
+      const next = prev.filter((g) => g._id !== groupId);
+      localDatabase.saveGroups(next);
+      return next;
+    });
+
+    const conversationId = localDatabase.getConversationId({ isRoom: true, roomId: groupId });
+    const storedMessages = await localDatabase.getMessages(conversationId);
+    await plaintextCache.delete(storedMessages.map((msg) => msg._id));
+    await mediaCache.delete(storedMessages.map((msg) => msg._id));
+    await localDatabase.clearConversation(conversationId);
+    await senderKeys.forgetRoom(groupId);
+  }, []);
+
+  /**
+   * Mirror queue status changes of an outgoing message into the message list
+   */
+  const trackQueuedMessage = useCallback((messageId) => {
+    messageQueue.onStatusChange(messageId, (status) => {
+      setMessages((prev) => prev.map((msg) => (msg._id === messageId ? { ...msg, status } : msg)));
+    });
+  }, []);
+
+  /**
+   * Retry a message that moved to the "failed" state
+   */
+  const retryMessage = useCallback((messageId) => {
+    if (!messageQueue.retryMessage(messageId)) {
+      console.warn('⚠️ Message no longer in outbox:', messageId);
+    }
   }, []);
 
   /**
-   * Load messages for a specific chat
+   * Append messages still waiting in the outbox (e.g. queued before a restart)
+   * @param {object} conversation - { receiverId } / { roomId } / { tempSessionId, isTemp }
+   */
+  const withQueuedMessages = useCallback(
+    async (conversation, loadedMessages) => {
+      await messageQueue.hydrate();
+
+      const loadedClientIds = new Set(
+        loadedMessages.map((msg) => msg.clientMessageId).filter(Boolean),
+      );
+      const queuedMessages = messageQueue
+        .getQueuedMessages(conversation)
+        .filter((msg) => !loadedClientIds.has(msg.id))
+        .map((msg) => ({ ...msg, _id: msg.id }));
+      queuedMessages.forEach((msg) => trackQueuedMessage(msg._id));
+
+      return [...loadedMessages, ...queuedMessages];
+    },
+    [trackQueuedMessage],
+  );
+
+  /**
+   * Fill in plaintext for fetched history: cached text first, then decrypt (once)
+   * received messages that were never delivered over the socket (e.g. sent while offline)
+   */
+  const withPlaintext = useCallback(
+    async (fetchedMessages) => {
+      const filled = await plaintextCache.apply(fetchedMessages);
+      const deviceId = await deviceService.getDeviceId();
+
+      // Oldest first - the ratchet has to see messages in order
+      const readable = [];
+      for (const msg of filled) {
+        if (needsDecryption(msg, user?._id, deviceId)) {
+          readable.push(await decryptReceivedMessage(msg));
+        } else {
+          readable.push(msg);
+        }
+      }
+      return readable;
+    },
+    [user],
+  );
+
+  /**
+   * Load messages for a specific chat (local database first, then a delta sync)
    */
   const loadMessages = useCallback(
     async (userId) => {
+      // ✅ Offline-first: render stored history instantly
+      const storedMessages = await plaintextCache.apply(await localDatabase.getMessages(userId));
+      const cachedMessages = latestWindow(storedMessages);
+      setHasMoreMessages(true);
+      if (cachedMessages.length > 0) {
+        setMessages(await withQueuedMessages({ receiverId: userId }, cachedMessages));
+      }
+
       try {
-        setLoading(true);
-        const data = await chatService.getMessages(userId);
-        setMessages(data.messages || []);
+        if (cachedMessages.length === 0) setLoading(true);
+        const syncStartedAt = new Date().toISOString();
+        const since = await localDatabase.getSyncCursor(userId);
+        // First sync only needs the newest page - older pages load on scroll
+        const data = await chatService.getMessages(
+          userId,
+          since ? { since } : { limit: MESSAGE_PAGE_SIZE },
+        );
+        const readableMessages = await withPlaintext(data.messages || []);
+        const merged = await localDatabase.mergeServerMessages(
+          userId,
+          readableMessages,
+          syncStartedAt,
+        );
+        setMessages(
+          await withQueuedMessages(
+            { receiverId: userId },
+            latestWindow(merged, cachedMessages[0]?._id),
+          ),
+        );
+        if (!since) setHasMoreMessages(hasMorePages(data, MESSAGE_PAGE_SIZE));
 
-        console.log('✅ Messages loaded:', data.messages?.length || 0);
+        console.log(
+          '✅ Messages synced:',
+          data.messages?.length || 0,
+          since ? '(delta)' : '(full)',
+        );
 
         // Mark unread messages as read
         if (data.messages && socketService.isSocketConnected()) {
@@ -119,36 +378,118 @@ export function ChatProvider({ children }) {
           });
         }
 
-        return data.messages || [];
+        return merged;
       } catch (error) {
         console.error('❌ Failed to load messages:', error);
-        return [];
+        // Offline - keep the stored history and still show what we're about to send
+        setMessages(await withQueuedMessages({ receiverId: userId }, cachedMessages));
+        return cachedMessages;
       } finally {
         setLoading(false);
       }
     },
-    [user],
+    [user, withQueuedMessages, withPlaintext],
   );
 
   /**
-   * Load messages for a room
+   * Load messages for a room (local database first, then a delta sync)
    */
-  const loadRoomMessages = useCallback(async (roomId) => {
+  const loadRoomMessages = useCallback(
+    async (roomId) => {
+      const conversationId = localDatabase.getConversationId({ isRoom: true, roomId });
+      const cachedMessages = latestWindow(
+        await plaintextCache.apply(await localDatabase.getMessages(conversationId)),
+      );
+      setHasMoreMessages(true);
+      if (cachedMessages.length > 0) {
+        setMessages(await withQueuedMessages({ roomId }, cachedMessages));
+      }
+
+      try {
+        if (cachedMessages.length === 0) setLoading(true);
+        const syncStartedAt = new Date().toISOString();
+        const since = await localDatabase.getSyncCursor(conversationId);
+        const data = await chatService.getRoomMessages(
+          roomId,
+          since ? { since } : { limit: MESSAGE_PAGE_SIZE },
+        );
+        const readableMessages = await withPlaintext(data.messages || []);
+        const merged = await localDatabase.mergeServerMessages(
+          conversationId,
+          readableMessages,
+          syncStartedAt,
+        );
+        setMessages(
+          await withQueuedMessages({ roomId }, latestWindow(merged, cachedMessages[0]?._id)),
+        );
+        if (!since) setHasMoreMessages(hasMorePages(data, MESSAGE_PAGE_SIZE));
+
+        console.log('✅ Room messages synced:', data.messages?.length || 0);
+
+        return merged;
+      } catch (error) {
+        console.error('❌ Failed to load room messages:', error);
+        // Offline - keep the stored history and still show what we're about to send
+        setMessages(await withQueuedMessages({ roomId }, cachedMessages));
+        return cachedMessages;
+      } finally {
+        setLoading(false);
+      }
+    },
+    [withQueuedMessages, withPlaintext],
+  );
+
+  /**
+   * Load the page before the oldest message on screen (infinite scroll upwards)
+   * Served from the local database when it has enough, otherwise fetched with a `before` cursor
+   */
+  const loadOlderMessages = useCallback(async () => {
+    const chat = activeChatRef.current;
+    if (!chat || chat.isTemp || !hasMoreMessages || loadingOlderRef.current) return;
+
+    const oldestShown = messages.find(
+      (msg) => msg._id && !String(msg._id).startsWith('temp_') && !isSystemMessage(msg),
+    );
+    if (!oldestShown) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlderMessages(true);
     try {
-      setLoading(true);
-      const data = await chatService.getRoomMessages(roomId);
-      setMessages(data.messages || []);
+      const conversationId = localDatabase.getConversationId(chat);
+      const stored = await plaintextCache.apply(await localDatabase.getMessages(conversationId));
+      const oldestIndex = stored.findIndex((msg) => msg._id === oldestShown._id);
+      let olderMessages =
+        oldestIndex > 0
+          ? stored.slice(Math.max(oldestIndex - MESSAGE_PAGE_SIZE, 0), oldestIndex)
+          : [];
+
+      if (olderMessages.length < MESSAGE_PAGE_SIZE) {
+        const cursor = olderMessages.find((msg) => !isSystemMessage(msg)) || oldestShown;
+        const options = { before: cursor._id, limit: MESSAGE_PAGE_SIZE - olderMessages.length };
+        const data = chat.isRoom
+          ? await chatService.getRoomMessages(chat.roomId, options)
+          : await chatService.getMessages(chat._id, options);
+        const fetched = await withPlaintext(data.messages || []);
+
+        // No sync cursor here - this page is older than anything the delta sync tracks
+        await localDatabase.mergeServerMessages(conversationId, fetched);
+        olderMessages = localDatabase.mergeMessageLists(fetched, olderMessages);
+        setHasMoreMessages(hasMorePages(data, options.limit));
+      }
 
-      console.log('✅ Room messages loaded:', data.messages?.length || 0);
+      console.log('📜 Loaded older messages:', olderMessages.length);
 
-      return data.messages || [];
+      setMessages((prev) => {
+        const shownIds = new Set(prev.map((msg) => msg._id));
+        return [...olderMessages.filter((msg) => !shownIds.has(msg._id)), ...prev];
+      });
     } catch (error) {
-      console.error('❌ Failed to load room messages:', error);
-      return [];
+      console.error('❌ Failed to load older messages:', error);
     } finally {
-      setLoading(false);
+      loadingOlderRef.current = false;
+      setLoadingOlderMessages(false);
     }
-  }, []);
+  }, [messages, hasMoreMessages, withPlaintext]);
 
   /**
    * Open a chat with a user
@@ -202,6 +543,9 @@ export function ChatProvider({ children }) {
         isRoom: true,
         roomId: roomId,
       });
+      setGroups((prev) =>
+        prev.map((group) => (group._id === roomId ? { ...group, unreadCount: 0 } : group)),
+      );
 
       // Join the room via socket
       if (socketService.isSocketConnected()) {
@@ -217,59 +561,69 @@ export function ChatProvider({ children }) {
   /**
    * Open temp session (treated as 1-to-1 E2EE chat, not room)
    */
-  const openTempSession = useCallback(async (session) => {
-    if (!session) return;
-    console.log('🚧 Opening temp session:', session);
-    setActiveTempSession(session);
-
-    // ✅ NEW: Use 1-to-1 mode for E2EE (not room mode)
-    // If there's another participant, use their ID as chat partner
-    const otherParticipantId = session.otherParticipantId;
+  const openTempSession = useCallback(
+    async (session) => {
+      if (!session) return;
+      console.log('🚧 Opening temp session:', session);
+      setActiveTempSession(session);
+
+      // ✅ NEW: Use 1-to-1 mode for E2EE (not room mode)
+      // If there's another participant, use their ID as chat partner
+      const otherParticipantId = session.otherParticipantId;
+
+      if (otherParticipantId) {
+        // Another user joined - establish E2EE session
+        setActiveChat({
+          _id: otherParticipantId, // Chat with other participant
+          U_Id: session.alias,
+          isRoom: false, // ✅ 1-to-1 mode (enables E2EE)
+          tempSessionId: session.sessionId,
+          isTemp: true,
+        });
 
-    if (otherParticipantId) {
-      // Another user joined - establish E2EE session
-      setActiveChat({
-        _id: otherParticipantId, // Chat with other participant
-        U_Id: session.alias,
-        isRoom: false, // ✅ 1-to-1 mode (enables E2EE)
-        tempSessionId: session.sessionId,
-        isTemp: true,
-      });
+        // ✅ FIXED: Background E2EE setup (non-blocking, WhatsApp approach)
+        console.log('🔐 Starting E2EE setup for temp chat in background...');
+        const signalProtocol = (await import('../services/signalProtocol')).default;
 
-      // ✅ FIXED: Background E2EE setup (non-blocking, WhatsApp approach)
-      console.log('🔐 Starting E2EE setup for temp chat in background...');
-      const signalProtocol = (await import('../services/signalProtocol')).default;
+        // Background setup - doesn't block UI
+        signalProtocol
+          .ensureSession(otherParticipantId)
+          .then(() => {
+            console.log('✅ Temp chat E2EE ready');
+          })
+          .catch((error) => {
+            console.error('❌ E2EE setup failed:', error.message);
+            // Strict E2EE: Messages will fail to send if this doesn't succeed
+          });
 
-      // Background setup - doesn't block UI
-      signalProtocol
-        .ensureSession(otherParticipantId)
-        .then(() => {
-          console.log('✅ Temp chat E2EE ready');
-        })
-        .catch((error) => {
-          console.error('❌ E2EE setup failed:', error.message);
-          // Strict E2EE: Messages will fail to send if this doesn't succeed
+        // Load messages for this temp session (and what's still in the outbox for it)
+        let loadedMessages = [];
+        try {
+          const data = await chatService.getTempSessionMessages(session.sessionId);
+          loadedMessages = data.messages || [];
+        } catch (e) {
+          console.warn('Failed loading temp session messages', e);
+        }
+        setMessages(
+          await withQueuedMessages(
+            { tempSessionId: session.sessionId, isTemp: true },
+            loadedMessages,
+          ),
+        );
+      } else {
+        // Waiting for other participant - show waiting room
+        setActiveChat({
+          _id: `temp_waiting_${session.sessionId}`,
+          U_Id: session.alias,
+          isRoom: false,
+          tempSessionId: session.sessionId,
+          isTemp: true,
+          waiting: true, // Flag to show "waiting for participant" UI
         });
-
-      // Load messages for this temp session
-      try {
-        const data = await chatService.getTempSessionMessages(session.sessionId);
-        setMessages(data.messages || []);
-      } catch (e) {
-        console.warn('Failed loading temp session messages', e);
       }
-    } else {
-      // Waiting for other participant - show waiting room
-      setActiveChat({
-        _id: `temp_waiting_${session.sessionId}`,
-        U_Id: session.alias,
-        isRoom: false,
-        tempSessionId: session.sessionId,
-        isTemp: true,
-        waiting: true, // Flag to show "waiting for participant" UI
-      });
-    }
-  }, []);
+    },
+    [withQueuedMessages],
+  );
 
   /**
    * End temp session
@@ -302,11 +656,22 @@ export function ChatProvider({ children }) {
         return;
       }
 
+      // A verified contact's identity key changed - don't encrypt to it without consent
+      if (!activeChat.isRoom && (await identityTrust.isSendBlocked(activeChat._id))) {
+        Alert.alert(
+          'Safety Number Changed',
+          'Accept the new safety number for this contact before sending messages.',
+        );
+        return;
+      }
+
       // ✅ OPTIMISTIC UI: Create temp message (shows instantly)
       const tempMessage = {
         _id: `temp_${Date.now()}_${Math.random()}`,
         senderId: user._id,
-        receiverId: activeChat._id,
+        receiverId: activeChat.isRoom ? undefined : activeChat._id,
+        roomId: activeChat.isRoom ? activeChat.roomId : undefined,
+        selfDestruct: activeChat.isRoom && selfDestruct?.enabled ? selfDestruct : undefined,
         text: text.trim(),
         status: 'pending', // ⏱ Clock icon in UI
         createdAt: new Date(),
@@ -318,32 +683,16 @@ export function ChatProvider({ children }) {
       setMessages((prev) => [...prev, tempMessage]);
 
       // ✅ Queue for background E2EE sending
-      if (!activeChat.isRoom) {
-        // Direct message - use E2EE queue
-        console.log('📥 Queuing message for E2EE encryption...');
-        messageQueue.enqueue(tempMessage);
-
-        // Listen for status updates
-        messageQueue.onStatusChange(tempMessage._id, (status) => {
-          if (status === 'sent') {
-            // Update message status to sent
-            setMessages((prev) =>
-              prev.map((msg) => (msg._id === tempMessage._id ? { ...msg, status: 'sent' } : msg)),
-            );
-          } else if (status === 'failed') {
-            // Show retry option
-            setMessages((prev) =>
-              prev.map((msg) => (msg._id === tempMessage._id ? { ...msg, status: 'failed' } : msg)),
-            );
-          }
-        });
-      } else {
-        // Room message - send directly (no E2EE for rooms)
-        console.log('📤 Sending room message to:', activeChat.roomId);
-        socketService.sendMessage(null, text.trim(), 'text', activeChat.roomId, selfDestruct);
-      }
+      // (direct messages over the pairwise sessions, room messages with our sender key)
+      console.log('📥 Queuing message for E2EE encryption...');
+      // Our own ciphertext is unreadable to us once sent - keep the plaintext
+      plaintextCache.set(tempMessage, tempMessage.text);
+      messageQueue.enqueue(tempMessage);
+
+      // Listen for status updates
+      trackQueuedMessage(tempMessage._id);
     },
-    [activeChat, user],
+    [activeChat, user, trackQueuedMessage],
   );
 
   /**
@@ -355,6 +704,9 @@ export function ChatProvider({ children }) {
 
       // Remove from local state
       setMessages((prev) => prev.filter((msg) => msg._id !== messageId));
+      localDatabase.removeMessage(messageId);
+      plaintextCache.delete(messageId);
+      mediaCache.delete(messageId);
 
       Alert.alert('Success', 'Message deleted');
     } catch (_error) {
@@ -375,6 +727,9 @@ export function ChatProvider({ children }) {
           msg._id === messageId ? { ...msg, deleted: true, text: 'This message was deleted' } : msg,
         ),
       );
+      localDatabase.updateMessage(messageId, { deleted: true, text: 'This message was deleted' });
+      plaintextCache.delete(messageId);
+      mediaCache.delete(messageId);
 
       Alert.alert('Success', 'Message deleted for everyone');
     } catch (_error) {
@@ -425,55 +780,175 @@ export function ChatProvider({ children }) {
   const closeChat = useCallback(() => {
     setActiveChat(null);
     setMessages([]);
+    setHasMoreMessages(false);
     if (activeTempSession) {
       endTempSession();
     }
   }, [activeTempSession, endTempSession]);
 
+  /**
+   * Post a notice into the conversation when a contact's identity key changes
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    return identityTrust.onChange((peerUserId, record, event) => {
+      // Our own other devices have no conversation to post into
+      if (event !== 'changed' || peerUserId === user._id) return;
+
+      const device = record.deviceId || 'main';
+      const notice = {
+        _id: `system_identity_${peerUserId}_${device}_${new Date(record.changedAt).getTime()}`,
+        messageType: 'system',
+        senderId: peerUserId,
+        receiverId: user._id,
+        text: record.newDevice
+          ? 'New device added. Sending is paused until you accept or verify it.'
+          : record.state === TRUST_STATES.CHANGED
+            ? 'Safety number changed. Sending is paused until you accept the new key.'
+            : 'Safety number changed. Verify it to make sure your chat is still private.',
+        createdAt: record.changedAt,
+        read: true,
+      };
+
+      localDatabase.upsertMessage(peerUserId, notice);
+
+      const currentActiveChat = activeChatRef.current;
+      if (currentActiveChat && !currentActiveChat.isRoom && currentActiveChat._id === peerUserId) {
+        setMessages((prev) => [...prev, notice]);
+      }
+    });
+  }, [user]);
+
+  /**
+   * Repair sessions with peers whose messages we can't decrypt (and answer their resets),
+   * follow contacts linking and unlinking devices, collect room members' sender keys
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    sessionRecovery.start();
+    deviceLinking.start();
+    senderKeys.start();
+    return () => {
+      sessionRecovery.stop();
+      deviceLinking.stop();
+      senderKeys.stop();
+    };
+  }, [user]);
+
   /**
    * Setup socket event listeners
    */
   useEffect(() => {
     if (!user) return;
 
+    // ✅ Restore the encrypted outbox - queued messages resume once the socket connects
+    messageQueue.hydrate();
+
+    // Named so cleanup removes only this listener - services subscribe to the same event
+    const handleConnectionStatus = ({ connected }) => {
+      console.log('🔌 Connection status changed:', connected);
+      setIsConnected(connected);
+      if (connected) {
+        console.log('✅ Socket connected, loading chats...');
+        loadChats();
+        loadGroups();
+        // ✅ FIXED: Retry pending messages after reconnection
+        const pendingCount = messageQueue.getPendingCount();
+        if (pendingCount > 0) {
+          console.log(`📤 Retrying ${pendingCount} pending messages after reconnection...`);
+          messageQueue.retryAll();
+        }
+      }
+    };
+
+    // New chat created (when user sends first message)
+    const handleChatCreated = ({ user, isInSecondary }) => {
+      console.log('🆕 New chat created:', user?.U_Id || user);
+      console.log('📋 Chat details:', { userId: user?._id, isInSecondary });
+      // Reload chats to include the new conversation
+      console.log('🔄 Reloading chats...');
+      loadChats();
+    };
+
+    // Chat request received (someone sent you first message)
+    const handleChatRequest = ({ sender }) => {
+      console.log('📬 Chat request from:', sender?.U_Id || sender);
+      console.log('📋 Sender details:', { userId: sender?._id });
+      // Reload chats to show the new request in secondary
+      console.log('🔄 Reloading chats...');
+      loadChats();
+    };
+
+    // Temp session joined (Creator notification)
+    const handleTempSessionJoined = async ({ sessionId, participantId, alias }) => {
+      console.log('👤 User joined temp session:', alias);
+      if (activeTempSession && activeTempSession.sessionId === sessionId) {
+        // Update active chat to enable messaging
+        setActiveChat((prev) => ({
+          ...prev,
+          _id: participantId, // Set chat partner ID
+          waiting: false, // Remove waiting state
+        }));
+
+        Alert.alert('User Joined', `${alias} has joined the chat!`);
+
+        // Establish E2EE
+        console.log('🔐 Establishing E2EE with new participant...');
+        try {
+          const signalProtocol = (await import('../services/signalProtocol')).default;
+          await signalProtocol.verifyIdentity(participantId);
+          await signalProtocol.ensureSession(participantId);
+          console.log('✅ E2EE established with joiner');
+        } catch (e) {
+          console.error('❌ Failed to establish E2EE with joiner:', e);
+        }
+      }
+    };
+
+    // Group created/renamed/members changed (by us on another device or by an admin)
+    const handleGroupUpdated = ({ group }) => {
+      console.log('👥 Group updated:', group._id);
+      applyGroup(group);
+    };
+
+    // Removed from a group (or it was deleted)
+    const handleGroupRemoved = ({ groupId, reason }) => {
+      console.log('👋 No longer a member of group:', groupId, reason);
+      removeGroupLocally(groupId);
+
+      const currentActiveChat = activeChatRef.current;
+      if (currentActiveChat?.isRoom && currentActiveChat.roomId === groupId) {
+        setActiveChat(null);
+        setMessages([]);
+        if (reason !== 'left') {
+          Alert.alert(
+            'Removed from Group',
+            reason === 'deleted'
+              ? 'This group was deleted.'
+              : 'You are no longer a member of this group.',
+          );
+        }
+        try {
+          router.replace('/(tabs)/chat');
+        } catch (e) {
+          console.warn('Navigation failure after group removal', e);
+        }
+      }
+    };
+
     const setupSocketListeners = () => {
       try {
         // Connection status
-        socketService.on('connection_status', ({ connected }) => {
-          console.log('🔌 Connection status changed:', connected);
-          setIsConnected(connected);
-          if (connected) {
-            console.log('✅ Socket connected, loading chats...');
-            loadChats();
-            // ✅ FIXED: Retry pending messages after reconnection
-            const pendingCount = messageQueue.getPendingCount();
-            if (pendingCount > 0) {
-              console.log(`📤 Retrying ${pendingCount} pending messages after reconnection...`);
-              messageQueue.retryAll();
-            }
-          }
-        });
+        socketService.on(SOCKET_EVENTS.CONNECTION_STATUS, handleConnectionStatus);
 
-        // New chat created (when user sends first message)
-        socketService.on('chat:created', ({ user, isInSecondary }) => {
-          console.log('🆕 New chat created:', user?.U_Id || user);
-          console.log('📋 Chat details:', { userId: user?._id, isInSecondary });
-          // Reload chats to include the new conversation
-          console.log('🔄 Reloading chats...');
-          loadChats();
-        });
-
-        // Chat request received (someone sent you first message)
-        socketService.on('chat:request', ({ sender }) => {
-          console.log('📬 Chat request from:', sender?.U_Id || sender);
-          console.log('📋 Sender details:', { userId: sender?._id });
-          // Reload chats to show the new request in secondary
-          console.log('🔄 Reloading chats...');
-          loadChats();
-        });
+        // Chats - named handlers so cleanup removes them (listeners survive reconnects)
+        socketService.on(SOCKET_EVENTS.CHAT_CREATED, handleChatCreated);
+        socketService.on(SOCKET_EVENTS.CHAT_REQUEST, handleChatRequest);
 
         // Message received
-        socketService.on('message:receive', async (message) => {
+        socketService.on(SOCKET_EVENTS.MESSAGE_RECEIVE, async (message) => {
           console.log('📨 Message received:', message);
 
           const senderId = message.senderId?._id || message.senderId;
@@ -482,22 +957,33 @@ export function ChatProvider({ children }) {
 
           // Decrypt message if encrypted (E2EE is always-on)
           let decryptedMessage = message;
-          if (message.encryptedText && message.ratchetHeader) {
-            try {
-              console.log('🔓 Decrypting E2EE message (always-on)...');
-              const plaintext = await receiveEncryptedMessage(message);
-              decryptedMessage = { ...message, text: plaintext, encryptedText: undefined };
+          if (
+            (message.encryptedText && (message.ratchetHeader || message.senderKeyHeader)) ||
+            message.encryptedFileKey
+          ) {
+            console.log('🔓 Decrypting E2EE message (always-on)...');
+            decryptedMessage = await decryptReceivedMessage(message, { live: true });
+            if (!decryptedMessage.decryptionError) {
               console.log('✅ Message decrypted successfully');
-            } catch (error) {
-              console.error('❌ Failed to decrypt message:', error);
-              decryptedMessage = {
-                ...message,
-                text: '[Unable to decrypt message]',
-                decryptionError: true,
-              };
             }
           }
 
+          // A resend after a session reset replaces the copy we couldn't decrypt
+          if (decryptedMessage.resendOf && !decryptedMessage.decryptionError) {
+            const failedId = decryptedMessage.resendOf;
+            setMessages((prev) => prev.filter((msg) => msg._id !== failedId));
+            localDatabase.removeMessage(failedId);
+            plaintextCache.delete(failedId);
+          }
+
+          // Persist the decrypted copy - the ratchet can't decrypt this message again
+          if (!decryptedMessage.tempSessionId) {
+            localDatabase.upsertMessage(
+              decryptedMessage.roomId ? `room:${decryptedMessage.roomId}` : senderId,
+              decryptedMessage,
+            );
+          }
+
           // Check if message belongs to current active chat/room (including temp)
           let isForActiveChat = false;
           if (currentActiveChat) {
@@ -550,6 +1036,22 @@ export function ChatProvider({ children }) {
             }
           }
 
+          // Update group list last message
+          if (decryptedMessage.roomId) {
+            setGroups((prev) =>
+              prev.map((group) =>
+                group._id === decryptedMessage.roomId
+                  ? {
+                      ...group,
+                      lastMessage: decryptedMessage.text,
+                      lastMessageTime: decryptedMessage.createdAt,
+                      unreadCount: isForActiveChat ? 0 : (group.unreadCount || 0) + 1,
+                    }
+                  : group,
+              ),
+            );
+          }
+
           // Update chat list last message WITHOUT full reload
           setChats((prev) =>
             prev.map((chat) => {
@@ -570,11 +1072,40 @@ export function ChatProvider({ children }) {
         });
 
         // Message sent confirmation
-        socketService.on('message:sent', (message) => {
-          console.log('✅ Message sent confirmation:', message._id);
+        socketService.on(SOCKET_EVENTS.MESSAGE_SENT, async (sentMessage) => {
+          console.log('✅ Message sent confirmation:', sentMessage._id);
+
+          // The server echo only has ciphertext - we can't decrypt our own ratchet messages,
+          // so the text cached at send time moves from the temp ID to the real one
+          const plaintext =
+            (await plaintextCache.move(sentMessage.clientMessageId, sentMessage._id)) ||
+            (await plaintextCache.get(sentMessage._id));
+          let message = plaintext
+            ? { ...sentMessage, ...plaintext, encryptedText: undefined }
+            : sentMessage;
+
+          // Sent from another of our devices - this device got its own encrypted copy
+          if (!plaintext && needsDecryption(message, user._id, await deviceService.getDeviceId())) {
+            message = await decryptReceivedMessage(message, { live: true });
+          }
 
           const currentActiveChat = activeChatRef.current;
 
+          // Resent after a session reset - the new copy takes the original's place
+          if (message.resendOf) {
+            setMessages((prev) => prev.filter((msg) => msg._id !== message.resendOf));
+            localDatabase.removeMessage(message.resendOf);
+            plaintextCache.delete(message.resendOf);
+          }
+
+          if (!message.tempSessionId) {
+            const receiverId = message.receiverId?._id || message.receiverId;
+            localDatabase.upsertMessage(
+              message.roomId ? `room:${message.roomId}` : receiverId,
+              message,
+            );
+          }
+
           // Check if message belongs to current active chat/room
           let isForActiveChat = false;
           if (currentActiveChat) {
@@ -620,6 +1151,16 @@ export function ChatProvider({ children }) {
             });
           }
 
+          if (message.roomId) {
+            setGroups((prev) =>
+              prev.map((group) =>
+                group._id === message.roomId
+                  ? { ...group, lastMessage: message.text, lastMessageTime: message.createdAt }
+                  : group,
+              ),
+            );
+          }
+
           // Update chat list last message WITHOUT full reload for direct messages
           if (!message.roomId) {
             const receiverId = message.receiverId?._id || message.receiverId;
@@ -639,8 +1180,9 @@ export function ChatProvider({ children }) {
         });
 
         // Message read receipt
-        socketService.on('message:read:receipt', ({ messageId }) => {
+        socketService.on(SOCKET_EVENTS.MESSAGE_READ_RECEIPT, ({ messageId }) => {
           console.log('✅ Message read:', messageId);
+          localDatabase.updateMessage(messageId, { read: true });
 
           setMessages((prev) =>
             prev.map((msg) => (msg._id === messageId ? { ...msg, read: true } : msg)),
@@ -648,8 +1190,14 @@ export function ChatProvider({ children }) {
         });
 
         // Message deleted
-        socketService.on('message:deleted', ({ messageId }) => {
+        socketService.on(SOCKET_EVENTS.MESSAGE_DELETED, ({ messageId }) => {
           console.log('🗑️ Message deleted:', messageId);
+          plaintextCache.delete(messageId);
+          mediaCache.delete(messageId);
+          localDatabase.updateMessage(messageId, {
+            deleted: true,
+            text: 'This message was deleted',
+          });
 
           setMessages((prev) =>
             prev.map((msg) =>
@@ -661,7 +1209,7 @@ export function ChatProvider({ children }) {
         });
 
         // Typing indicators
-        socketService.on('typing:start', ({ userId }) => {
+        socketService.on(SOCKET_EVENTS.TYPING_START, ({ userId }) => {
           const currentActiveChat = activeChatRef.current;
           console.log('⌨️ User typing:', userId, 'Active chat:', currentActiveChat?._id);
           if (currentActiveChat && userId === currentActiveChat._id) {
@@ -669,7 +1217,7 @@ export function ChatProvider({ children }) {
           }
         });
 
-        socketService.on('typing:stop', ({ userId }) => {
+        socketService.on(SOCKET_EVENTS.TYPING_STOP, ({ userId }) => {
           console.log('⌨️ User stopped typing:', userId);
           setTypingUsers((prev) => {
             const newSet = new Set(prev);
@@ -679,8 +1227,12 @@ export function ChatProvider({ children }) {
         });
 
         // Message reactions
-        socketService.on('message:reaction', ({ messageId, userId, emoji }) => {
+        socketService.on(SOCKET_EVENTS.MESSAGE_REACTION, ({ messageId, userId, emoji }) => {
           console.log('❤️ Reaction:', emoji);
+          localDatabase.updateMessage(messageId, (msg) => ({
+            ...msg,
+            reactions: [...(msg.reactions || []), { userId, emoji }],
+          }));
 
           setMessages((prev) =>
             prev.map((msg) => {
@@ -697,40 +1249,19 @@ export function ChatProvider({ children }) {
         });
 
         // Self-destruct messages
-        socketService.on('message:self-destruct', ({ messageId }) => {
+        socketService.on(SOCKET_EVENTS.MESSAGE_SELF_DESTRUCT, ({ messageId }) => {
           console.log('🗑️ Message self-destructed:', messageId);
+          localDatabase.removeMessage(messageId);
+          plaintextCache.delete(messageId);
+          mediaCache.delete(messageId);
 
           setMessages((prev) => prev.filter((msg) => msg._id !== messageId));
         });
 
-        // Temp session joined (Creator notification)
-        socketService.on('temp:session:joined', async ({ sessionId, participantId, alias }) => {
-          console.log('👤 User joined temp session:', alias);
-          if (activeTempSession && activeTempSession.sessionId === sessionId) {
-            // Update active chat to enable messaging
-            setActiveChat((prev) => ({
-              ...prev,
-              _id: participantId, // Set chat partner ID
-              waiting: false, // Remove waiting state
-            }));
-
-            Alert.alert('User Joined', `${alias} has joined the chat!`);
-
-            // Establish E2EE
-            console.log('🔐 Establishing E2EE with new participant...');
-            try {
-              const signalProtocol = (await import('../services/signalProtocol')).default;
-              await signalProtocol.verifyIdentity(participantId);
-              await signalProtocol.ensureSession(participantId);
-              console.log('✅ E2EE established with joiner');
-            } catch (e) {
-              console.error('❌ Failed to establish E2EE with joiner:', e);
-            }
-          }
-        });
+        socketService.on(SOCKET_EVENTS.TEMP_SESSION_JOINED, handleTempSessionJoined);
 
         // Temp session ended broadcast
-        socketService.on('temp:session:ended', ({ sessionId }) => {
+        socketService.on(SOCKET_EVENTS.TEMP_SESSION_ENDED, ({ sessionId }) => {
           console.log('🛑 Temp session ended remotely:', sessionId);
           if (activeTempSession && activeTempSession.sessionId === sessionId) {
             setActiveTempSession(null);
@@ -745,13 +1276,17 @@ export function ChatProvider({ children }) {
           }
         });
 
+        // Groups - named handlers, senderKeys listens to the same events
+        socketService.on(SOCKET_EVENTS.GROUP_UPDATED, handleGroupUpdated);
+        socketService.on(SOCKET_EVENTS.GROUP_REMOVED, handleGroupRemoved);
+
         // Online users
-        socketService.on('online-users', (users) => {
+        socketService.on(SOCKET_EVENTS.ONLINE_USERS, (users) => {
           console.log('👥 Online users:', users.length);
           setOnlineUsers(users);
         });
 
-        socketService.on('user:online', ({ userId }) => {
+        socketService.on(SOCKET_EVENTS.USER_ONLINE, ({ userId }) => {
           setOnlineUsers((prev) => {
             if (!prev.includes(userId)) {
               return [...prev, userId];
@@ -760,7 +1295,7 @@ export function ChatProvider({ children }) {
           });
         });
 
-        socketService.on('user:offline', ({ userId }) => {
+        socketService.on(SOCKET_EVENTS.USER_OFFLINE, ({ userId }) => {
           setOnlineUsers((prev) => prev.filter((id) => id !== userId));
         });
       } catch (error) {
@@ -769,10 +1304,12 @@ export function ChatProvider({ children }) {
     };
 
     // Connect socket and setup listeners
+    let cancelled = false;
     const initSocket = async () => {
       try {
         console.log('🔌 Initializing socket connection...');
         await socketService.connect();
+        if (cancelled) return; // Cleaned up while connecting - nobody would remove them
         console.log('✅ Socket connected, setting up listeners...');
         setupSocketListeners();
       } catch (error) {
@@ -841,21 +1378,27 @@ export function ChatProvider({ children }) {
 
     // Cleanup
     return () => {
+      cancelled = true;
       clearTimeout(timer); // Clear initialization timer
       try {
-        socketService.off('connection_status');
-        socketService.off('message:receive');
-        socketService.off('message:sent');
-        socketService.off('message:read:receipt');
-        socketService.off('message:deleted');
-        socketService.off('message:self-destruct');
-        socketService.off('temp:session:ended');
-        socketService.off('typing:start');
-        socketService.off('typing:stop');
-        socketService.off('message:reaction');
-        socketService.off('online-users');
-        socketService.off('user:online');
-        socketService.off('user:offline');
+        socketService.off(SOCKET_EVENTS.CONNECTION_STATUS, handleConnectionStatus);
+        socketService.off(SOCKET_EVENTS.CHAT_CREATED, handleChatCreated);
+        socketService.off(SOCKET_EVENTS.CHAT_REQUEST, handleChatRequest);
+        socketService.off(SOCKET_EVENTS.MESSAGE_RECEIVE);
+        socketService.off(SOCKET_EVENTS.MESSAGE_SENT);
+        socketService.off(SOCKET_EVENTS.MESSAGE_READ_RECEIPT);
+        socketService.off(SOCKET_EVENTS.MESSAGE_DELETED);
+        socketService.off(SOCKET_EVENTS.MESSAGE_SELF_DESTRUCT);
+        socketService.off(SOCKET_EVENTS.TEMP_SESSION_JOINED, handleTempSessionJoined);
+        socketService.off(SOCKET_EVENTS.TEMP_SESSION_ENDED);
+        socketService.off(SOCKET_EVENTS.TYPING_START);
+        socketService.off(SOCKET_EVENTS.TYPING_STOP);
+        socketService.off(SOCKET_EVENTS.MESSAGE_REACTION);
+        socketService.off(SOCKET_EVENTS.GROUP_UPDATED, handleGroupUpdated);
+        socketService.off(SOCKET_EVENTS.GROUP_REMOVED, handleGroupRemoved);
+        socketService.off(SOCKET_EVENTS.ONLINE_USERS);
+        socketService.off(SOCKET_EVENTS.USER_ONLINE);
+        socketService.off(SOCKET_EVENTS.USER_OFFLINE);
         notificationService.removeNotificationListeners();
       } catch (error) {
         console.error('❌ Error cleaning up socket listeners:', error);
@@ -864,6 +1407,16 @@ export function ChatProvider({ children }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user]); // Only reconnect if user changes, not activeChat!
 
+  /**
+   * Drop the locally stored history (and its plaintext) of a conversation
+   */
+  const forgetConversation = useCallback(async (userId) => {
+    const storedMessages = await localDatabase.getMessages(userId);
+    await plaintextCache.delete(storedMessages.map((msg) => msg._id));
+    await mediaCache.delete(storedMessages.map((msg) => msg._id));
+    await localDatabase.clearConversation(userId);
+  }, []);
+
   /**
    * Move chat to primary section
    */
@@ -905,6 +1458,7 @@ export function ChatProvider({ children }) {
     async (userId) => {
       try {
         await chatService.deleteChat(userId);
+        await forgetConversation(userId);
         await loadChats();
         console.log('✅ Chat deleted');
       } catch (error) {
@@ -912,7 +1466,7 @@ export function ChatProvider({ children }) {
         throw error;
       }
     },
-    [loadChats],
+    [loadChats, forgetConversation],
   );
 
   /**
@@ -922,6 +1476,7 @@ export function ChatProvider({ children }) {
     async (userId) => {
       try {
         await chatService.clearChat(userId);
+        await forgetConversation(userId);
         await loadChats();
         console.log('✅ Chat cleared');
       } catch (error) {
@@ -929,7 +1484,7 @@ export function ChatProvider({ children }) {
         throw error;
       }
     },
-    [loadChats],
+    [loadChats, forgetConversation],
   );
 
   /**
@@ -949,30 +1504,326 @@ export function ChatProvider({ children }) {
     [loadChats],
   );
 
+  // ============= GROUPS =============
+
+  /**
+   * Fetch one group again (e.g. when its info screen opens)
+   */
+  const refreshGroup = useCallback(
+    async (groupId) => {
+      const group = await chatService.getGroup(groupId);
+      if (group) applyGroup(group);
+      return group;
+    },
+    [applyGroup],
+  );
+
+  /**
+   * Create a group with the given contacts (we become its admin)
+   */
+  const createGroup = useCallback(
+    async ({ name, avatarId, memberIds }) => {
+      const group = await chatService.createGroup({ name, avatarId, memberIds });
+      applyGroup(group);
+      console.log('✅ Group created:', group._id);
+      return group;
+    },
+    [applyGroup],
+  );
+
+  /**
+   * Rename a group and/or change its avatar (admins only)
+   */
+  const updateGroup = useCallback(
+    async (groupId, changes) => {
+      const group = await chatService.updateGroup(groupId, changes);
+      applyGroup(group);
+      return group;
+    },
+    [applyGroup],
+  );
+
+  /**
+   * Add contacts to a group (admins only) - our next message hands them our sender key
+   */
+  const addGroupMembers = useCallback(
+    async (groupId, memberIds) => {
+      const group = await chatService.addGroupMembers(groupId, memberIds);
+      applyGroup(group);
+      return group;
+    },
+    [applyGroup],
+  );
+
+  /**
+   * Remove a member from a group (admins only) - our next message rotates our sender key
+   */
+  const removeGroupMember = useCallback(
+    async (groupId, userId) => {
+      const group = await chatService.removeGroupMember(groupId, userId);
+      applyGroup(group);
+      return group;
+    },
+    [applyGroup],
+  );
+
+  /**
+   * Make a member admin ('admin') or take admin rights away ('member')
+   */
+  const setGroupMemberRole = useCallback(
+    async (groupId, userId, role) => {
+      const group = await chatService.setGroupMemberRole(groupId, userId, role);
+      applyGroup(group);
+      return group;
+    },
+    [applyGroup],
+  );
+
+  /**
+   * Leave a group - its history and sender keys are dropped from this device
+   */
+  const leaveGroup = useCallback(
+    async (groupId) => {
+      await chatService.leaveGroup(groupId);
+      if (socketService.isSocketConnected()) {
+        socketService.leaveRoom(groupId);
+      }
+      if (activeChatRef.current?.roomId === groupId) {
+        setActiveChat(null);
+        setMessages([]);
+      }
+      await removeGroupLocally(groupId);
+      console.log('👋 Left group:', groupId);
+    },
+    [removeGroupLocally],
+  );
+
+  /**
+   * Whether a user is an admin of a group
+   */
+  const isGroupAdmin = useCallback(
+    (groupId, userId) => {
+      const group = groups.find((g) => g._id === groupId);
+      return !!group?.members?.some(
+        (member) => memberUserId(member) === userId && member.role === 'admin',
+      );
+    },
+    [groups],
+  );
+
+  // ============= FILE TRANSFERS =============
+
+  /**
+   * Put a finished upload's message in place of its placeholder
+   * (the picked file goes into the media cache - our own copy can't be decrypted again)
+   */
+  const completeUpload = useCallback(async (transferId, message) => {
+    const { uri, fileKey } = pendingUploadsRef.current.get(transferId) || {};
+    pendingUploadsRef.current.delete(transferId);
+
+    let localUri = uri;
+    if (uri && message?._id && !message.hidden) {
+      localUri = await mediaCache.put(message._id, uri, { copy: true }).catch((error) => {
+        console.warn('⚠️ Failed to cache sent media:', error.message);
+        return uri;
+      });
+      if (fileKey) await plaintextCache.set(message, message.text || '', { fileKey });
+    }
+
+    setMessages((prev) => {
+      if (!message || message.hidden) return prev.filter((msg) => msg._id !== transferId);
+      const uploaded = { ...message, localUri, fileKey };
+      if (prev.some((msg) => msg._id === message._id)) {
+        return prev
+          .filter((msg) => msg._id !== transferId)
+          .map((msg) => (msg._id === message._id ? { ...msg, localUri, fileKey } : msg));
+      }
+      return prev.map((msg) => (msg._id === transferId ? uploaded : msg));
+    });
+  }, []);
+
+  /**
+   * Placeholder state after an upload stopped - failed ones stay (retry from the last chunk)
+   */
+  const handleUploadError = useCallback((transferId, error) => {
+    if (error instanceof TransferCancelledError) {
+      pendingUploadsRef.current.delete(transferId);
+      setMessages((prev) => prev.filter((msg) => msg._id !== transferId));
+      return;
+    }
+
+    if (transferManager.get(transferId)?.status === TRANSFER_STATUS.FAILED) {
+      setMessages((prev) =>
+        prev.map((msg) => (msg._id === transferId ? { ...msg, status: 'failed' } : msg)),
+      );
+      return;
+    }
+
+    // Failed before the upload started (encryption) - nothing to resume
+    pendingUploadsRef.current.delete(transferId);
+    transferManager.finish(transferId);
+    setMessages((prev) => prev.filter((msg) => msg._id !== transferId));
+    Alert.alert('Upload Failed', error.message || 'Could not upload file');
+  }, []);
+
+  /**
+   * Encrypt a file and upload it in chunks - shows as a message with progress right away
+   */
+  const uploadFileMessage = useCallback(
+    async (fileInfo) => {
+      if (!activeChat) {
+        console.warn('No active chat for file upload');
+        return null;
+      }
+
+      const isRoom = !!activeChat.isRoom;
+      const isTemp = !!activeChat.isTemp;
+      if (isRoom && !isTemp) {
+        // Only block for actual rooms, NOT temp chats
+        console.log('ℹ️ Room chat - file upload disabled for E2EE compliance');
+        Alert.alert('Upload Failed', 'File uploads disabled in rooms for E2EE compliance');
+        return null;
+      }
+
+      // Import mediaEncryption dynamically
+      const mediaEncryption = (await import('../services/mediaEncryption')).default;
+      const signalProtocol = (await import('../services/signalProtocol')).default;
+
+      const transferId = `upload_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const mimeType = fileInfo.mimeType || mediaEncryption.guessMimeType(fileInfo.name || '');
+      setMessages((prev) => [
+        ...prev,
+        {
+          _id: transferId,
+          transferId,
+          senderId: user._id,
+          receiverId: activeChat._id,
+          messageType: mimeType.startsWith('image/') ? 'image' : 'file',
+          originalFileName: fileInfo.name,
+          localUri: fileInfo.uri,
+          status: 'sending',
+          createdAt: new Date().toISOString(),
+        },
+      ]);
+      pendingUploadsRef.current.set(transferId, { uri: fileInfo.uri });
+      transferManager.track(transferId, {
+        direction: 'upload',
+        stage: 'encrypt',
+        totalBytes: fileInfo.size || 0,
+      });
+
+      let encryptedData = null;
+      try {
+        console.log('🔐 Encrypting file before upload...', fileInfo.name);
+        encryptedData = await signalProtocol.withSessionLock(activeChat._id, async () => {
+          // Ensure E2EE session ready (like message queue does)
+          await signalProtocol.ensureSession(activeChat._id);
+          // Never encrypt to a verified contact's new identity key without the user's consent
+          await identityTrust.assertCanSend(activeChat._id);
+          // Encrypt the file (chunk by chunk into a temporary file)
+          return await mediaEncryption.encryptFile(fileInfo.uri, activeChat._id, {
+            transferId,
+            mimeType,
+          });
+        });
+        pendingUploadsRef.current.set(transferId, {
+          uri: fileInfo.uri,
+          fileKey: encryptedData.fileKey,
+        });
+
+        // Upload in chunks - the encrypted copy is deleted once uploaded or cancelled
+        const message = await transferManager.upload(transferId, {
+          fileUri: encryptedData.encryptedFileUri,
+          chunkSize: encryptedData.encryptedChunkSize,
+          fields: {
+            isEncrypted: true,
+            encryptedFileKey: encryptedData.encryptedFileKey,
+            fileNonce: encryptedData.fileNonce,
+            chunkSize: encryptedData.chunkSize,
+            encryptedMetadata: encryptedData.encryptedMetadata, // Thumbnail, blurhash, details
+            metadataNonce: encryptedData.metadataNonce,
+            // Name and type are in the encrypted metadata - only the kind and a coarse size
+            messageType: mimeType.startsWith('image/') ? 'image' : 'file',
+            fileSizeBucket: encryptedData.sizeBucket || undefined,
+            senderDeviceId: await deviceService.getDeviceId(),
+            receiverId: activeChat._id,
+            tempSessionId: isTemp ? activeChat.tempSessionId : undefined,
+            hideInTemp: isTemp,
+          },
+        });
+
+        await completeUpload(transferId, message);
+        return message;
+      } catch (error) {
+        console.error('❌ File upload failed:', error);
+        if (encryptedData && !transferManager.get(transferId)) {
+          mediaEncryption.deleteTempFile(encryptedData.encryptedFileUri);
+        }
+        handleUploadError(transferId, error);
+        return null;
+      }
+    },
+    [activeChat, user, completeUpload, handleUploadError],
+  );
+
+  /**
+   * Continue a failed upload from its last chunk
+   */
+  const retryTransfer = useCallback(
+    async (transferId) => {
+      setMessages((prev) =>
+        prev.map((msg) => (msg._id === transferId ? { ...msg, status: 'sending' } : msg)),
+      );
+      try {
+        const message = await transferManager.retry(transferId);
+        await completeUpload(transferId, message);
+      } catch (error) {
+        console.error('❌ Upload retry failed:', error);
+        handleUploadError(transferId, error);
+      }
+    },
+    [completeUpload, handleUploadError],
+  );
+
+  /**
+   * Cancel an upload or download (uploads lose their placeholder message)
+   */
+  const cancelTransfer = useCallback(async (transferId) => {
+    const failedUpload = transferManager.get(transferId)?.status === TRANSFER_STATUS.FAILED;
+    await transferManager.cancel(transferId);
+    // A failed upload isn't awaited anymore - drop its placeholder here
+    if (failedUpload) {
+      pendingUploadsRef.current.delete(transferId);
+      setMessages((prev) => prev.filter((msg) => msg._id !== transferId));
+    }
+  }, []);
+
   const value = {
     // State
     chats,
+    groups,
     primaryChats,
     secondaryChats,
     activeChat,
     messages,
+    hasMoreMessages,
+    loadingOlderMessages,
     onlineUsers,
     typingUsers,
     isConnected,
     loading,
     pushToken,
-    isConnected,
-    loading,
-    pushToken,
     activeTempSession,
     e2eeInitialized: true, // ✅ ADDED: Always true as E2EE is now background-managed
     loadMessages,
     loadRoomMessages,
+    loadOlderMessages,
     openChat,
     openRoom,
     openTempSession,
     closeChat,
     sendMessage,
+    retryMessage,
     endTempSession,
     deleteMessageForMe,
     deleteMessageForEveryone,
@@ -985,67 +1836,18 @@ export function ChatProvider({ children }) {
     deleteChat,
     clearChat,
     muteChat,
-    // New file upload action with E2EE encryption
-    uploadFileMessage: async (fileInfo) => {
-      if (!activeChat) {
-        console.warn('No active chat for file upload');
-        return null;
-      }
-      try {
-        const isRoom = !!activeChat.isRoom;
-        const isTemp = !!activeChat.isTemp;
-
-        // Import mediaEncryption dynamically
-        const mediaEncryption = (await import('../services/mediaEncryption')).default;
-
-        // ✅ FIXED: Always encrypt for direct messages (uses ensureSession  like queue)
-        let encryptedData = null;
-        if (!isRoom) {
-          console.log('🔐 Encrypting file before upload...', fileInfo.name);
-          try {
-            // Import signalProtocol
-            const signalProtocol = (await import('../services/signalProtocol')).default;
-
-            // Ensure E2EE session ready (like message queue does)
-            console.log('🔑 Ensuring E2EE session for file encryption...');
-            await signalProtocol.ensureSession(activeChat._id);
-
-            // Encrypt the file
-            encryptedData = await mediaEncryption.encryptFile(fileInfo.uri, activeChat._id);
-            console.log('✅ File encrypted successfully');
-          } catch (error) {
-            console.error('❌ File encryption failed:', error);
-            throw new Error('File encryption failed: ' + error.message);
-          }
-        } else if (isRoom && !isTemp) {
-          // Only block for actual rooms, NOT temp chats
-          console.log('ℹ️ Room chat - file upload disabled for E2EE compliance');
-          throw new Error('File uploads disabled in rooms for E2EE compliance');
-        }
-
-        // Upload encrypted file to server
-        const message = await chatService.uploadFileMessage({
-          fileUri: fileInfo.uri,
-          fileName: fileInfo.name,
-          mimeType: fileInfo.mimeType,
-          receiverId: !isRoom ? activeChat._id : undefined,
-          roomId: isRoom ? activeChat.roomId : undefined,
-          tempSessionId: isTemp ? activeChat.tempSessionId : undefined, // ✅ ADDED
-          hideInTemp: isTemp,
-          // E2EE encryption data
-          encryptedData: encryptedData, // Encrypted for temp chats too
-        });
-
-        if (message && !message.hidden) {
-          setMessages((prev) => [...prev, message]);
-        }
-        return message;
-      } catch (e) {
-        console.error('File upload failed', e);
-        Alert.alert('Upload Failed', e.message || 'Could not upload file');
-        return null;
-      }
-    },
+    loadGroups,
+    refreshGroup,
+    createGroup,
+    updateGroup,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupMemberRole,
+    leaveGroup,
+    isGroupAdmin,
+    uploadFileMessage,
+    retryTransfer,
+    cancelTransfer,
   };
 
   return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { deviceService } from './device';
 import * as SecureStore from 'expo-secure-store';
 import logger from '../utils/logger';
 
@@ -26,17 +27,99 @@ const api = axios.create({
   },
 });
 
+// Endpoints that must never carry (or try to refresh) the user's access token
+const isAuthEndpoint = (url) =>
+  url?.includes('/auth/authentication') ||
+  url?.includes('/auth/send-otp') ||
+  url?.includes('/auth/temp-session') ||
+  url?.includes('/auth/refresh-token');
+
+// ============= TOKEN REFRESH =============
+
+// Single in-flight refresh shared by every request that hits a 401 meanwhile
+let refreshPromise = null;
+// Set by AuthContext - signs the user out once refreshing is no longer possible
+let authFailureHandler = null;
+
+/**
+ * Register the callback that signs the user out when the session can't be refreshed
+ * @param {function} handler - Called with no arguments (AuthContext.logout)
+ */
+export const setAuthFailureHandler = (handler) => {
+  authFailureHandler = handler;
+};
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * Concurrent callers share one request, so the refresh token is only used once.
+ *
+ * @api /auth/refresh-token
+ * @method POST
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    const refreshToken = await SecureStore.getItemAsync('refreshToken');
+    if (!refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    const deviceId = await deviceService.getDeviceId();
+
+    logger.log('🔄 Refreshing access token...');
+    // Plain axios (not `api`) so this request skips our interceptors
+    const response = await axios.post(
+      `${getServerURL()}/auth/refresh-token`,
+      { refreshToken, deviceId },
+      { timeout: 10000, headers: { 'Content-Type': 'application/json' } },
+    );
+
+    const { accessToken, refreshToken: rotatedRefreshToken } = response.data?.data || {};
+    if (!accessToken) {
+      throw new Error('Refresh response did not include an access token');
+    }
+
+    await SecureStore.setItemAsync('userToken', accessToken);
+    if (rotatedRefreshToken) {
+      await SecureStore.setItemAsync('refreshToken', rotatedRefreshToken);
+    }
+
+    logger.log('✅ Access token refreshed');
+    return accessToken;
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+};
+
+/**
+ * Refresh failed for good - clear tokens and sign out through AuthContext
+ * (also used by the socket when its reconnect refresh is rejected)
+ */
+export const handleAuthFailure = async () => {
+  logger.log('🔒 Session expired - signing out');
+  await SecureStore.deleteItemAsync('userToken');
+  await SecureStore.deleteItemAsync('refreshToken');
+
+  if (authFailureHandler) {
+    authFailureHandler();
+  }
+};
+
 // Request interceptor - Automatically add auth token to requests
 api.interceptors.request.use(
   async (config) => {
     try {
       // Skip auth header for authentication endpoints
-      const isAuthEndpoint =
-        config.url?.includes('/auth/authentication') ||
-        config.url?.includes('/auth/send-otp') ||
-        config.url?.includes('/auth/temp-session');
+      if (!isAuthEndpoint(config.url)) {
+        // Hold new requests while a refresh is running - they go out with the new token
+        if (refreshPromise) {
+          await refreshPromise.catch(() => {});
+        }
 
-      if (!isAuthEndpoint) {
         // Get token from secure storage
         const token = await SecureStore.getItemAsync('userToken');
 
@@ -73,12 +156,41 @@ api.interceptors.response.use(
       logger.error('❌ HTTP Error:', status, error.config.url);
 
       switch (status) {
-        case 401:
-          // Unauthorized - token expired or invalid
-          logger.log('🔒 Unauthorized - clearing token');
-          await SecureStore.deleteItemAsync('userToken');
-          // You can trigger logout here or refresh token
-          break;
+        case 401: {
+          // Unauthorized - access token expired: refresh once, then replay the request
+          const originalRequest = error.config;
+          if (!originalRequest || isAuthEndpoint(originalRequest.url)) {
+            break;
+          }
+          if (originalRequest._retry) {
+            // Rejected even with a fresh token (e.g. session revoked) - sign out for good
+            await handleAuthFailure();
+            break;
+          }
+          originalRequest._retry = true;
+
+          let newToken;
+          try {
+            // Token already rotated by another request - just replay with the current one
+            const sentToken = originalRequest.headers?.Authorization?.replace('Bearer ', '');
+            const storedToken = await SecureStore.getItemAsync('userToken');
+            // Requests failing while a refresh is running wait on the same promise
+            newToken =
+              storedToken && storedToken !== sentToken ? storedToken : await refreshAccessToken();
+          } catch (refreshError) {
+            logger.error('❌ Token refresh failed:', refreshError.message);
+            // Offline during refresh: keep the session, the next request will try again
+            const isNetworkFailure = refreshError.request && !refreshError.response;
+            if (!isNetworkFailure) {
+              await handleAuthFailure();
+            }
+            return Promise.reject(error);
+          }
+
+          logger.log('🔁 Replaying request with refreshed token:', originalRequest.url);
+          originalRequest.headers.Authorization = `Bearer ${newToken}`;
+          return api(originalRequest);
+        }
 
         case 403:
           // Forbidden
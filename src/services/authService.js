@@ -1,5 +1,6 @@
 import * as SecureStore from 'expo-secure-store';
 import api from './api';
+import { deviceService } from './device';
 import logger from '../utils/logger';
 
 export const authService = {
@@ -25,22 +26,17 @@ export const authService = {
 
       // Clear any old token before verification
       await SecureStore.deleteItemAsync('userToken');
+      await SecureStore.deleteItemAsync('refreshToken');
       logger.log('🗑️ Old token cleared');
 
-      // Generate or retrieve device ID
-      let deviceId = await SecureStore.getItemAsync('deviceId');
-      if (!deviceId) {
-        deviceId = `device_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-        await SecureStore.setItemAsync('deviceId', deviceId);
-        logger.log('🆕 New device ID generated:', deviceId);
-      } else {
-        logger.log('📱 Existing device ID:', deviceId);
-      }
+      const deviceId = await deviceService.getDeviceId();
+      logger.log('📱 Device ID:', deviceId);
 
       const response = await api.post('/auth/authentication', {
         phoneNumber,
         otp, // Send as string, not parseInt
-        deviceId, // Send device ID for single device login tracking
+        deviceId, // Each device gets its own session and keys
+        deviceName: deviceService.getDeviceName(),
       });
 
       logger.log('✅ API Response:', JSON.stringify(response.data, null, 2));
@@ -51,6 +47,12 @@ export const authService = {
         await SecureStore.setItemAsync('userToken', token);
         logger.log('🔐 Token saved to SecureStore:', token.substring(0, 20) + '...');
 
+        // Long-lived token used by api.js to get a new access token on 401
+        if (response.data.data.refreshToken) {
+          await SecureStore.setItemAsync('refreshToken', response.data.data.refreshToken);
+          logger.log('🔐 Refresh token saved to SecureStore');
+        }
+
         // Verify token was saved
         const savedToken = await SecureStore.getItemAsync('userToken');
         if (savedToken) {
@@ -69,6 +71,19 @@ export const authService = {
     }
   },
 
+  // Store the tokens the server issued to this device when another device approved linking it
+  completeDeviceLink: async ({ accessToken, refreshToken }) => {
+    if (!accessToken) {
+      throw new Error('Link approval did not include an access token');
+    }
+
+    await SecureStore.setItemAsync('userToken', accessToken);
+    if (refreshToken) {
+      await SecureStore.setItemAsync('refreshToken', refreshToken);
+    }
+    logger.log('🔐 Linked device tokens saved to SecureStore');
+  },
+
   // Check if user has valid token and restore session
   checkAuth: async () => {
     try {
@@ -97,8 +112,13 @@ export const authService = {
       return null;
     } catch (error) {
       logger.error('❌ Auth check failed:', error.response?.data || error.message);
-      logger.log('🗑️ Deleting invalid token...');
-      await SecureStore.deleteItemAsync('userToken');
+      // 401s were already refreshed (or signed out) by the api interceptor;
+      // anything else (offline, server down) must not log the user out
+      if (error.response?.status === 401) {
+        logger.log('🗑️ Deleting invalid token...');
+        await SecureStore.deleteItemAsync('userToken');
+        await SecureStore.deleteItemAsync('refreshToken');
+      }
       return null;
     }
   },
@@ -108,8 +128,9 @@ export const authService = {
     try {
       logger.log('🚪 Logging out...');
 
-      // Delete token from SecureStore
+      // Delete tokens from SecureStore
       await SecureStore.deleteItemAsync('userToken');
+      await SecureStore.deleteItemAsync('refreshToken');
       logger.log('🗑️ Token deleted from SecureStore');
 
       // Verify deletion
@@ -124,8 +145,9 @@ export const authService = {
       // await api.post('/auth/logout');
     } catch (error) {
       logger.error('❌ Logout error:', error);
-      // Still try to delete token even if error
+      // Still try to delete tokens even if error
       await SecureStore.deleteItemAsync('userToken');
+      await SecureStore.deleteItemAsync('refreshToken');
       throw error;
     }
   },
@@ -1,4 +1,5 @@
 import api from './api';
+import { deviceService } from './device';
 
 export const chatService = {
   /**
@@ -22,11 +23,17 @@ export const chatService = {
    * @api /messages/:userId/messages
    * @method GET
    * @param {string} userId - User ID to get messages with
-   * @returns {Object} { messages: [] }
+   * @param {Object} options - Sync / pagination options
+   * @param {string} options.since - ISO date - only messages created/updated after it (delta sync)
+   * @param {string} options.before - Message ID cursor - only messages older than it
+   * @param {number} options.limit - Max messages to return (newest of the matching range)
+   * @returns {Object} { messages: [], hasMore } - messages oldest first
    */
-  getMessages: async (userId) => {
+  getMessages: async (userId, { since, before, limit } = {}) => {
     try {
-      const response = await api.get(`/messages/${userId}/messages`);
+      const response = await api.get(`/messages/${userId}/messages`, {
+        params: { since, before, limit },
+      });
       return response.data?.data || { messages: [] };
     } catch (error) {
       console.error('❌ Failed to load messages:', error);
@@ -39,11 +46,17 @@ export const chatService = {
    * @api /messages/room/:roomId
    * @method GET
    * @param {string} roomId - Room ID to get messages for
-   * @returns {Object} { messages: [] }
+   * @param {Object} options - Sync / pagination options
+   * @param {string} options.since - ISO date - only messages created/updated after it (delta sync)
+   * @param {string} options.before - Message ID cursor - only messages older than it
+   * @param {number} options.limit - Max messages to return (newest of the matching range)
+   * @returns {Object} { messages: [], hasMore } - messages oldest first
    */
-  getRoomMessages: async (roomId) => {
+  getRoomMessages: async (roomId, { since, before, limit } = {}) => {
     try {
-      const response = await api.get(`/messages/room/${roomId}`);
+      const response = await api.get(`/messages/room/${roomId}`, {
+        params: { since, before, limit },
+      });
       return response.data?.data || { messages: [] };
     } catch (error) {
       console.error('❌ Failed to load room messages:', error);
@@ -51,6 +64,23 @@ export const chatService = {
     }
   },
 
+  /**
+   * Get the current members of a room (whoever may read its messages)
+   * @api /messages/room/:roomId/members
+   * @method GET
+   * @param {string} roomId - Room ID
+   * @returns {Array<string>} Member user IDs
+   */
+  getRoomMembers: async (roomId) => {
+    try {
+      const response = await api.get(`/messages/room/${roomId}/members`);
+      return (response.data?.data?.members || []).map((member) => member?._id || member);
+    } catch (error) {
+      console.error('❌ Failed to load room members:', error);
+      throw error.response?.data || error;
+    }
+  },
+
   /**
    * Search for a user by User ID
    * @api /messages/search?uid=:uId
@@ -235,11 +265,255 @@ export const chatService = {
       throw error.response?.data || error;
     }
   },
+
+  // ============= GROUPS =============
+  // A group is a room with a member list - its _id is the roomId its messages go to.
+  // Group shape: { _id, name, avatarId, createdBy, members: [{ user, role, joinedAt }] }
+  // role: 'admin' | 'member' - only admins may rename, change the avatar or manage members.
+
+  /**
+   * Get the groups we are a member of
+   * @api /groups
+   * @method GET
+   * @returns {Array} Groups
+   */
+  getGroups: async () => {
+    try {
+      const response = await api.get('/groups');
+      return response.data?.data?.groups || [];
+    } catch (error) {
+      console.error('❌ Failed to load groups:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Get one group with its members
+   * @api /groups/:groupId
+   * @method GET
+   * @param {string} groupId - Group ID
+   * @returns {Object} Group
+   */
+  getGroup: async (groupId) => {
+    try {
+      const response = await api.get(`/groups/${groupId}`);
+      return response.data?.data?.group;
+    } catch (error) {
+      console.error('❌ Failed to load group:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Create a group (we become its first admin)
+   * @api /groups
+   * @method POST
+   * @param {Object} params { name, avatarId?, memberIds }
+   * @returns {Object} Group
+   */
+  createGroup: async ({ name, avatarId, memberIds }) => {
+    try {
+      const response = await api.post('/groups', { name, avatarId, memberIds });
+      return response.data?.data?.group;
+    } catch (error) {
+      console.error('❌ Failed to create group:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Rename a group / change its avatar (admins only)
+   * @api /groups/:groupId
+   * @method PATCH
+   * @param {string} groupId - Group ID
+   * @param {Object} changes { name?, avatarId? }
+   * @returns {Object} Group
+   */
+  updateGroup: async (groupId, { name, avatarId }) => {
+    try {
+      const response = await api.patch(`/groups/${groupId}`, { name, avatarId });
+      return response.data?.data?.group;
+    } catch (error) {
+      console.error('❌ Failed to update group:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Add members to a group (admins only)
+   * @api /groups/:groupId/members
+   * @method POST
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} memberIds - User IDs to add
+   * @returns {Object} Group
+   */
+  addGroupMembers: async (groupId, memberIds) => {
+    try {
+      const response = await api.post(`/groups/${groupId}/members`, { memberIds });
+      return response.data?.data?.group;
+    } catch (error) {
+      console.error('❌ Failed to add group members:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Remove a member from a group (admins only)
+   * @api /groups/:groupId/members/:userId
+   * @method DELETE
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member to remove
+   * @returns {Object} Group
+   */
+  removeGroupMember: async (groupId, userId) => {
+    try {
+      const response = await api.delete(`/groups/${groupId}/members/${userId}`);
+      return response.data?.data?.group;
+    } catch (error) {
+      console.error('❌ Failed to remove group member:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Make a member admin or take admin rights away (admins only)
+   * @api /groups/:groupId/members/:userId
+   * @method PATCH
+   * @param {string} groupId - Group ID
+   * @param {string} userId - Member
+   * @param {string} role - 'admin' | 'member'
+   * @returns {Object} Group
+   */
+  setGroupMemberRole: async (groupId, userId, role) => {
+    try {
+      const response = await api.patch(`/groups/${groupId}/members/${userId}`, { role });
+      return response.data?.data?.group;
+    } catch (error) {
+      console.error('❌ Failed to change member role:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Leave a group (the server hands admin rights on if we were the last admin)
+   * @api /groups/:groupId/leave
+   * @method POST
+   * @param {string} groupId - Group ID
+   */
+  leaveGroup: async (groupId) => {
+    try {
+      const response = await api.post(`/groups/${groupId}/leave`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to leave group:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  // ============= CHUNKED UPLOADS =============
+  // Large encrypted files are uploaded chunk by chunk so a dropped connection only
+  // costs the current chunk (see transferManager).
+
+  /**
+   * Open a chunked upload
+   * @api /messages/uploads
+   * @method POST
+   * @param {Object} params { size, chunkSize, chunkCount }
+   * @returns {Object} { uploadId, receivedChunks }
+   */
+  createUpload: async ({ size, chunkSize, chunkCount }) => {
+    try {
+      const response = await api.post('/messages/uploads', { size, chunkSize, chunkCount });
+      return response.data?.data;
+    } catch (error) {
+      console.error('❌ Failed to open upload:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Which chunks of an upload the server has (to resume after a drop)
+   * @api /messages/uploads/:uploadId
+   * @method GET
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} { uploadId, receivedChunks }
+   */
+  getUpload: async (uploadId) => {
+    try {
+      const response = await api.get(`/messages/uploads/${uploadId}`);
+      return response.data?.data;
+    } catch (error) {
+      console.error('❌ Failed to get upload status:', error);
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Upload one chunk (raw bytes)
+   * @api /messages/uploads/:uploadId/chunks/:index
+   * @method PUT application/octet-stream
+   * @param {string} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @param {Uint8Array} chunk - Chunk bytes
+   * @param {Object} options { signal?, onUploadProgress? }
+   */
+  uploadChunk: async (uploadId, index, chunk, { signal, onUploadProgress } = {}) => {
+    try {
+      const response = await api.put(`/messages/uploads/${uploadId}/chunks/${index}`, chunk, {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        timeout: 60000, // One chunk - generous for slow networks
+        signal,
+        onUploadProgress,
+      });
+      return response.data;
+    } catch (error) {
+      // Network drops keep the axios error (no response) so the caller can retry
+      if (!error.response) throw error;
+      console.error('❌ Failed to upload chunk:', error);
+      throw error.response.data || error;
+    }
+  },
+
+  /**
+   * Finish a chunked upload - the server assembles the file and creates the message
+   * @api /messages/uploads/:uploadId/complete
+   * @method POST
+   * @param {string} uploadId - Upload ID
+   * @param {Object} fields - Same message fields as uploadFileMessage's form data
+   * @returns {Object} Message
+   */
+  completeUpload: async (uploadId, fields) => {
+    try {
+      const response = await api.post(`/messages/uploads/${uploadId}/complete`, fields);
+      console.log('✅ File uploaded to server:', response.data?.data?.message?.mediaUrl);
+      return response.data?.data?.message;
+    } catch (error) {
+      if (!error.response) throw error;
+      console.error('❌ Failed to complete upload:', error);
+      throw error.response.data || error;
+    }
+  },
+
+  /**
+   * Drop a chunked upload (cancelled by the user)
+   * @api /messages/uploads/:uploadId
+   * @method DELETE
+   * @param {string} uploadId - Upload ID
+   */
+  cancelUpload: async (uploadId) => {
+    try {
+      const response = await api.delete(`/messages/uploads/${uploadId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
   /**
    * Upload a file (normal chat or room). Supports E2EE encrypted files.
    * @api /messages/upload
    * @method POST multipart/form-data
-   * @param {Object} params { fileUri, fileName, mimeType, receiverId?, roomId?, hideInTemp?, encryptedData? }
+   * @param {Object} params { fileUri, fileName, mimeType, receiverId?, roomId?, hideInTemp?, encryptedData?, onUploadProgress? }
    */
   uploadFileMessage: async ({
     fileUri,
@@ -248,29 +522,19 @@ export const chatService = {
     receiverId,
     roomId,
     hideInTemp = true,
-    encryptedData = null, // { encryptedBlob, encryptedFileKey, fileNonce, originalName, mimeType }
+    encryptedData = null, // From mediaEncryption.encryptFile
+    onUploadProgress, // ({ loaded, total }) => void
   }) => {
     try {
       const formData = new FormData();
 
-      // If file is encrypted, upload encrypted blob
+      // If file is encrypted, upload the encrypted copy (streamed from disk, not memory)
       if (encryptedData) {
         console.log('📦 Preparing encrypted file upload...', encryptedData.originalName);
 
-        // Convert base64 encrypted blob to blob for upload
-        // Create a Blob from base64 encryptedBlob
-        const encryptedBlobBase64 = encryptedData.encryptedBlob;
-
-        // Convert base64 to binary
-        const binaryString = atob(encryptedBlobBase64);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-
         formData.append('file', {
-          uri: `data:application/octet-stream;base64,${encryptedBlobBase64}`,
-          name: `encrypted_${encryptedData.originalName}`,
+          uri: encryptedData.encryptedFileUri,
+          name: 'encrypted', // The real name is in the encrypted metadata
           type: 'application/octet-stream', // Encrypted blobs are binary
         });
 
@@ -278,8 +542,9 @@ export const chatService = {
         formData.append('isEncrypted', 'true');
         formData.append('encryptedFileKey', JSON.stringify(encryptedData.encryptedFileKey));
         formData.append('fileNonce', encryptedData.fileNonce);
-        formData.append('originalFileName', encryptedData.originalName);
-        formData.append('fileMimeType', encryptedData.mimeType);
+        formData.append('chunkSize', String(encryptedData.chunkSize)); // Chunked format
+        // The file key is encrypted per device - receivers need our device for the session
+        formData.append('senderDeviceId', await deviceService.getDeviceId());
 
         console.log('✅ Encrypted file prepared for upload');
       } else {
@@ -298,6 +563,8 @@ export const chatService = {
 
       const response = await api.post('/messages/upload', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0, // Large files take longer than the default request timeout
+        onUploadProgress,
       });
 
       console.log('✅ File uploaded to server:', response.data?.data?.message?.mediaUrl);
@@ -0,0 +1,71 @@
+/**
+ * Device Identity
+ * Every install is its own device with its own identity key and prekeys.
+ * A user may have several (phone + tablet); Double Ratchet sessions are kept per device.
+ *
+ * Session addresses:
+ * - `${userId}:${deviceId}` for a specific device
+ * - `${userId}` for a peer whose server only knows a single, unnamed device (legacy)
+ */
+
+import * as Device from 'expo-device';
+import * as SecureStore from 'expo-secure-store';
+import logger from '../utils/logger';
+
+const DEVICE_ID_KEY = 'deviceId';
+
+let cachedDeviceId = null;
+
+/**
+ * Session address of one device of a user
+ */
+export const deviceAddress = (userId, deviceId) => (deviceId ? `${userId}:${deviceId}` : userId);
+
+/**
+ * Split a session address into user and device
+ * @returns {{ userId: string, deviceId: string|null }}
+ */
+export const parseDeviceAddress = (address) => {
+  const separator = address.indexOf(':');
+  if (separator === -1) return { userId: address, deviceId: null };
+  return { userId: address.slice(0, separator), deviceId: address.slice(separator + 1) };
+};
+
+/**
+ * One device's copy of a pairwise-encrypted payload, as the socket events expect it
+ * @param {string} userId - Owner of the device
+ * @param {object} encrypted - From signalProtocol.encryptForUser / ratchetEncrypt (+ deviceId)
+ */
+export const toWireEnvelope = (userId, encrypted) => ({
+  userId,
+  deviceId: encrypted.deviceId,
+  encryptedText: encrypted.ciphertext,
+  ratchetHeader: encrypted.header,
+  nonce: encrypted.nonce,
+  initialHeader: encrypted.initialHeader,
+});
+
+export const deviceService = {
+  /**
+   * ID of this install (generated on first use, kept across logins)
+   * @returns {Promise<string>}
+   */
+  getDeviceId: async () => {
+    if (cachedDeviceId) return cachedDeviceId;
+
+    let deviceId = await SecureStore.getItemAsync(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = `device_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+      await SecureStore.setItemAsync(DEVICE_ID_KEY, deviceId);
+      logger.log('🆕 New device ID generated:', deviceId);
+    }
+
+    cachedDeviceId = deviceId;
+    return deviceId;
+  },
+
+  /**
+   * Human readable name shown in the other devices' lists
+   */
+  getDeviceName: () => Device.deviceName || Device.modelName || 'Unknown device',
+};
@@ -0,0 +1,355 @@
+/**
+ * Device Linking
+ * Adds a new device to an account from a device that is already logged in - no OTP SMS
+ *
+ * Existing device:
+ * 1. Opens a short-lived link on the server and shows `whispchat-link:1:<linkId>:<key>`
+ *    as QR code (key = a fresh X25519 public key)
+ * 3. Gets `device:link-request` with the new device's public key, shows the verification
+ *    code and - once the user approves - sends the bootstrap package (profile + contacts)
+ *    encrypted with the X25519 secret of both keys. The server issues the new device its tokens.
+ *
+ * New device:
+ * 2. Scans the QR code and posts its own public key to the link
+ * 4. Polls the link until it is approved, then decrypts the bootstrap package
+ *
+ * The verification code (6 digits from both public keys) is shown on both screens - if
+ * they match, nobody swapped the new device's key on its way through the server.
+ * No private key leaves a device: the new one generates its own identity and prekeys.
+ */
+
+import api from './api';
+import { deviceService } from './device';
+import e2eeService from './e2eeService';
+import localDatabase from './localDatabase';
+import signalProtocol from './signalProtocol';
+import { socketService } from './socket';
+import { SOCKET_EVENTS } from './socketEvents';
+import { BufferPolyfill } from '../utils/bufferPolyfill';
+import logger from '../utils/logger';
+
+const QR_PREFIX = 'whispchat-link:1:';
+const BOOTSTRAP_VERSION = 1;
+const POLL_INTERVAL = 2000;
+const APPROVAL_TIMEOUT = 5 * 60 * 1000; // The server expires links after the same time
+
+/**
+ * Thrown on the new device when the link was rejected or expired
+ */
+export class LinkRejectedError extends Error {
+  constructor(status) {
+    super(
+      status === 'expired'
+        ? 'The link code expired - show a new one on your other device'
+        : 'Linking was declined on your other device',
+    );
+    this.name = 'LinkRejectedError';
+    this.status = status;
+  }
+}
+
+class DeviceLinking {
+  constructor() {
+    this.started = false;
+    this.pendingLink = null; // Existing device: { linkId, expiresAt, keyPair }
+    this.joining = null; // New device: { linkId, deviceId, keyPair, existingDeviceKey }
+
+    this.handleDevicesChanged = this.handleDevicesChanged.bind(this);
+  }
+
+  /**
+   * Follow device list changes of our contacts and of ourselves (call after login)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    socketService.on(SOCKET_EVENTS.DEVICES_CHANGED, this.handleDevicesChanged);
+  }
+
+  stop() {
+    this.started = false;
+    socketService.off(SOCKET_EVENTS.DEVICES_CHANGED, this.handleDevicesChanged);
+    this.pendingLink = null;
+  }
+
+  handleDevicesChanged({ userId }) {
+    logger.log(`📱 Devices of ${userId} changed`);
+    signalProtocol.invalidateDevices(userId);
+  }
+
+  // ============= LINKED DEVICES =============
+
+  /**
+   * Devices logged in to our account
+   * @returns {Promise<Array<{ deviceId, deviceName, lastSeenAt, current }>>}
+   */
+  async getLinkedDevices() {
+    try {
+      const response = await api.get('/devices');
+      const deviceId = await deviceService.getDeviceId();
+      return (response.data?.data?.devices || []).map((device) => ({
+        ...device,
+        current: device.deviceId === deviceId,
+      }));
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  }
+
+  /**
+   * Log a device out of our account (its keys are dropped server-side)
+   */
+  async unlinkDevice(deviceId) {
+    try {
+      const response = await api.delete(`/devices/${deviceId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  }
+
+  // ============= EXISTING DEVICE =============
+
+  /**
+   * Open a link for a new device
+   * @returns {Promise<{ linkId, expiresAt, qrPayload }>}
+   */
+  async createLink() {
+    try {
+      const response = await api.post('/devices/link');
+      const { linkId, expiresAt } = response.data?.data || {};
+      if (!linkId) {
+        throw new Error('Server did not open a link');
+      }
+
+      const keyPair = await e2eeService.generateX25519KeyPair();
+      this.pendingLink = { linkId, expiresAt, keyPair };
+
+      logger.log('🔗 Device link opened:', linkId);
+      return { linkId, expiresAt, qrPayload: `${QR_PREFIX}${linkId}:${keyPair.publicKey}` };
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  }
+
+  /**
+   * Listen for new devices scanning our link code
+   * @param {function} listener - (request: { linkId, deviceId, deviceName, ephemeralKey }) => void
+   * @returns {function} Unsubscribe
+   */
+  onLinkRequest(listener) {
+    const handler = (request) => {
+      if (request.linkId === this.pendingLink?.linkId) listener(request);
+    };
+    socketService.on(SOCKET_EVENTS.DEVICE_LINK_REQUEST, handler);
+    return () => socketService.off(SOCKET_EVENTS.DEVICE_LINK_REQUEST, handler);
+  }
+
+  /**
+   * Code to compare with the one on the new device's screen
+   */
+  async getRequestVerificationCode(request) {
+    if (!this.pendingLink) throw new Error('No device link open');
+    return await this.computeVerificationCode(
+      this.pendingLink.keyPair.publicKey,
+      request.ephemeralKey,
+    );
+  }
+
+  /**
+   * Let the new device in and hand it our profile and contact list
+   * @param {object} request - From onLinkRequest
+   * @param {object} user - Our profile
+   */
+  async approveLink(request, user) {
+    const link = this.pendingLink;
+    if (!link || link.linkId !== request.linkId) {
+      throw new Error('This link is no longer open - show a new code');
+    }
+
+    const bootstrap = {
+      version: BOOTSTRAP_VERSION,
+      user,
+      chats: await localDatabase.getChats(),
+      linkedAt: Date.now(),
+    };
+
+    const linkKey = await this.deriveLinkKey(link.keyPair.privateKey, request.ephemeralKey, link);
+    const nonce = await e2eeService.generateNonce();
+    const ciphertext = await e2eeService.encryptAEAD(
+      JSON.stringify(bootstrap),
+      linkKey,
+      nonce,
+      link.linkId,
+    );
+
+    try {
+      await api.post(`/devices/link/${link.linkId}/approve`, {
+        deviceId: request.deviceId,
+        bootstrap: {
+          ciphertext: e2eeService.toBase64(ciphertext),
+          nonce: e2eeService.toBase64(nonce),
+        },
+      });
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+
+    this.pendingLink = null;
+    signalProtocol.invalidateDevices(user._id); // Our next messages go to the new device too
+    logger.log('✅ Device linked:', request.deviceName || request.deviceId);
+  }
+
+  /**
+   * Turn the new device away (e.g. the verification codes didn't match)
+   */
+  async rejectLink(request) {
+    this.pendingLink = null;
+    try {
+      await api.post(`/devices/link/${request.linkId}/reject`, { deviceId: request.deviceId });
+    } catch (error) {
+      logger.warn('⚠️ Failed to reject device link:', error.message);
+    }
+  }
+
+  /**
+   * Close the link code without linking anything (it also expires on its own)
+   */
+  cancelLink() {
+    this.pendingLink = null;
+  }
+
+  // ============= NEW DEVICE =============
+
+  /**
+   * Parse a scanned link QR code
+   * @returns {{ linkId: string, ephemeralKey: string }|null} Null if it isn't a link code
+   */
+  parseQrPayload(data) {
+    if (typeof data !== 'string' || !data.startsWith(QR_PREFIX)) return null;
+
+    const [linkId, ephemeralKey] = data.slice(QR_PREFIX.length).split(':');
+    if (!linkId || !ephemeralKey) return null;
+
+    return { linkId, ephemeralKey };
+  }
+
+  /**
+   * Ask to join the account behind a scanned link code
+   * @returns {Promise<{ verificationCode: string }>}
+   */
+  async requestLink({ linkId, ephemeralKey }) {
+    const keyPair = await e2eeService.generateX25519KeyPair();
+    const deviceId = await deviceService.getDeviceId();
+
+    try {
+      await api.post(`/devices/link/${linkId}/request`, {
+        deviceId,
+        deviceName: deviceService.getDeviceName(),
+        ephemeralKey: keyPair.publicKey,
+      });
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+
+    this.joining = { linkId, deviceId, keyPair, existingDeviceKey: ephemeralKey };
+    return {
+      verificationCode: await this.computeVerificationCode(ephemeralKey, keyPair.publicKey),
+    };
+  }
+
+  /**
+   * Wait until the other device approved us
+   * @returns {Promise<{ accessToken, refreshToken, bootstrap: { user, chats } }|null>}
+   *   Null if cancelled meanwhile (cancelJoin)
+   */
+  async waitForApproval() {
+    const joining = this.joining;
+    if (!joining) throw new Error('No link requested');
+
+    const deadline = Date.now() + APPROVAL_TIMEOUT;
+    while (this.joining === joining) {
+      if (Date.now() > deadline) throw new LinkRejectedError('expired');
+
+      let link = null;
+      try {
+        const response = await api.get(`/devices/link/${joining.linkId}`, {
+          params: { deviceId: joining.deviceId },
+        });
+        link = response.data?.data;
+      } catch (error) {
+        if (error.response?.status === 404) throw new LinkRejectedError('expired');
+        logger.warn('⚠️ Link status check failed, retrying:', error.message);
+      }
+
+      if (link?.status === 'approved') {
+        if (this.joining !== joining) return null;
+        this.joining = null;
+        return {
+          accessToken: link.accessToken,
+          refreshToken: link.refreshToken,
+          bootstrap: await this.openBootstrap(joining, link.bootstrap),
+        };
+      }
+      if (link?.status === 'rejected' || link?.status === 'expired') {
+        this.joining = null;
+        throw new LinkRejectedError(link.status);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+    }
+    return null;
+  }
+
+  /**
+   * Stop waiting for approval (user left the screen)
+   */
+  cancelJoin() {
+    this.joining = null;
+  }
+
+  async openBootstrap(joining, sealed) {
+    if (!sealed?.ciphertext || !sealed?.nonce) {
+      throw new Error('Approval did not include the account data');
+    }
+
+    const linkKey = await this.deriveLinkKey(
+      joining.keyPair.privateKey,
+      joining.existingDeviceKey,
+      joining,
+    );
+    const plaintext = await e2eeService.decryptAEAD(
+      e2eeService.fromBase64(sealed.ciphertext),
+      linkKey,
+      e2eeService.fromBase64(sealed.nonce),
+      joining.linkId,
+    );
+
+    const bootstrap = JSON.parse(BufferPolyfill.toString(plaintext));
+    if (bootstrap.version !== BOOTSTRAP_VERSION || !bootstrap.user?._id) {
+      throw new Error('Unsupported account data - update WhispChat on both devices');
+    }
+    return bootstrap;
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * Symmetric key of one link (X25519 of both ephemeral keys, bound to the link ID)
+   */
+  async deriveLinkKey(privateKey, theirPublicKey, { linkId }) {
+    const sharedSecret = await e2eeService.performDH(privateKey, theirPublicKey);
+    return await e2eeService.hkdf(sharedSecret, 'WhispChat-DeviceLink', linkId, 32);
+  }
+
+  /**
+   * 6-digit code both devices show (existing device's key first)
+   */
+  async computeVerificationCode(existingDeviceKey, newDeviceKey) {
+    const hash = await e2eeService.hash(`${existingDeviceKey}:${newDeviceKey}`, 32);
+    const value = ((hash[0] << 24) | (hash[1] << 16) | (hash[2] << 8) | hash[3]) >>> 0;
+    return String(value % 1000000).padStart(6, '0');
+  }
+}
+
+export default new DeviceLinking();
@@ -6,10 +6,12 @@
  * Run these functions in sequence to test the full E2EE flow.
  */
 
-import e2eeService from '../services/e2eeService';
 import signalProtocol from '../services/signalProtocol';
 import mediaEncryption from '../services/mediaEncryption';
 import api from '../services/api';
+import { keyService } from '../services/keyService';
+import { deviceAddress, deviceService, toWireEnvelope } from '../services/device';
+import { SOCKET_EVENTS } from '../services/socketEvents';
 
 // ============= SETUP: GENERATE AND UPLOAD PREKEYS =============
 
@@ -24,11 +26,11 @@ export async function initializeE2EE() {
     // Generate prekey bundle
     const bundle = await signalProtocol.generatePrekeyBundle(100);
 
-    // Upload to server
-    const response = await api.post('/keys/prekeys', bundle);
+    // Upload to server (as this device's bundle)
+    const result = await keyService.uploadPrekeyBundle(bundle);
 
-    console.log('✅ E2EE initialized:', response.data);
-    return response.data;
+    console.log('✅ E2EE initialized:', result);
+    return result;
   } catch (error) {
     console.error('❌ E2EE initialization failed:', error);
     throw error;
@@ -37,24 +39,20 @@ export async function initializeE2EE() {
 
 /**
  * Refresh one-time prekeys when running low
- * Call periodically or when oneTimePrekeyCount < 20
+ * Called by keyMaintenance when oneTimePrekeyCount < 20
+ *
+ * @param {number} count - Size of the new batch
  */
-export async function refreshOneTimePrekeys() {
+export async function refreshOneTimePrekeys(count = 50) {
   try {
     // Generate new batch
-    const newPrekeys = [];
-    for (let i = 0; i < 50; i++) {
-      const prekeyPair = await e2eeService.generateX25519KeyPair();
-      const prekeyId = `${Date.now()}_${i}`;
-      await e2eeService.storePrivateKey(`otp_${prekeyId}`, prekeyPair.privateKey);
-      newPrekeys.push({ id: prekeyId, publicKey: prekeyPair.publicKey });
-    }
+    const newPrekeys = await signalProtocol.generateOneTimePrekeys(count);
 
     // Upload to server
-    const response = await api.post('/keys/refresh', { oneTimePrekeys: newPrekeys });
+    const result = await keyService.uploadOneTimePrekeys(newPrekeys);
 
-    console.log('✅ One-time prekeys refreshed:', response.data);
-    return response.data;
+    console.log('✅ One-time prekeys refreshed:', result);
+    return result;
   } catch (error) {
     console.error('❌ Prekey refresh failed:', error);
     throw error;
@@ -72,51 +70,23 @@ export async function refreshOneTimePrekeys() {
  */
 export async function sendEncryptedMessage(peerUserId, plaintext, socketService) {
   try {
-    // Check if session exists
-    // ✅ FIXED: Use full peerUserId as session ID
-    const sessionId = peerUserId;
-    let session = await signalProtocol.getSessionState(sessionId);
-
-    // If no session, initiate X3DH
-    if (!session) {
-      console.log('🔑 No session found, initiating X3DH...');
-
-      // Fetch peer's prekey bundle
-      // ✅ FIXED: Correct API endpoint
-      const bundleResponse = await api.get(`/keys/prekeys/${peerUserId}`);
-      const peerBundle = bundleResponse.data.data;
-
-      // Perform X3DH key agreement
-      // ✅ FIXED: Pass peerUserId to use as session ID
-      const { sessionId: newSessionId, initialHeader } = await signalProtocol.initiateSession(
-        peerBundle,
-        peerUserId,
-      );
-
-      console.log('✅ X3DH session initiated:', newSessionId);
-
-      // Send initial header via socket (unencrypted, but authenticated)
-      socketService.emit('e2ee:init-session', {
-        receiverId: peerUserId,
-        header: initialHeader,
-      });
-    }
-
-    // Encrypt message with Double Ratchet
-    const encrypted = await signalProtocol.ratchetEncrypt(sessionId, plaintext);
+    // Set up sessions with every device of the peer (X3DH where missing) and encrypt
+    // one copy per device - nothing else may touch the sessions in between
+    const envelopes = await signalProtocol.withSessionLock(peerUserId, () =>
+      signalProtocol.encryptForUser(peerUserId, plaintext),
+    );
 
-    // Send encrypted message via socket
-    socketService.emit('message:send', {
+    // Send encrypted copies via socket (new sessions carry their X3DH header)
+    socketService.emit(SOCKET_EVENTS.MESSAGE_SEND, {
       receiverId: peerUserId,
-      encryptedText: encrypted.ciphertext,
-      ratchetHeader: encrypted.header,
-      nonce: encrypted.nonce,
+      envelopes: envelopes.map((encrypted) => toWireEnvelope(peerUserId, encrypted)),
+      senderDeviceId: await deviceService.getDeviceId(),
       messageType: 'text',
     });
 
-    console.log('✅ Encrypted message sent');
+    console.log(`✅ Encrypted message sent to ${envelopes.length} device(s)`);
 
-    return encrypted;
+    return envelopes;
   } catch (error) {
     console.error('❌ Send encrypted message failed:', error);
     throw error;
@@ -134,30 +104,26 @@ export async function sendEncryptedMessage(peerUserId, plaintext, socketService)
  */
 export async function receiveEncryptedMessage(encryptedMessage) {
   try {
-    const { senderId, encryptedText, ratchetHeader, nonce } = encryptedMessage;
-
-    // Derive session ID from sender
-    // ✅ FIXED: Use full senderId as session ID
-    const sessionId = senderId;
-
-    // Check if we have a session
-    let session = await signalProtocol.getSessionState(sessionId);
-
-    // If no session, this might be the first message (need to accept X3DH)
-    if (!session && encryptedMessage.initialHeader) {
-      console.log('🔑 Accepting X3DH session from', senderId);
-      // ✅ FIXED: Pass senderId as session ID
-      await signalProtocol.acceptSession(encryptedMessage.initialHeader, senderId);
-
-      // Re-check session after acceptance
-      session = await signalProtocol.getSessionState(sessionId);
-    }
-
-    // Decrypt message
-    const plaintext = await signalProtocol.ratchetDecrypt(sessionId, {
-      ciphertext: encryptedText,
-      header: ratchetHeader,
-      nonce,
+    const { senderId, senderDeviceId, encryptedText, ratchetHeader, nonce } = encryptedMessage;
+
+    // Each device of the sender has its own session
+    const sessionId = deviceAddress(senderId, senderDeviceId);
+
+    // Accept + decrypt in one go - messages from one sender are handled in arrival order
+    const plaintext = await signalProtocol.withSessionLock(senderId, async () => {
+      // First message of a (new) session carries the X3DH header - accept it
+      const { initialHeader } = encryptedMessage;
+      if (initialHeader && (await signalProtocol.shouldAcceptSession(sessionId, initialHeader))) {
+        console.log('🔑 Accepting X3DH session from', sessionId);
+        await signalProtocol.acceptSession(initialHeader, sessionId);
+      }
+
+      // Decrypt message
+      return await signalProtocol.ratchetDecrypt(sessionId, {
+        ciphertext: encryptedText,
+        header: ratchetHeader,
+        nonce,
+      });
     });
 
     console.log('✅ Message decrypted:', plaintext);
@@ -180,50 +146,46 @@ export async function receiveEncryptedMessage(encryptedMessage) {
  */
 export async function sendEncryptedFile(peerUserId, fileUri, socketService) {
   try {
-    const sessionId = `${peerUserId}`.slice(0, 16);
-
-    // Ensure session exists (same as text message flow)
-    let session = await signalProtocol.getSessionState(sessionId);
-    if (!session) {
-      console.log('🔑 Initiating session for file transfer...');
-      const bundleResponse = await api.get(`/keys/prekeys/${peerUserId}`);
-      const { initialHeader } = await signalProtocol.initiateSession(bundleResponse.data.data);
-      socketService.emit('e2ee:init-session', {
-        receiverId: peerUserId,
-        header: initialHeader,
-      });
-    }
-
-    // Encrypt file
-    const { encryptedBlob, encryptedFileKey, fileNonce, originalName, mimeType } =
-      await mediaEncryption.encryptFile(fileUri, sessionId);
+    // Encrypt file (the file key is encrypted for each of the peer's devices)
+    const { encryptedFileUri, encryptedFileKey, fileNonce, chunkSize, originalName, mimeType } =
+      await signalProtocol.withSessionLock(peerUserId, () =>
+        mediaEncryption.encryptFile(fileUri, peerUserId),
+      );
 
-    // Upload encrypted blob to server (server stores ciphertext only)
+    // Upload encrypted file to server (server stores ciphertext only)
     const formData = new FormData();
     formData.append('file', {
-      uri: `data:${mimeType};base64,${encryptedBlob}`,
+      uri: encryptedFileUri,
       name: originalName,
-      type: mimeType,
+      type: 'application/octet-stream',
     });
     formData.append('receiverId', peerUserId);
 
-    const uploadResponse = await api.post('/messages/upload', formData, {
-      headers: { 'Content-Type': 'multipart/form-data' },
-    });
+    let uploadResponse;
+    try {
+      uploadResponse = await api.post('/messages/upload', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0,
+      });
+    } finally {
+      mediaEncryption.deleteTempFile(encryptedFileUri);
+    }
 
     const encryptedBlobUrl = uploadResponse.data.data.message.mediaUrl;
 
     // Send encrypted file key via E2EE message channel
-    socketService.emit('message:send', {
+    socketService.emit(SOCKET_EVENTS.MESSAGE_SEND, {
       receiverId: peerUserId,
       encryptedText: JSON.stringify({
         type: 'file',
         encryptedFileKey,
         fileNonce,
+        chunkSize,
         encryptedBlobUrl,
         originalName,
         mimeType,
       }),
+      senderDeviceId: await deviceService.getDeviceId(),
       messageType: 'file',
     });
 
@@ -246,28 +208,22 @@ export async function sendEncryptedFile(peerUserId, fileUri, socketService) {
  */
 export async function receiveEncryptedFile(fileMessage) {
   try {
-    const { senderId, encryptedText } = fileMessage;
-    const sessionId = `${senderId}`.slice(0, 16);
+    const { senderId, senderDeviceId, encryptedText } = fileMessage;
 
     // Parse file metadata
     const fileData = JSON.parse(encryptedText);
-    const { encryptedFileKey, fileNonce, encryptedBlobUrl, originalName } = fileData;
-
-    // Download encrypted blob from server
-    const blobResponse = await fetch(encryptedBlobUrl);
-    const blobArrayBuffer = await blobResponse.arrayBuffer();
-    const encryptedBlob = e2eeService.toBase64(new Uint8Array(blobArrayBuffer));
+    const { encryptedFileKey, fileNonce, chunkSize, encryptedBlobUrl, originalName } = fileData;
 
-    // Decrypt file
-    const decryptedBytes = await mediaEncryption.decryptFile(
-      encryptedBlob,
+    // Download, decrypt and save to local filesystem
+    const localUri = await mediaEncryption.decryptFile({
+      mediaUrl: encryptedBlobUrl,
       encryptedFileKey,
       fileNonce,
-      sessionId,
-    );
-
-    // Save to local filesystem
-    const localUri = await mediaEncryption.saveDecryptedFile(decryptedBytes, originalName);
+      chunkSize,
+      senderId,
+      senderDeviceId,
+      fileName: originalName,
+    });
 
     console.log('✅ Encrypted file received and decrypted:', localUri);
 
@@ -297,7 +253,7 @@ export async function receiveEncryptedFile(fileMessage) {
  * }, [activeChat, e2eeEnabled]);
  *
  * // When receiving message:
- * socketService.on('message:receive', async (message) => {
+ * socketService.on(SOCKET_EVENTS.MESSAGE_RECEIVE, async (message) => {
  *   if (message.encryptedText && message.ratchetHeader) {
  *     const plaintext = await receiveEncryptedMessage(message);
  *     // Display plaintext
@@ -136,6 +136,15 @@ class E2EEService {
     return okm;
   }
 
+  /**
+   * BLAKE2b hash (fingerprints / safety numbers)
+   */
+  async hash(data, outputLength = 32) {
+    await this.init();
+    const bytes = typeof data === 'string' ? this.sodium.from_string(data) : data;
+    return this.sodium.crypto_generichash(outputLength, bytes);
+  }
+
   /**
    * Derive root key and chain key from X3DH shared secrets
    */
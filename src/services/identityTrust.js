@@ -0,0 +1,312 @@
+/**
+ * Identity Trust Store
+ * Pins every contact's identity key and tracks how much we trust it
+ *
+ * States:
+ * - unverified: key seen (trust on first use), safety number never compared
+ * - verified:   user compared safety numbers for exactly this key
+ * - changed:    a VERIFIED contact's key changed - sending is blocked until the user
+ *               accepts the new key (unverified contacts just get a warning)
+ *
+ * Keys are pinned per device (records are keyed by device address, see device.js).
+ * A contact is verified once all of their devices are, and changed as soon as one is.
+ * A new device of a verified contact counts as a key change.
+ */
+
+import { parseDeviceAddress } from './device';
+import secureStorage from './secureStorage';
+import logger from '../utils/logger';
+
+const TRUST_STORAGE_KEY = 'identity_trust';
+
+export const TRUST_STATES = {
+  UNVERIFIED: 'unverified',
+  VERIFIED: 'verified',
+  CHANGED: 'changed',
+};
+
+/**
+ * Thrown when sending to a contact whose verified identity key changed
+ */
+export class IdentityChangedError extends Error {
+  constructor(peerUserId) {
+    super('Safety number changed - accept the new identity key before sending');
+    this.name = 'IdentityChangedError';
+    this.peerUserId = peerUserId;
+    this.fatal = true; // Retrying won't help until the user acts
+  }
+}
+
+class IdentityTrust {
+  constructor() {
+    this.records = new Map(); // device address -> { identityKey, state, verifiedAt?, changedAt?, previousIdentityKey?, newDevice? }
+    this.listeners = new Set();
+    this.loaded = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load trust records from disk (safe to call repeatedly)
+   */
+  async load() {
+    if (this.loaded) return;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const stored = await secureStorage.getItem(TRUST_STORAGE_KEY);
+        this.records = new Map(
+          Object.entries(stored || {}).map(([peerUserId, record]) => [
+            peerUserId,
+            this.migrateRecord(record),
+          ]),
+        );
+        this.loaded = true;
+      })().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Records written before trust states existed only had a `verified` flag
+   */
+  migrateRecord(record) {
+    if (record.state) return record;
+    const { verified, ...rest } = record;
+    return { ...rest, state: verified ? TRUST_STATES.VERIFIED : TRUST_STATES.UNVERIFIED };
+  }
+
+  /**
+   * Get the trust record of one device
+   * @param {string} address - Device address (user ID for a legacy single-device contact)
+   * @returns {Promise<{ identityKey, state, verifiedAt, changedAt }|null>}
+   */
+  async getRecord(address) {
+    await this.load();
+    return this.records.get(address) || null;
+  }
+
+  /**
+   * Trust records of all devices of a contact (or of one device, given its address)
+   * @returns {Promise<Array<{ address, identityKey, state }>>}
+   */
+  async getDeviceRecords(peerUserId) {
+    await this.load();
+    return [...this.records.entries()]
+      .filter(([address]) => address === peerUserId || address.startsWith(`${peerUserId}:`))
+      .map(([address, record]) => ({ address, ...record }));
+  }
+
+  /**
+   * Trust state of a contact (unverified if never seen)
+   */
+  async getState(peerUserId) {
+    const records = await this.getDeviceRecords(peerUserId);
+    if (records.some((record) => record.state === TRUST_STATES.CHANGED)) {
+      return TRUST_STATES.CHANGED;
+    }
+    if (records.length > 0 && records.every((record) => record.state === TRUST_STATES.VERIFIED)) {
+      return TRUST_STATES.VERIFIED;
+    }
+    return TRUST_STATES.UNVERIFIED;
+  }
+
+  /**
+   * Check if a contact was verified (for a specific identity key, if given)
+   */
+  async isVerified(peerUserId, identityKey = null) {
+    if (!identityKey) {
+      return (await this.getState(peerUserId)) === TRUST_STATES.VERIFIED;
+    }
+    const records = await this.getDeviceRecords(peerUserId);
+    return records.some(
+      (record) => record.state === TRUST_STATES.VERIFIED && record.identityKey === identityKey,
+    );
+  }
+
+  /**
+   * Check if sending to a contact is blocked by an unaccepted key change
+   */
+  async isSendBlocked(peerUserId) {
+    return (await this.getState(peerUserId)) === TRUST_STATES.CHANGED;
+  }
+
+  /**
+   * Throw IdentityChangedError if sending to a contact is blocked
+   */
+  async assertCanSend(peerUserId) {
+    if (await this.isSendBlocked(peerUserId)) {
+      throw new IdentityChangedError(peerUserId);
+    }
+  }
+
+  /**
+   * Compare an identity key seen on the wire with the pinned one
+   * Pins the key on first contact; records a key change otherwise.
+   *
+   * @param {string} peerUserId - Device address
+   * @returns {Promise<string>} Resulting trust state
+   */
+  async checkIdentity(peerUserId, identityKey) {
+    if (!peerUserId || !identityKey) return TRUST_STATES.UNVERIFIED;
+    await this.load();
+
+    const record = this.records.get(peerUserId);
+    if (!record) {
+      return await this.pinNewDevice(peerUserId, identityKey);
+    }
+
+    if (record.identityKey === identityKey) return record.state;
+
+    // Key changed - block only if the user had vouched for the old key
+    const wasTrusted =
+      record.state === TRUST_STATES.VERIFIED || record.state === TRUST_STATES.CHANGED;
+    const updated = {
+      identityKey,
+      previousIdentityKey: record.identityKey,
+      state: wasTrusted ? TRUST_STATES.CHANGED : TRUST_STATES.UNVERIFIED,
+      changedAt: new Date().toISOString(),
+    };
+    this.records.set(peerUserId, updated);
+    await this.persist();
+
+    logger.warn(`⚠️ Identity key changed for ${peerUserId} (${updated.state})`);
+    this.notifyListeners(peerUserId, updated, 'changed');
+    return updated.state;
+  }
+
+  /**
+   * Pin the key of a device we haven't seen before
+   * A new device of a verified contact blocks sending like a key change - otherwise
+   * whoever can add devices to their account reads along without a warning. The key
+   * the user already verified (legacy record of the same device) stays verified.
+   */
+  async pinNewDevice(address, identityKey) {
+    const { userId } = parseDeviceAddress(address);
+    const verified = (await this.getDeviceRecords(userId)).filter(
+      (record) => record.state === TRUST_STATES.VERIFIED,
+    );
+
+    if (verified.length === 0) {
+      this.records.set(address, { identityKey, state: TRUST_STATES.UNVERIFIED });
+      await this.persist();
+      return TRUST_STATES.UNVERIFIED;
+    }
+
+    const known = verified.find((record) => record.identityKey === identityKey);
+    if (known) {
+      this.records.set(address, {
+        identityKey,
+        state: TRUST_STATES.VERIFIED,
+        verifiedAt: known.verifiedAt,
+      });
+      await this.persist();
+      return TRUST_STATES.VERIFIED;
+    }
+
+    const record = {
+      identityKey,
+      state: TRUST_STATES.CHANGED,
+      changedAt: new Date().toISOString(),
+      newDevice: true,
+    };
+    this.records.set(address, record);
+    await this.persist();
+
+    logger.warn(`⚠️ New device for verified contact ${address} - sending blocked`);
+    this.notifyListeners(address, record, 'changed');
+    return TRUST_STATES.CHANGED;
+  }
+
+  /**
+   * Mark a contact's device as verified after a successful safety number comparison
+   * @param {string} peerUserId - Device address
+   */
+  async markVerified(peerUserId, identityKey) {
+    await this.load();
+    const record = {
+      identityKey,
+      state: TRUST_STATES.VERIFIED,
+      verifiedAt: new Date().toISOString(),
+    };
+    this.records.set(peerUserId, record);
+    await this.persist();
+    logger.log('✅ Contact verified:', peerUserId);
+    this.notifyListeners(peerUserId, record, 'verified');
+  }
+
+  /**
+   * Remove the verification of a contact (all devices, or one device given its address)
+   */
+  async clearVerification(peerUserId) {
+    await this.resetState(peerUserId, TRUST_STATES.VERIFIED, 'cleared');
+    logger.log('⚠️ Verification cleared:', peerUserId);
+  }
+
+  /**
+   * Accept changed identity keys - unblocks sending, the devices become unverified
+   */
+  async acceptIdentityChange(peerUserId) {
+    await this.resetState(peerUserId, TRUST_STATES.CHANGED, 'accepted');
+    logger.log('🔑 New identity key accepted:', peerUserId);
+  }
+
+  /**
+   * Move every device of a contact that is in `fromState` back to unverified
+   */
+  async resetState(peerUserId, fromState, event) {
+    const records = (await this.getDeviceRecords(peerUserId)).filter(
+      (record) => record.state === fromState,
+    );
+    if (records.length === 0) return;
+
+    const updates = records.map(({ address, identityKey }) => {
+      const updated = { identityKey, state: TRUST_STATES.UNVERIFIED };
+      this.records.set(address, updated);
+      return [address, updated];
+    });
+    await this.persist();
+    updates.forEach(([address, updated]) => this.notifyListeners(address, updated, event));
+  }
+
+  /**
+   * Listen for trust changes
+   * @param {function} listener - (peerUserId, record, event) => void
+   *   record.deviceId: the device the change is about (null for legacy single-device contacts)
+   *   record.newDevice: 'changed' is about a device we hadn't seen before
+   *   event: 'changed' | 'verified' | 'cleared' | 'accepted'
+   * @returns {function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(address, record, event) {
+    const { userId, deviceId } = parseDeviceAddress(address);
+    this.listeners.forEach((listener) => {
+      try {
+        listener(userId, { ...record, deviceId }, event);
+      } catch (error) {
+        logger.error('❌ Trust listener failed:', error);
+      }
+    });
+  }
+
+  async persist() {
+    await secureStorage.setItem(TRUST_STORAGE_KEY, Object.fromEntries(this.records));
+  }
+
+  /**
+   * Wipe all trust records (logout)
+   */
+  async clear() {
+    this.records = new Map();
+    this.loaded = true;
+    await secureStorage.removeItem(TRUST_STORAGE_KEY);
+  }
+}
+
+export default new IdentityTrust();
@@ -0,0 +1,126 @@
+/**
+ * Key Maintenance
+ * Keeps the prekeys we publish on the server usable, in the background
+ *
+ * Runs on app start, whenever the socket (re)connects and when the server hints that our
+ * one-time prekeys are running low (`keys:low`). Each run:
+ * - publishes the full prekey bundle if the server holds none (first login, reinstall)
+ * - prunes one-time prekey private keys the server no longer holds
+ * - uploads a new batch of one-time prekeys once fewer than OTP_LOW_WATERMARK are left
+ * - rotates the signed prekey when it's due
+ *
+ * Without one-time prekeys peers still reach us, but their X3DH handshakes lose the
+ * fourth DH (weaker forward secrecy for the first messages).
+ */
+
+import { refreshOneTimePrekeys } from './e2eeManager';
+import { keyService } from './keyService';
+import signalProtocol from './signalProtocol';
+import { socketService } from './socket';
+import { SOCKET_EVENTS } from './socketEvents';
+import logger from '../utils/logger';
+
+const INITIAL_OTP_COUNT = 100;
+const OTP_LOW_WATERMARK = 20;
+const OTP_BATCH_SIZE = 50;
+const MIN_RUN_INTERVAL = 5 * 60 * 1000; // Flaky connections reconnect a lot - don't poll on each
+
+class KeyMaintenance {
+  constructor() {
+    this.started = false;
+    this.running = null; // Promise of the run in progress
+    this.lastRunAt = 0;
+
+    this.handleConnectionStatus = this.handleConnectionStatus.bind(this);
+    this.handleKeysLow = this.handleKeysLow.bind(this);
+  }
+
+  /**
+   * Start maintenance for the logged-in user (safe to call repeatedly)
+   * @returns {Promise} Resolves when the initial run finished
+   */
+  start() {
+    if (!this.started) {
+      this.started = true;
+      socketService.on(SOCKET_EVENTS.CONNECTION_STATUS, this.handleConnectionStatus);
+      socketService.on(SOCKET_EVENTS.KEYS_LOW, this.handleKeysLow);
+    }
+    return this.run('app start', { force: true });
+  }
+
+  /**
+   * Stop reacting to socket events (logout)
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    this.lastRunAt = 0;
+    socketService.off(SOCKET_EVENTS.CONNECTION_STATUS, this.handleConnectionStatus);
+    socketService.off(SOCKET_EVENTS.KEYS_LOW, this.handleKeysLow);
+  }
+
+  handleConnectionStatus({ connected }) {
+    if (!connected) return;
+    this.run('socket connect').catch((error) => {
+      logger.warn('⚠️ Key maintenance failed after connect:', error?.message || error);
+    });
+  }
+
+  handleKeysLow(data) {
+    logger.log(`🔑 Server reports ${data?.count ?? 'few'} one-time prekeys left`);
+    this.run('server hint', { force: true }).catch((error) => {
+      logger.warn('⚠️ Key maintenance failed after server hint:', error?.message || error);
+    });
+  }
+
+  /**
+   * Run a maintenance pass (concurrent calls share one run)
+   * @param {string} reason - What triggered the run (for logs)
+   * @param {object} options - { force } skip the MIN_RUN_INTERVAL throttle
+   */
+  run(reason, { force = false } = {}) {
+    if (this.running) return this.running;
+    if (!force && Date.now() - this.lastRunAt < MIN_RUN_INTERVAL) return Promise.resolve();
+
+    this.running = this.maintain(reason).finally(() => {
+      this.running = null;
+      this.lastRunAt = Date.now();
+    });
+    return this.running;
+  }
+
+  async maintain(reason) {
+    logger.log(`🔑 Key maintenance (${reason})...`);
+
+    const response = await keyService.getKeyStatus();
+    const status = response?.data ?? response ?? {};
+    const localIdentityKey = await signalProtocol.getLocalIdentityKey();
+
+    // Nothing (or another identity) published - upload everything
+    if (
+      !localIdentityKey ||
+      !status.hasKeys ||
+      (status.identityKey && status.identityKey !== localIdentityKey)
+    ) {
+      const bundle = await signalProtocol.generatePrekeyBundle(INITIAL_OTP_COUNT);
+      await keyService.uploadPrekeyBundle(bundle);
+      logger.log('✅ Prekey bundle published');
+      return;
+    }
+
+    // Drop private keys of prekeys the server no longer hands out
+    if (Array.isArray(status.oneTimePrekeyIds)) {
+      await signalProtocol.pruneOneTimePrekeys(status.oneTimePrekeyIds);
+    }
+
+    const remaining = status.oneTimePrekeyCount ?? 0;
+    if (remaining < OTP_LOW_WATERMARK) {
+      await refreshOneTimePrekeys(OTP_BATCH_SIZE);
+      logger.log(`✅ One-time prekeys replenished (${remaining} → ${remaining + OTP_BATCH_SIZE})`);
+    }
+
+    await signalProtocol.rotateSignedPrekeyIfNeeded();
+  }
+}
+
+export default new KeyMaintenance();
@@ -1,13 +1,43 @@
 import api from './api';
+import { deviceService } from './device';
+
+/**
+ * Bring a prekey response into the per-device shape
+ * Servers without linked devices answer with one bare bundle - that device has no ID.
+ */
+const toDeviceBundles = (data) => {
+  if (Array.isArray(data?.devices)) return data.devices;
+  return data?.identityKey ? [{ deviceId: null, ...data }] : [];
+};
 
 export const keyService = {
   /**
-   * Upload prekey bundle to server
+   * Upload this device's prekey bundle to server
    * @param {object} bundle - { identityKey, signedPrekey, oneTimePrekeys }
    */
   uploadPrekeyBundle: async (bundle) => {
     try {
-      const response = await api.post('/keys/prekeys', bundle);
+      const response = await api.post('/keys/prekeys', {
+        ...bundle,
+        deviceId: await deviceService.getDeviceId(),
+        deviceName: deviceService.getDeviceName(),
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Publish a new signed prekey (rotation)
+   * @param {object} signedPrekey - { id, publicKey, signature }
+   */
+  uploadSignedPrekey: async (signedPrekey) => {
+    try {
+      const response = await api.post('/keys/signed-prekey', {
+        signedPrekey,
+        deviceId: await deviceService.getDeviceId(),
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
@@ -15,24 +45,44 @@ export const keyService = {
   },
 
   /**
-   * Fetch prekey bundle for a user
+   * Upload a new batch of one-time prekeys
+   * @param {Array} oneTimePrekeys - [{ id, publicKey }]
+   */
+  uploadOneTimePrekeys: async (oneTimePrekeys) => {
+    try {
+      const response = await api.post('/keys/refresh', {
+        oneTimePrekeys,
+        deviceId: await deviceService.getDeviceId(),
+      });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || error;
+    }
+  },
+
+  /**
+   * Fetch the prekey bundles of all devices of a user
    * @param {string} userId
+   * @returns {Promise<object>} { data: { devices: [{ deviceId, deviceName, identityKey, signedPrekey, oneTimePrekey }] } }
    */
   fetchPrekeyBundle: async (userId) => {
     try {
       const response = await api.get(`/keys/prekeys/${userId}`);
-      return response.data;
+      return { ...response.data, data: { devices: toDeviceBundles(response.data?.data) } };
     } catch (error) {
       throw error.response?.data || error;
     }
   },
 
   /**
-   * Check key status
+   * Check key status of this device
+   * @returns {Promise<object>} { data: { hasKeys, identityKey, oneTimePrekeyCount, oneTimePrekeyIds } }
    */
   getKeyStatus: async () => {
     try {
-      const response = await api.get('/keys/status');
+      const response = await api.get('/keys/status', {
+        params: { deviceId: await deviceService.getDeviceId() },
+      });
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
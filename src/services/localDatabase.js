@@ -0,0 +1,347 @@
+/**
+ * Local Message Database
+ * Offline-first store for the chat list and conversation history
+ *
+ * - Everything is written through secureStorage (encrypted at rest)
+ * - One record per conversation: { syncedAt, pageCount }, its messages (oldest first) in
+ *   pages of PAGE_SIZE - a new message only rewrites the last page
+ * - Screens render from here first, then merge server deltas on top
+ * - History is never cut - older pages fetched from the server stay too
+ *
+ * Ratchet-decrypted plaintext can't be recovered from the server copy (message keys are
+ * single-use), so when merging, a locally known `text` always survives a text-less server copy.
+ */
+
+import secureStorage from './secureStorage';
+import logger from '../utils/logger';
+
+const CHATS_KEY = 'chatdb_chats';
+const GROUPS_KEY = 'chatdb_groups';
+const CONVERSATIONS_KEY = 'chatdb_conversations';
+const MESSAGES_KEY_PREFIX = 'chatdb_messages_';
+
+const PAGE_SIZE = 200;
+// Ask the server for a little more than strictly needed - device and server clocks drift
+const SYNC_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Optimistic messages that only exist until the server confirms them (the outbox owns these)
+ */
+const isLocalOnly = (message) => !message?._id || String(message._id).startsWith('temp_');
+
+const byCreatedAt = (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+
+const pageKey = (conversationId, index) => `${MESSAGES_KEY_PREFIX}${conversationId}_p${index}`;
+
+const toPages = (messages) => {
+  const pages = [];
+  for (let i = 0; i < messages.length; i += PAGE_SIZE) {
+    pages.push(messages.slice(i, i + PAGE_SIZE));
+  }
+  return pages;
+};
+
+// Merges keep unchanged message objects, so a page is unchanged if it holds the same objects
+const samePage = (a, b) => a?.length === b?.length && a.every((msg, i) => msg === b[i]);
+
+class LocalDatabase {
+  constructor() {
+    this.conversations = new Map(); // conversationId -> { messages, syncedAt, storedPages }
+    this.conversationIds = null; // Set of stored conversation IDs (lazy)
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Conversation ID for a chat: peer user ID for direct chats, room:<id> for rooms
+   */
+  getConversationId({ _id, isRoom, roomId }) {
+    return isRoom ? `room:${roomId}` : _id;
+  }
+
+  // ============= CHAT LIST =============
+
+  /**
+   * Get the cached chat list
+   * @returns {Promise<{ primaryChat: [], secondaryChat: [] }|null>}
+   */
+  async getChats() {
+    return await secureStorage.getItem(CHATS_KEY);
+  }
+
+  /**
+   * Replace the cached chat list
+   */
+  async saveChats({ primaryChat = [], secondaryChat = [] }) {
+    await this.enqueueWrite(() => secureStorage.setItem(CHATS_KEY, { primaryChat, secondaryChat }));
+  }
+
+  // ============= GROUPS =============
+
+  /**
+   * Get the cached group list
+   * @returns {Promise<Array|null>}
+   */
+  async getGroups() {
+    return await secureStorage.getItem(GROUPS_KEY);
+  }
+
+  /**
+   * Replace the cached group list
+   */
+  async saveGroups(groups) {
+    await this.enqueueWrite(() => secureStorage.setItem(GROUPS_KEY, groups));
+  }
+
+  // ============= MESSAGES =============
+
+  /**
+   * Load a conversation record (memory first, then disk)
+   */
+  async loadConversation(conversationId) {
+    if (this.conversations.has(conversationId)) {
+      return this.conversations.get(conversationId);
+    }
+
+    const stored = await secureStorage.getItem(`${MESSAGES_KEY_PREFIX}${conversationId}`);
+    const storedPages = [];
+    for (let i = 0; i < (stored?.pageCount || 0); i++) {
+      const page = await secureStorage.getItem(pageKey(conversationId, i));
+      storedPages.push(Array.isArray(page) ? page : []);
+    }
+    // Another call may have loaded it while we were decrypting
+    if (this.conversations.has(conversationId)) {
+      return this.conversations.get(conversationId);
+    }
+
+    const conversation = {
+      // Records from before paging hold all messages (rewritten as pages on the next save)
+      messages: Array.isArray(stored?.messages) ? stored.messages : storedPages.flat(),
+      syncedAt: stored?.syncedAt || null,
+      storedPages, // As last written - only pages that differ get rewritten
+    };
+    this.conversations.set(conversationId, conversation);
+    return conversation;
+  }
+
+  /**
+   * Get stored messages of a conversation (oldest first)
+   */
+  async getMessages(conversationId) {
+    const conversation = await this.loadConversation(conversationId);
+    return [...conversation.messages];
+  }
+
+  /**
+   * `since` cursor for the next delta sync (null = never synced, fetch everything)
+   */
+  async getSyncCursor(conversationId) {
+    const { syncedAt } = await this.loadConversation(conversationId);
+    if (!syncedAt) return null;
+    return new Date(new Date(syncedAt).getTime() - SYNC_CLOCK_SKEW_MS).toISOString();
+  }
+
+  /**
+   * Merge messages fetched from the server into a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} serverMessages - Messages from the API (full history or a delta)
+   * @param {string} syncedAt - When the fetch started (becomes the next `since` cursor)
+   * @returns {Promise<Array>} Merged conversation (oldest first)
+   */
+  async mergeServerMessages(conversationId, serverMessages, syncedAt) {
+    const conversation = await this.loadConversation(conversationId);
+    conversation.messages = this.mergeMessageLists(conversation.messages, serverMessages);
+    if (syncedAt) conversation.syncedAt = syncedAt;
+
+    await this.persistConversation(conversationId);
+    return [...conversation.messages];
+  }
+
+  /**
+   * Insert or update a single message
+   */
+  async upsertMessage(conversationId, message) {
+    if (isLocalOnly(message)) return;
+
+    const conversation = await this.loadConversation(conversationId);
+    conversation.messages = this.mergeMessageLists(conversation.messages, [message]);
+    await this.persistConversation(conversationId);
+  }
+
+  /**
+   * Update a message wherever it is stored
+   * @param {string} messageId - Server message ID
+   * @param {object|function} patch - Fields to set, or (message) => updatedMessage
+   */
+  async updateMessage(messageId, patch) {
+    const conversationId = await this.findConversationOf(messageId);
+    if (!conversationId) return;
+
+    const conversation = this.conversations.get(conversationId);
+    conversation.messages = conversation.messages.map((msg) => {
+      if (msg._id !== messageId) return msg;
+      return typeof patch === 'function' ? patch(msg) : { ...msg, ...patch };
+    });
+    await this.persistConversation(conversationId);
+  }
+
+  /**
+   * Remove a message wherever it is stored
+   */
+  async removeMessage(messageId) {
+    const conversationId = await this.findConversationOf(messageId);
+    if (!conversationId) return;
+
+    const conversation = this.conversations.get(conversationId);
+    conversation.messages = conversation.messages.filter((msg) => msg._id !== messageId);
+    await this.persistConversation(conversationId);
+  }
+
+  /**
+   * Drop the stored history of a conversation (chat cleared / deleted)
+   */
+  async clearConversation(conversationId) {
+    this.conversations.delete(conversationId);
+    const conversationIds = await this.getConversationIds();
+    conversationIds.delete(conversationId);
+
+    await this.enqueueWrite(async () => {
+      await this.removeConversationRecord(conversationId);
+      await secureStorage.setItem(CONVERSATIONS_KEY, [...conversationIds]);
+    });
+  }
+
+  /**
+   * Wipe everything (logout)
+   */
+  async clear() {
+    const conversationIds = await this.getConversationIds();
+    this.conversations.clear();
+    this.conversationIds = null;
+
+    await this.enqueueWrite(async () => {
+      await Promise.all([...conversationIds].map((id) => this.removeConversationRecord(id)));
+      await secureStorage.removeItem(CONVERSATIONS_KEY);
+      await secureStorage.removeItem(CHATS_KEY);
+      await secureStorage.removeItem(GROUPS_KEY);
+    });
+    logger.log('🧹 Local message database cleared');
+  }
+
+  // ============= INTERNALS =============
+
+  /**
+   * Merge two message lists by _id (server fields win, local plaintext survives)
+   */
+  mergeMessageLists(localMessages, incomingMessages) {
+    const byId = new Map(localMessages.map((msg) => [msg._id, msg]));
+
+    incomingMessages.forEach((incoming) => {
+      if (isLocalOnly(incoming)) return;
+
+      const local = byId.get(incoming._id);
+      if (!local) {
+        byId.set(incoming._id, incoming);
+        return;
+      }
+
+      const merged = { ...local, ...incoming };
+      if (local.text && !incoming.text) {
+        merged.text = local.text;
+        merged.decryptionError = local.decryptionError;
+      }
+      byId.set(incoming._id, merged);
+    });
+
+    return [...byId.values()].sort(byCreatedAt);
+  }
+
+  /**
+   * Find which stored conversation holds a message
+   */
+  async findConversationOf(messageId) {
+    // Loaded conversations first - the common case is the open chat
+    for (const [conversationId, conversation] of this.conversations) {
+      if (conversation.messages.some((msg) => msg._id === messageId)) return conversationId;
+    }
+
+    const conversationIds = await this.getConversationIds();
+    for (const conversationId of conversationIds) {
+      if (this.conversations.has(conversationId)) continue;
+      const conversation = await this.loadConversation(conversationId);
+      if (conversation.messages.some((msg) => msg._id === messageId)) return conversationId;
+    }
+
+    return null;
+  }
+
+  /**
+   * IDs of all conversations with stored history
+   */
+  async getConversationIds() {
+    if (!this.conversationIds) {
+      const stored = await secureStorage.getItem(CONVERSATIONS_KEY);
+      this.conversationIds = new Set(Array.isArray(stored) ? stored : []);
+    }
+    return this.conversationIds;
+  }
+
+  /**
+   * Write the changed pages of a conversation (and the conversation index if it's new)
+   */
+  async persistConversation(conversationId) {
+    const conversationIds = await this.getConversationIds();
+    const isNew = !conversationIds.has(conversationId);
+    conversationIds.add(conversationId);
+
+    await this.enqueueWrite(async () => {
+      // Cleared while this write was waiting
+      const conversation = this.conversations.get(conversationId);
+      if (!conversation) return;
+
+      const pages = toPages(conversation.messages);
+      const { storedPages } = conversation;
+      for (let i = 0; i < pages.length; i++) {
+        if (!samePage(pages[i], storedPages[i])) {
+          await secureStorage.setItem(pageKey(conversationId, i), pages[i]);
+        }
+      }
+      await secureStorage.setItem(`${MESSAGES_KEY_PREFIX}${conversationId}`, {
+        syncedAt: conversation.syncedAt,
+        pageCount: pages.length,
+      });
+      // Messages removed - drop pages past the end
+      for (let i = pages.length; i < storedPages.length; i++) {
+        await secureStorage.removeItem(pageKey(conversationId, i));
+      }
+      conversation.storedPages = pages;
+
+      if (isNew) {
+        await secureStorage.setItem(CONVERSATIONS_KEY, [...conversationIds]);
+      }
+    });
+  }
+
+  /**
+   * Delete a conversation's record and pages from disk
+   */
+  async removeConversationRecord(conversationId) {
+    const key = `${MESSAGES_KEY_PREFIX}${conversationId}`;
+    const stored = await secureStorage.getItem(key);
+    for (let i = 0; i < (stored?.pageCount || 0); i++) {
+      await secureStorage.removeItem(pageKey(conversationId, i));
+    }
+    await secureStorage.removeItem(key);
+  }
+
+  /**
+   * Serialize writes so an older snapshot never lands after a newer one
+   */
+  enqueueWrite(write) {
+    this.writeChain = this.writeChain.then(write).catch((error) => {
+      logger.error('❌ Failed to write local database:', error);
+    });
+    return this.writeChain;
+  }
+}
+
+export default new LocalDatabase();
@@ -0,0 +1,280 @@
+/**
+ * Media Cache
+ * Decrypted media files on disk keyed by message _id, least recently used evicted first
+ *
+ * The file key of an encrypted attachment is a Double Ratchet message key - it can be
+ * decrypted exactly once. Whatever we decrypt (or send) is kept here so the media still
+ * shows after leaving the chat or restarting the app.
+ *
+ * Files live in the documents directory (the OS may purge the cache directory, and a purged
+ * file can't be decrypted again). The index (sizes + order of use) is kept in AsyncStorage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Directory, File, Paths } from 'expo-file-system';
+import logger from '../utils/logger';
+
+const INDEX_STORAGE_KEY = 'media_cache_index';
+const MAX_BYTES_STORAGE_KEY = 'media_cache_max_bytes';
+const SAVE_DELAY = 500;
+
+export const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+export const MAX_BYTES_OPTIONS = [100, 250, 500, 1024].map((mb) => mb * 1024 * 1024);
+
+// Received images up to this size are decrypted as soon as they show up
+export const AUTO_DECRYPT_MAX_BYTES = 10 * 1024 * 1024;
+
+class MediaCache {
+  constructor() {
+    this.entries = new Map(); // messageId -> { fileName, size } (least recently used first)
+    this.inFlight = new Map(); // messageId -> Promise of a running decryption
+    this.maxBytes = DEFAULT_MAX_BYTES;
+    this.directory = new Directory(Paths.document, 'media-cache');
+    this.loaded = false;
+    this.loadPromise = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the index from disk (safe to call repeatedly)
+   */
+  async load() {
+    if (this.loaded) return;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const [indexJson, maxBytes] = await Promise.all([
+          AsyncStorage.getItem(INDEX_STORAGE_KEY),
+          AsyncStorage.getItem(MAX_BYTES_STORAGE_KEY),
+        ]);
+        const stored = indexJson ? JSON.parse(indexJson) : [];
+        const pending = this.entries; // Added before the load finished - newest
+        this.entries = new Map(stored);
+        pending.forEach((entry, id) => this.entries.set(id, entry));
+        if (maxBytes) this.maxBytes = Number(maxBytes);
+
+        this.directory.create({ intermediates: true, idempotent: true });
+        this.loaded = true;
+        logger.log(`🗂️ Media cache loaded: ${this.entries.size} files, ${this.totalBytes()} bytes`);
+      })().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Local URI of a cached message's media (marks it as recently used)
+   * @returns {Promise<string|null>}
+   */
+  async get(messageId) {
+    await this.load();
+
+    const entry = this.entries.get(messageId);
+    if (!entry) return null;
+
+    const file = this.fileOf(entry);
+    if (!file.exists) {
+      // Deleted behind our back - forget it
+      this.entries.delete(messageId);
+      this.scheduleSave();
+      return null;
+    }
+
+    this.entries.delete(messageId);
+    this.entries.set(messageId, entry);
+    this.scheduleSave();
+    return file.uri;
+  }
+
+  /**
+   * Local URIs of all cached media among these messages
+   * @returns {Promise<object>} messageId -> local URI
+   */
+  async getMany(messageIds) {
+    const uris = {};
+    for (const messageId of messageIds) {
+      const uri = await this.get(messageId);
+      if (uri) uris[messageId] = uri;
+    }
+    return uris;
+  }
+
+  /**
+   * Take a file into the cache
+   *
+   * @param {string} messageId - Message the media belongs to
+   * @param {string} fileUri - File to cache
+   * @param {object} [options]
+   * @param {boolean} [options.copy] - Copy instead of move (the file belongs to someone else,
+   *   e.g. a picked file we sent)
+   * @returns {Promise<string>} Local URI of the cached file
+   */
+  async put(messageId, fileUri, { copy = false } = {}) {
+    await this.load();
+
+    const source = new File(fileUri);
+    const destination = this.prepareFile(messageId, source.name);
+    if (copy) {
+      source.copy(destination);
+    } else {
+      source.move(destination);
+    }
+    return this.addEntry(messageId, destination);
+  }
+
+  /**
+   * Decrypt a message's media at most once - later calls get the cached file
+   * Concurrent calls for the same message (automatic + a tap) share one decryption.
+   * Failures aren't cached - the file key is only used once the download succeeded.
+   *
+   * @param {string} messageId
+   * @param {string} fileName - Name of the media file
+   * @param {function} decrypt - async (destination: File) => void, decrypts into destination
+   * @returns {Promise<string>} Local URI of the cached file
+   */
+  async decryptOnce(messageId, fileName, decrypt) {
+    const cached = await this.get(messageId);
+    if (cached) return cached;
+
+    if (!this.inFlight.has(messageId)) {
+      const decryption = (async () => {
+        const destination = this.prepareFile(messageId, fileName);
+        await decrypt(destination);
+        return this.addEntry(messageId, destination);
+      })().finally(() => {
+        this.inFlight.delete(messageId);
+      });
+      this.inFlight.set(messageId, decryption);
+    }
+
+    return await this.inFlight.get(messageId);
+  }
+
+  /**
+   * Forget media (deleted, self-destructed messages)
+   */
+  async delete(...messageIds) {
+    await this.load();
+
+    messageIds.flat().forEach((id) => this.removeEntry(id));
+    this.scheduleSave();
+  }
+
+  /**
+   * Total size the cache may grow to - least recently used files go first
+   */
+  async getMaxBytes() {
+    await this.load();
+    return this.maxBytes;
+  }
+
+  async setMaxBytes(maxBytes) {
+    await this.load();
+
+    this.maxBytes = maxBytes;
+    await AsyncStorage.setItem(MAX_BYTES_STORAGE_KEY, String(maxBytes));
+    this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * @returns {Promise<{ files: number, bytes: number }>}
+   */
+  async getUsage() {
+    await this.load();
+    return { files: this.entries.size, bytes: this.totalBytes() };
+  }
+
+  /**
+   * Delete every cached file (logout, or from settings)
+   */
+  async clear() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.entries = new Map();
+    this.loaded = false; // Reload picks up the max size and recreates the directory
+
+    try {
+      if (this.directory.exists) this.directory.delete();
+    } catch (error) {
+      logger.error('❌ Failed to delete media cache:', error);
+    }
+    await AsyncStorage.removeItem(INDEX_STORAGE_KEY);
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * Free the cache file of a message (replacing whatever was cached for it)
+   */
+  prepareFile(messageId, fileName) {
+    this.removeEntry(messageId);
+    const file = new File(
+      this.directory,
+      `${messageId}_${fileName || 'media'}`.replace(/[/\\]/g, '_'),
+    );
+    if (file.exists) file.delete();
+    return file;
+  }
+
+  addEntry(messageId, file) {
+    this.entries.set(messageId, { fileName: file.name, size: file.size });
+    this.evict();
+    this.scheduleSave();
+    return file.uri;
+  }
+
+  totalBytes() {
+    let total = 0;
+    this.entries.forEach((entry) => {
+      total += entry.size || 0;
+    });
+    return total;
+  }
+
+  /**
+   * Delete least recently used files until the cache fits (the newest file always stays)
+   */
+  evict() {
+    while (this.entries.size > 1 && this.totalBytes() > this.maxBytes) {
+      const oldestId = this.entries.keys().next().value;
+      logger.log('🧹 Evicting cached media:', oldestId);
+      this.removeEntry(oldestId);
+    }
+  }
+
+  removeEntry(messageId) {
+    const entry = this.entries.get(messageId);
+    if (!entry) return;
+
+    this.entries.delete(messageId);
+    try {
+      const file = this.fileOf(entry);
+      if (file.exists) file.delete();
+    } catch (error) {
+      logger.warn('⚠️ Failed to delete cached media:', error.message);
+    }
+  }
+
+  fileOf(entry) {
+    return new File(this.directory, entry.fileName);
+  }
+
+  /**
+   * Write the index to disk shortly after the last change
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      AsyncStorage.setItem(INDEX_STORAGE_KEY, JSON.stringify([...this.entries])).catch((error) => {
+        logger.error('❌ Failed to save media cache index:', error);
+      });
+    }, SAVE_DELAY);
+  }
+}
+
+export default new MediaCache();
@@ -4,173 +4,442 @@
  *
  * Flow:
  * 1. Generate random 256-bit file key
- * 2. Encrypt file locally with ChaCha20-Poly1305
- * 3. Encrypt file key using Double Ratchet session
- * 4. Upload encrypted blob (server stores ciphertext only)
+ * 2. Encrypt file locally, chunk by chunk, into a temporary file
+ * 3. Encrypt file key using the Double Ratchet session of every recipient device
+ * 4. Upload encrypted file (streamed from disk - server stores ciphertext only)
  * 5. Send encrypted file key via E2EE message channel
- * 6. Receiver decrypts file key, downloads blob, decrypts locally
+ * 6. Receiver decrypts file key, downloads the file to disk, decrypts it chunk by chunk
+ *
+ * Chunk format (secretstream-style, XChaCha20-Poly1305 per chunk):
+ * - The plaintext is cut into CHUNK_SIZE pieces, each encrypted on its own (+16 byte tag)
+ * - Chunk nonce = file nonce with the chunk index XORed into its last 4 bytes
+ * - Associated data = chunk index + whether it is the last chunk, so reordered,
+ *   dropped or cut-off chunks fail authentication
+ * Only one chunk is in memory at a time, so file size is limited by disk, not RAM.
+ * Files without `chunkSize` are the old single-AEAD format and still decrypt.
+ *
+ * Metadata (name, type, size and for images/videos a small thumbnail + blurhash) is encrypted
+ * with the file key as well and sent with the message, so the receiver can show a preview
+ * before downloading anything. Receivers decrypt the file key when the message arrives.
  */
 
+import { deviceAddress, deviceService } from './device';
 import e2eeService from './e2eeService';
 import signalProtocol from './signalProtocol';
-// ✅ FIXED: Use legacy API to avoid deprecation warnings
-import * as FileSystem from 'expo-file-system';
+import transferManager from './transferManager';
+import { File, Paths } from 'expo-file-system';
+import { Image } from 'expo-image';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import * as VideoThumbnails from 'expo-video-thumbnails';
+import { BufferPolyfill } from '../utils/bufferPolyfill';
 import logger from '../utils/logger';
 
+export const CHUNK_SIZE = 256 * 1024; // Plaintext bytes per chunk
+const TAG_BYTES = 16; // Poly1305 tag added to every chunk
+export const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + TAG_BYTES; // Also the upload chunk size
+
+const METADATA_ASSOCIATED_DATA = 'whispchat-media:metadata';
+const THUMBNAIL_SIZE = 160; // Longest side in pixels
+const THUMBNAIL_QUALITY = 0.5;
+const BLURHASH_COMPONENTS = [4, 3];
+
+// Name, type and exact size only travel in the encrypted metadata - the server sees which
+// of these upper bounds the size is under (receivers decide on automatic decryption by it)
+const SIZE_BUCKETS = [1, 10, 100].map((mb) => mb * 1024 * 1024);
+
 class MediaEncryption {
   /**
    * Encrypt file for E2EE transfer
    *
+   * Call with the peer's session lock held (signalProtocol.withSessionLock)
+   *
    * @param {string} fileUri - Local file URI
-   * @param {string} sessionId - E2EE session ID for encrypting file key
-   * @returns {object} { encryptedBlob, encryptedFileKey, nonce, originalName, mimeType }
+   * @param {string} peerUserId - Recipient - the file key is encrypted for each of their devices
+   * @param {object} [options]
+   * @param {string} [options.transferId] - Report progress as this transfer (transferManager)
+   * @param {string} [options.mimeType] - MIME type (guessed from the file name if missing)
+   * @returns {object} { encryptedFileUri, encryptedSize, encryptedFileKey, fileNonce, chunkSize,
+   *   encryptedMetadata, metadataNonce, fileKey, preview, originalName, mimeType, size,
+   *   sizeBucket }
+   *   - delete encryptedFileUri after the upload (deleteTempFile)
    */
-  async encryptFile(fileUri, sessionId) {
+  async encryptFile(fileUri, peerUserId, { transferId, mimeType: knownMimeType } = {}) {
+    await e2eeService.init();
+
+    // Validate inputs
+    if (!fileUri) {
+      throw new Error('File URI is required');
+    }
+    if (!peerUserId) {
+      throw new Error('Recipient is required');
+    }
+
+    const source = new File(fileUri);
+    if (!source.exists) {
+      throw new Error(`File does not exist: ${fileUri}`);
+    }
+
+    const size = source.size;
+    logger.log(`📊 File size: ${size} bytes`);
+
+    // Extract filename and mime type
+    const fileName = fileUri.split('/').pop();
+    const mimeType = knownMimeType || this.guessMimeType(fileName);
+
+    // Generate random 256-bit file key and the base nonce of its chunks
+    const fileKey = await e2eeService.randomBytes(32);
+    const fileNonce = await e2eeService.generateNonce();
+
+    const output = this.createTempFile('enc');
     try {
-      await e2eeService.init();
+      await this.transformChunks(source, output, {
+        inputChunkSize: CHUNK_SIZE,
+        totalBytes: size,
+        transform: (chunk, index, final) =>
+          e2eeService.encryptAEAD(
+            chunk,
+            fileKey,
+            this.chunkNonce(fileNonce, index),
+            this.chunkAssociatedData(index, final),
+          ),
+        onChunk: (bytes) => {
+          if (!transferId) return;
+          transferManager.throwIfCancelled(transferId);
+          transferManager.update(transferId, { bytes, totalBytes: size });
+        },
+      });
+    } catch (error) {
+      this.deleteTempFile(output.uri);
+      logger.error('❌ File encryption failed:', error);
+      throw error;
+    }
 
-      // Validate inputs
-      if (!fileUri) {
-        throw new Error('File URI is required');
-      }
-      if (!sessionId) {
-        throw new Error('Session ID is required');
-      }
+    // Thumbnail + blurhash travel encrypted with the file key, next to the file's details
+    const preview = await this.createPreview(fileUri, mimeType);
+    const metadata = await this.encryptMetadata({ fileName, mimeType, size, ...preview }, fileKey);
 
-      logger.log(`📁 Reading file: ${fileUri}`);
+    // Encrypt file key using the Double Ratchet session of each recipient device
+    const encryptedFileKeyEnvelopes = await signalProtocol.encryptForUser(
+      peerUserId,
+      e2eeService.toBase64(fileKey),
+    );
 
-      // Check if file exists
-      let fileInfo;
-      try {
-        fileInfo = await FileSystem.getInfoAsync(fileUri);
-      } catch (infoError) {
-        logger.error('Failed to get file info:', infoError);
-        throw new Error(`Cannot access file: ${infoError.message}`);
-      }
+    logger.log(`✅ File encrypted: ${fileName} (${size} bytes → ${output.size} bytes)`);
 
-      if (!fileInfo.exists) {
-        throw new Error(`File does not exist: ${fileUri}`);
-      }
+    return {
+      encryptedFileUri: output.uri,
+      encryptedSize: output.size,
+      encryptedFileKey: encryptedFileKeyEnvelopes, // [{ deviceId, ciphertext, header, nonce }]
+      fileNonce: e2eeService.toBase64(fileNonce),
+      chunkSize: CHUNK_SIZE,
+      encryptedChunkSize: ENCRYPTED_CHUNK_SIZE,
+      encryptedMetadata: metadata.ciphertext,
+      metadataNonce: metadata.nonce,
+      fileKey: e2eeService.toBase64(fileKey), // Kept by the sender - its envelopes are for others
+      preview,
+      originalName: fileName,
+      mimeType,
+      size,
+      sizeBucket: this.getSizeBucket(size),
+    };
+  }
+
+  /**
+   * Download and decrypt a received encrypted file into the documents directory
+   *
+   * @param {object} media
+   * @param {string} media.mediaUrl - Where the encrypted file was uploaded
+   * @param {string} [media.fileKey] - Base64 file key, if already decrypted (receiveFileKey)
+   * @param {object|Array} media.encryptedFileKey - Encrypted file key envelope(s), used when
+   *   there is no fileKey
+   * @param {string} media.fileNonce - Base64-encoded file nonce
+   * @param {number} [media.chunkSize] - Plaintext chunk size (missing for single-AEAD files)
+   * @param {string} media.senderId - User who sent the file
+   * @param {string} [media.senderDeviceId] - Their device it was sent from
+   * @param {string} [media.fileName] - Name to save the decrypted file as
+   * @param {object} [options]
+   * @param {string} [options.transferId] - Transfer to report as (transferManager) - calling
+   *   again with the ID of a failed download continues that download
+   * @param {File} [options.destination] - File to decrypt into (e.g. from mediaCache) instead
+   *   of media.fileName in the documents directory
+   * @returns {Promise<string>} Local file URI
+   */
+  async decryptFile(media, { transferId = `download_${Date.now()}`, destination } = {}) {
+    await e2eeService.init();
+
+    // Download first - the file key can only be decrypted once (ratchet message key)
+    const encrypted = await this.downloadEncryptedFile(media.mediaUrl, transferId);
+    const fileName = (media.fileName || `decrypted_${Date.now()}`).replace(/[/\\]/g, '_');
+    const output = destination || new File(Paths.document, fileName);
 
-      logger.log(`📊 File size: ${fileInfo.size} bytes`);
+    try {
+      const fileKey = media.fileKey
+        ? e2eeService.fromBase64(media.fileKey)
+        : await this.decryptFileKey(media.encryptedFileKey, media.senderId, media.senderDeviceId);
+      const fileNonce = e2eeService.fromBase64(media.fileNonce);
+
+      if (output.exists) output.delete();
+      output.create();
+      transferManager.track(transferId, { stage: 'decrypt', totalBytes: encrypted.size });
 
-      // Read file as binary with error handling
-      let fileBase64;
-      try {
-        fileBase64 = await FileSystem.readAsStringAsync(fileUri, {
-          encoding: FileSystem.EncodingType.Base64,
+      if (media.chunkSize) {
+        const chunkSize = Number(media.chunkSize);
+        await this.transformChunks(encrypted, output, {
+          inputChunkSize: chunkSize + TAG_BYTES,
+          totalBytes: encrypted.size,
+          transform: (chunk, index, final) =>
+            e2eeService.decryptAEAD(
+              chunk,
+              fileKey,
+              this.chunkNonce(fileNonce, index),
+              this.chunkAssociatedData(index, final),
+            ),
+          onChunk: (bytes) => {
+            transferManager.throwIfCancelled(transferId);
+            transferManager.update(transferId, { bytes });
+          },
         });
-      } catch (readError) {
-        logger.error('Failed to read file:', readError);
-        throw new Error(`Failed to read file: ${readError.message}`);
+      } else {
+        // Old single-AEAD format - the whole file has to fit in memory
+        const decryptedBytes = await e2eeService.decryptAEAD(
+          await encrypted.bytes(),
+          fileKey,
+          fileNonce,
+          null,
+        );
+        output.write(decryptedBytes);
       }
+    } catch (error) {
+      this.deleteTempFile(output.uri);
+      throw error;
+    } finally {
+      this.deleteTempFile(encrypted.uri);
+      transferManager.finish(transferId);
+    }
 
-      // Validate file was read successfully
-      if (!fileBase64 || typeof fileBase64 !== 'string') {
-        throw new Error('File read returned invalid data');
-      }
+    logger.log(`✅ File decrypted: ${output.uri} (${output.size} bytes)`);
+    return output.uri;
+  }
 
-      logger.log(`✅ File read successfully (${fileBase64.length} base64 chars)`);
+  /**
+   * Decrypt the file key of a received file message - call once, when the message arrives
+   * (the preview needs it right away, and the envelope can't be decrypted a second time)
+   *
+   * @param {object} message - { encryptedFileKey, senderId, senderDeviceId }
+   * @returns {Promise<string>} Base64 file key
+   */
+  async receiveFileKey({ encryptedFileKey, senderId, senderDeviceId }) {
+    await e2eeService.init();
+    const fileKey = await this.decryptFileKey(encryptedFileKey, senderId, senderDeviceId);
+    return e2eeService.toBase64(fileKey);
+  }
 
-      // Convert from base64
-      let fileBytes;
-      try {
-        fileBytes = e2eeService.fromBase64(fileBase64);
-      } catch (decodeError) {
-        logger.error('Failed to decode base64:', decodeError);
-        throw new Error('Failed to decode file data');
-      }
+  /**
+   * Decrypt the file key envelope meant for this device
+   */
+  async decryptFileKey(encryptedFileKey, senderId, senderDeviceId) {
+    // Stored messages may carry the envelopes as JSON string
+    let envelopes = encryptedFileKey;
+    if (typeof envelopes === 'string') {
+      envelopes = JSON.parse(envelopes);
+    }
+
+    // One envelope per recipient device - pick ours (files from single-device
+    // versions carry a single envelope)
+    let envelope = envelopes;
+    if (Array.isArray(envelopes)) {
+      const deviceId = await deviceService.getDeviceId();
+      envelope =
+        envelopes.find((candidate) => candidate.deviceId === deviceId) ||
+        envelopes.find((candidate) => !candidate.deviceId);
+    }
+    if (!envelope) {
+      throw new Error('File was not encrypted for this device');
+    }
 
-      if (!fileBytes || fileBytes.length === 0) {
-        throw new Error('File is empty or could not be converted');
+    // Decrypt file key using Double Ratchet (the file may be the first thing the sender's
+    // device sent us - set up the session from its X3DH header first)
+    const address = deviceAddress(senderId, senderDeviceId);
+    const fileKeyB64 = await signalProtocol.withSessionLock(senderId, async () => {
+      const { initialHeader } = envelope;
+      if (initialHeader && (await signalProtocol.shouldAcceptSession(address, initialHeader))) {
+        await signalProtocol.acceptSession(initialHeader, address);
       }
+      return await signalProtocol.ratchetDecrypt(address, envelope);
+    });
+    return e2eeService.fromBase64(fileKeyB64);
+  }
 
-      // Generate random 256-bit file key
-      const fileKey = await e2eeService.randomBytes(32);
+  /**
+   * Decrypt the details sent with a file - { fileName, mimeType, size, thumbnail, blurhash,
+   * width, height } (thumbnail: base64 JPEG)
+   *
+   * @param {object} media - { encryptedMetadata, metadataNonce, fileKey (base64) }
+   * @returns {Promise<object|null>} null for files sent without metadata
+   */
+  async decryptMetadata({ encryptedMetadata, metadataNonce, fileKey }) {
+    if (!encryptedMetadata || !metadataNonce || !fileKey) return null;
+    await e2eeService.init();
 
-      // Generate nonce for file encryption
-      const fileNonce = await e2eeService.generateNonce();
+    const plaintext = await e2eeService.decryptAEAD(
+      e2eeService.fromBase64(encryptedMetadata),
+      e2eeService.fromBase64(fileKey),
+      e2eeService.fromBase64(metadataNonce),
+      METADATA_ASSOCIATED_DATA,
+    );
+    return JSON.parse(BufferPolyfill.toString(plaintext));
+  }
 
-      // Encrypt file with ChaCha20-Poly1305
-      const encryptedBlob = await e2eeService.encryptAEAD(
-        fileBytes,
-        fileKey,
-        fileNonce,
-        null, // No associated data for files
-      );
+  /**
+   * Coarse size to send in the clear (null above the largest bucket)
+   */
+  getSizeBucket(size) {
+    return SIZE_BUCKETS.find((bucket) => size <= bucket) || null;
+  }
 
-      // Encrypt file key using Double Ratchet session
-      const encryptedFileKeyEnvelope = await signalProtocol.ratchetEncrypt(
-        sessionId,
-        e2eeService.toBase64(fileKey),
-      );
+  async encryptMetadata(metadata, fileKey) {
+    const nonce = await e2eeService.generateNonce();
+    const ciphertext = await e2eeService.encryptAEAD(
+      JSON.stringify(metadata),
+      fileKey,
+      nonce,
+      METADATA_ASSOCIATED_DATA,
+    );
+    return { ciphertext: e2eeService.toBase64(ciphertext), nonce: e2eeService.toBase64(nonce) };
+  }
 
-      // Extract filename and mime type
-      const fileName = fileUri.split('/').pop();
-      const mimeType = this.guessMimeType(fileName);
+  /**
+   * Small JPEG thumbnail (base64) + blurhash of an image or video
+   * @returns {Promise<object|null>} { thumbnail, blurhash, width, height } - null for other
+   *   files, or when no preview could be made (the file is sent without one)
+   */
+  async createPreview(fileUri, mimeType) {
+    const isVideo = mimeType.startsWith('video/');
+    if (!isVideo && !mimeType.startsWith('image/')) return null;
 
-      logger.log(
-        `✅ File encrypted: ${fileName} (${fileBytes.length} bytes → ${encryptedBlob.length} bytes)`,
-      );
+    const temporaryUris = [];
+    try {
+      let frameUri = fileUri;
+      if (isVideo) {
+        frameUri = (await VideoThumbnails.getThumbnailAsync(fileUri, { time: 0 })).uri;
+        temporaryUris.push(frameUri);
+      }
+
+      // Decoded at thumbnail size - the full photo is never held in memory
+      const frame = await Image.loadAsync(frameUri, {
+        maxWidth: THUMBNAIL_SIZE,
+        maxHeight: THUMBNAIL_SIZE,
+      });
+      const rendered = await ImageManipulator.manipulate(frame).renderAsync();
+      const thumbnail = await rendered.saveAsync({
+        format: SaveFormat.JPEG,
+        compress: THUMBNAIL_QUALITY,
+        base64: true,
+      });
+      temporaryUris.push(thumbnail.uri);
 
+      const blurhash = await Image.generateBlurhashAsync(frame, BLURHASH_COMPONENTS);
       return {
-        encryptedBlob: e2eeService.toBase64(encryptedBlob),
-        encryptedFileKey: encryptedFileKeyEnvelope, // Contains ciphertext, header, nonce
-        fileNonce: e2eeService.toBase64(fileNonce),
-        originalName: fileName,
-        mimeType,
+        thumbnail: thumbnail.base64,
+        blurhash,
+        width: thumbnail.width,
+        height: thumbnail.height,
       };
     } catch (error) {
-      logger.error('❌ File encryption failed:', error);
-      throw error;
+      logger.warn('⚠️ Could not create media preview:', error.message);
+      return null;
+    } finally {
+      temporaryUris.forEach((uri) => this.deleteTempFile(uri));
     }
   }
 
   /**
-   * Decrypt received encrypted file
-   *
-   * @param {string} encryptedBlobB64 - Base64-encoded encrypted file
-   * @param {object} encryptedFileKey - Encrypted file key envelope from E2EE channel
-   * @param {string} fileNonceB64 - Base64-encoded file nonce
-   * @param {string} sessionId - E2EE session ID
-   * @returns {Uint8Array} Decrypted file bytes
+   * Download an encrypted file to a temporary file (streamed to disk by the OS)
+   * @returns {Promise<File>}
    */
-  async decryptFile(encryptedBlobB64, encryptedFileKey, fileNonceB64, sessionId) {
-    await e2eeService.init();
+  async downloadEncryptedFile(url, transferId) {
+    if (!url) {
+      throw new Error('File URL is required');
+    }
 
-    // Decrypt file key using Double Ratchet
-    const fileKeyB64 = await signalProtocol.ratchetDecrypt(sessionId, encryptedFileKey);
-    const fileKey = e2eeService.fromBase64(fileKeyB64);
+    const destinationUri = await transferManager.download(transferId, {
+      url,
+      destinationUri: this.tempFile('download').uri,
+    });
+    return new File(destinationUri);
+  }
 
-    // Decrypt file
-    const encryptedBlob = e2eeService.fromBase64(encryptedBlobB64);
-    const fileNonce = e2eeService.fromBase64(fileNonceB64);
+  /**
+   * Stream `input` into `output` chunk by chunk through `transform`
+   * (only one chunk is held in memory at a time)
+   */
+  async transformChunks(input, output, { inputChunkSize, totalBytes, transform, onChunk }) {
+    const chunkCount = Math.max(Math.ceil(totalBytes / inputChunkSize), 1); // Empty file: 1 chunk
+    const reader = input.open();
+    const writer = output.open();
 
-    const decryptedBytes = await e2eeService.decryptAEAD(encryptedBlob, fileKey, fileNonce, null);
+    try {
+      let processed = 0;
+      for (let index = 0; index < chunkCount; index++) {
+        const length = Math.min(inputChunkSize, totalBytes - processed);
+        const chunk = length > 0 ? reader.readBytes(length) : new Uint8Array(0);
+        if (chunk.length !== length) {
+          throw new Error('File changed while it was being processed');
+        }
 
-    logger.log(`✅ File decrypted: ${decryptedBytes.length} bytes`);
+        writer.writeBytes(await transform(chunk, index, index === chunkCount - 1));
+        processed += length;
+        onChunk?.(processed);
+      }
+    } finally {
+      reader.close();
+      writer.close();
+    }
+  }
 
-    return decryptedBytes;
+  /**
+   * Nonce of one chunk - the file nonce with the chunk index in its last 4 bytes
+   */
+  chunkNonce(fileNonce, index) {
+    const nonce = new Uint8Array(fileNonce);
+    const end = nonce.length;
+    nonce[end - 4] ^= (index >>> 24) & 0xff;
+    nonce[end - 3] ^= (index >>> 16) & 0xff;
+    nonce[end - 2] ^= (index >>> 8) & 0xff;
+    nonce[end - 1] ^= index & 0xff;
+    return nonce;
   }
 
   /**
-   * Save decrypted file to local filesystem
-   *
-   * @param {Uint8Array} fileBytes - Decrypted file data
-   * @param {string} fileName - Original filename
-   * @returns {string} Local file URI
+   * Associated data of one chunk - binds its position and whether the file ends there
    */
-  async saveDecryptedFile(fileBytes, fileName) {
-    const destPath = `${FileSystem.documentDirectory}${fileName}`;
-    const fileBase64 = e2eeService.toBase64(fileBytes);
+  chunkAssociatedData(index, final) {
+    return `whispchat-media:${index}:${final ? 'final' : 'more'}`;
+  }
 
-    await FileSystem.writeAsStringAsync(destPath, fileBase64, {
-      encoding: FileSystem.EncodingType.Base64,
-    });
+  tempFile(extension) {
+    return new File(
+      Paths.cache,
+      `whisp_${Date.now()}_${Math.random().toString(36).slice(2)}.${extension}`,
+    );
+  }
 
-    logger.log(`✅ Decrypted file saved: ${destPath}`);
+  createTempFile(extension) {
+    const file = this.tempFile(extension);
+    file.create();
+    return file;
+  }
 
-    return destPath;
+  /**
+   * Remove a temporary file (encrypted upload copy, download) - missing files are fine
+   */
+  deleteTempFile(uri) {
+    try {
+      const file = new File(uri);
+      if (file.exists) file.delete();
+    } catch (error) {
+      logger.warn('⚠️ Failed to delete temporary file:', error.message);
+    }
   }
 
   /**
@@ -1,15 +1,132 @@
+import { deviceService, toWireEnvelope } from './device';
+import senderKeys from './senderKeys';
 import signalProtocol from './signalProtocol';
+import secureStorage from './secureStorage';
 import { socketService } from './socket'; // ✅ FIXED: Correct import path // ✅ FIXED: Correct import path
+import { SOCKET_EVENTS } from './socketEvents';
+import identityTrust from './identityTrust';
+
+// Encrypted outbox key (see secureStorage) - survives app restarts
+const OUTBOX_STORAGE_KEY = 'message_outbox';
+
+// Fields written to disk - everything needed to re-send and re-render a queued message
+const PERSISTED_FIELDS = [
+  'id',
+  '_id',
+  'senderId',
+  'receiverId',
+  'roomId',
+  'text',
+  'tempSessionId',
+  'isTemp',
+  'createdAt',
+  'status',
+  'timestamp',
+  'retries',
+  'lastError',
+  'resendOf',
+  'selfDestruct',
+];
+
+// Conversations sent to concurrently (each lane is still sequential)
+const MAX_PARALLEL_LANES = 3;
+
+// Exponential backoff (with jitter) for retryable errors
+const RETRY_POLICY = {
+  baseDelay: 1000, // 1s
+  maxDelay: 60000, // Cap a single wait at 1 min
+  maxAttempts: 8, // Then the message moves to "failed"
+};
 
 /**
  * Message Queue - Handles background E2EE encryption and sending
  * Like WhatsApp: messages queue and retry until successfully sent
+ *
+ * The queue is mirrored to an encrypted outbox on disk, so messages accepted
+ * while offline are re-sent after an app restart with the same clientMessageId
+ * (lets the server drop duplicates if the first attempt did reach it).
  */
 class MessageQueue {
   constructor() {
     this.queue = [];
-    this.processing = false;
+    // Lanes currently being drained (see runLane)
+    this.activeLanes = new Set();
     this.listeners = new Map();
+    this.retryTimer = null;
+    this.hydrated = false;
+    this.hydratePromise = null;
+    // Serializes outbox writes so an older snapshot never overwrites a newer one
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * Restore queued messages from the encrypted outbox (call once on launch/login)
+   * @returns {Promise<object[]>} Messages restored from disk
+   */
+  async hydrate() {
+    if (this.hydrated) return [];
+    if (this.hydratePromise) return await this.hydratePromise;
+
+    this.hydratePromise = (async () => {
+      try {
+        const stored = (await secureStorage.getItem(OUTBOX_STORAGE_KEY)) || [];
+        const queuedIds = new Set(this.queue.map((msg) => msg.id));
+        const restored = stored
+          .filter((msg) => msg?.id && !queuedIds.has(msg.id))
+          // Interrupted sends go back to pending; failed ones keep waiting for the user
+          .map((msg) => ({
+            ...msg,
+            status: msg.status === 'failed' ? 'failed' : 'pending',
+            nextAttemptAt: 0,
+          }));
+
+        // Restored messages are older than anything enqueued since launch
+        this.queue = [...restored, ...this.queue];
+        this.hydrated = true;
+
+        if (restored.length > 0) {
+          console.log(`📦 Restored ${restored.length} queued messages from outbox`);
+          this.processQueue();
+        }
+
+        return restored;
+      } catch (error) {
+        console.error('❌ Failed to restore outbox:', error.message);
+        return [];
+      } finally {
+        this.hydratePromise = null;
+      }
+    })();
+
+    return await this.hydratePromise;
+  }
+
+  /**
+   * Write the current queue to the encrypted outbox
+   */
+  persist() {
+    const snapshot = this.queue.map((msg) =>
+      PERSISTED_FIELDS.reduce((entry, field) => {
+        if (msg[field] !== undefined) entry[field] = msg[field];
+        return entry;
+      }, {}),
+    );
+
+    this.persistChain = this.persistChain
+      .then(() => secureStorage.setItem(OUTBOX_STORAGE_KEY, snapshot))
+      .catch((error) => {
+        console.error('❌ Failed to persist outbox:', error.message);
+      });
+
+    return this.persistChain;
+  }
+
+  /**
+   * Remove a message from the queue by ID (queue may be reordered by hydrate)
+   */
+  removeFromQueue(messageId) {
+    this.queue = this.queue.filter((msg) => msg.id !== messageId);
+    this.persist();
   }
 
   /**
@@ -25,6 +142,7 @@ class MessageQueue {
     };
 
     this.queue.push(queuedMessage);
+    this.persist();
     console.log(`📥 Message queued: ${queuedMessage.id}`);
 
     // Start processing
@@ -34,51 +152,181 @@ class MessageQueue {
   }
 
   /**
-   * Process message queue - sends messages immediately
-   * No retries for encryption - if E2EE fails, send anyway
+   * Process message queue
+   * Every conversation (receiver / room / temp session) is its own lane: messages
+   * inside a lane go out in order, lanes run in parallel up to MAX_PARALLEL_LANES.
+   * A slow session setup or a message backing off only holds up its own lane.
    */
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) return;
+  processQueue() {
+    this.clearRetryTimer();
 
-    this.processing = true;
+    let message = this.getNextSendable();
+    while (message && this.activeLanes.size < MAX_PARALLEL_LANES) {
+      this.runLane(this.getLaneKey(message));
+      message = this.getNextSendable();
+    }
 
-    while (this.queue.length > 0) {
-      const message = this.queue[0];
+    this.scheduleRetry();
+  }
 
-      try {
-        console.log(`📤 Sending message ${message.id}...`);
+  /**
+   * Drain one lane sequentially until it is empty or its head is backing off
+   */
+  async runLane(laneKey) {
+    this.activeLanes.add(laneKey);
 
-        // ✅ FIXED: Send immediately - graceful E2EE degradation
-        await this.sendMessage(message);
+    try {
+      let message = this.getNextSendable(laneKey);
+      while (message) {
+        message.status = 'sending';
 
-        // Success - remove from queue
-        this.queue.shift();
-        this.notifyListeners(message.id, 'sent');
-        console.log(`✅ Message sent: ${message.id}`);
-      } catch (error) {
-        console.error(`❌ Send failed:`, error.message);
-
-        // Retry on all errors (Network or Encryption)
-        message.retries++;
-
-        if (message.retries < 5) {
-          const delay = 2000; // Fixed 2s retry
-          console.log(`⏱ Error (attempt ${message.retries}), retrying in ${delay / 1000}s...`);
-          await this.delay(delay);
-        } else {
-          console.error(`❌ Error persists after 5 attempts, removing from queue`);
-          this.queue.shift();
-          this.notifyListeners(message.id, 'failed');
+        try {
+          console.log(`📤 Sending message ${message.id}...`);
+
+          await this.sendMessage(message);
+
+          // Success - remove from queue
+          this.removeFromQueue(message.id);
+          this.notifyListeners(message.id, 'sent');
+          console.log(`✅ Message sent: ${message.id}`);
+        } catch (error) {
+          this.handleSendError(message, error);
         }
+
+        message = this.getNextSendable(laneKey);
+      }
+    } finally {
+      this.activeLanes.delete(laneKey);
+    }
+
+    // Free slot - start a waiting lane (or schedule the next retry)
+    this.processQueue();
+  }
+
+  /**
+   * Lane a message belongs to - ordering is only guaranteed within a lane
+   */
+  getLaneKey(message) {
+    if (message.isTemp && message.tempSessionId) return `temp:${message.tempSessionId}`;
+    if (message.roomId) return `room:${message.roomId}`;
+    return `user:${message.receiverId}`;
+  }
+
+  /**
+   * Find the next message that may be sent now
+   * Failed messages are skipped; a pending message still backing off blocks
+   * the rest of its lane so order is preserved.
+   *
+   * @param {string} laneKey - Only look inside this lane (otherwise: any idle lane)
+   */
+  getNextSendable(laneKey = null) {
+    const now = Date.now();
+    const blocked = new Set();
+
+    for (const message of this.queue) {
+      if (message.status !== 'pending') continue;
+
+      const key = this.getLaneKey(message);
+      if (laneKey ? key !== laneKey : this.activeLanes.has(key)) continue;
+      if (blocked.has(key)) continue;
+
+      if ((message.nextAttemptAt || 0) <= now) {
+        return message;
       }
+      blocked.add(key);
     }
 
-    this.processing = false;
+    return null;
+  }
+
+  /**
+   * Classify a send error and either schedule a retry or mark the message failed
+   */
+  handleSendError(message, error) {
+    console.error(`❌ Send failed:`, error.message);
+    message.lastError = error.message;
 
-    // Retry remaining messages if any
-    if (this.queue.length > 0) {
-      console.log(`📋 ${this.queue.length} messages still in queue, will retry in 2s...`);
-      setTimeout(() => this.processQueue(), 2000);
+    if (!this.isRetryableError(error)) {
+      // Server rejection / encryption failure - retrying won't help
+      console.error(`❌ Fatal send error, message ${message.id} failed`);
+      this.markFailed(message);
+      return;
+    }
+
+    if (this.isOfflineError(error)) {
+      // Offline doesn't count as an attempt - park until retryAll() on reconnect
+      message.status = 'pending';
+      message.nextAttemptAt = Date.now() + RETRY_POLICY.maxDelay;
+      this.persist();
+      console.log(`📴 Offline - message ${message.id} waits for reconnection`);
+      return;
+    }
+
+    message.retries++;
+
+    if (message.retries >= RETRY_POLICY.maxAttempts) {
+      console.error(`❌ Error persists after ${message.retries} attempts, message failed`);
+      this.markFailed(message);
+      return;
+    }
+
+    const delay = this.getRetryDelay(message.retries);
+    message.status = 'pending';
+    message.nextAttemptAt = Date.now() + delay;
+    this.persist();
+    console.log(
+      `⏱ Error (attempt ${message.retries}), retrying in ${Math.round(delay / 1000)}s...`,
+    );
+  }
+
+  /**
+   * Exponential backoff with full jitter: random(0, min(maxDelay, baseDelay * 2^attempt))
+   * Jitter keeps many queued messages from hammering the server in lockstep after an outage
+   */
+  getRetryDelay(attempt) {
+    const ceiling = Math.min(RETRY_POLICY.maxDelay, RETRY_POLICY.baseDelay * 2 ** attempt);
+    return Math.max(RETRY_POLICY.baseDelay, Math.floor(Math.random() * ceiling));
+  }
+
+  /**
+   * Move message to the "failed" state - stays in the outbox until the user retries it
+   */
+  markFailed(message) {
+    message.status = 'failed';
+    message.nextAttemptAt = 0;
+    this.persist();
+    this.notifyListeners(message.id, 'failed');
+  }
+
+  /**
+   * Wake up the queue when the earliest backoff of an idle lane expires
+   * (busy lanes pick up their own messages when they finish)
+   */
+  scheduleRetry() {
+    this.clearRetryTimer();
+
+    // All slots busy - a finishing lane calls processQueue() again
+    if (this.activeLanes.size >= MAX_PARALLEL_LANES) return;
+
+    const waiting = this.queue.filter(
+      (msg) => msg.status === 'pending' && !this.activeLanes.has(this.getLaneKey(msg)),
+    );
+    if (waiting.length === 0) return;
+
+    const nextAttemptAt = Math.min(...waiting.map((msg) => msg.nextAttemptAt || 0));
+    const delay = Math.max(0, nextAttemptAt - Date.now());
+
+    console.log(`📋 ${waiting.length} messages still in queue, next attempt in ${delay}ms`);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processQueue();
+    }, delay);
+  }
+
+  clearRetryTimer() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
     }
   }
 
@@ -86,68 +334,152 @@ class MessageQueue {
    * Check if error is network-related (should retry)
    */
   isNetworkError(error) {
-    const networkErrors = ['timeout', 'network', 'ECONNREFUSED', 'ETIMEDOUT', 'fetch'];
+    const networkErrors = [
+      'timeout',
+      'network',
+      'ECONNREFUSED',
+      'ETIMEDOUT',
+      'fetch',
+      'not connected',
+    ];
     return networkErrors.some((errType) =>
       error.message?.toLowerCase().includes(errType.toLowerCase()),
     );
   }
 
+  /**
+   * Socket is down - nothing to do until it reconnects
+   */
+  isOfflineError(error) {
+    return error.message === 'Socket not connected';
+  }
+
+  /**
+   * Retryable: network / socket problems. Fatal: everything else
+   * (server rejected the message, encryption failed, no prekey bundle...)
+   */
+  isRetryableError(error) {
+    if (error.fatal) return false;
+    return this.isNetworkError(error);
+  }
+
   /**
    * Send message with STRICT E2EE enforcement
    * User requirement: EVERYTHING must be encrypted
    */
   async sendMessage(message) {
     const { receiverId, text, tempSessionId, isTemp } = message;
+    const senderId = message.senderId?._id || message.senderId;
 
     // Check if socket is connected first
     if (!socketService.isSocketConnected()) {
       throw new Error('Socket not connected');
     }
 
+    if (message.roomId) {
+      return await this.sendRoomMessage(message);
+    }
+
+    // Never encrypt to a verified contact's new identity key without the user's consent
+    await identityTrust.assertCanSend(receiverId);
+
     // ✅ ENFORCE E2EE: Wait for session and encrypt
     console.log(`🔐 Enforcing E2EE for message to ${receiverId}...`);
 
-    // 1. Ensure Session (waits for key exchange if needed)
-    // This might take a moment if not pre-established, but ensures security
-    await signalProtocol.ensureSession(receiverId);
-
-    // 2. Encrypt
-    const encrypted = await signalProtocol.ratchetEncrypt(receiverId, text);
+    // Session setup + encryption run under the session lock, so an incoming message
+    // (accept + decrypt) can't interleave with them.
+    // Ensures a session with every device of the receiver (waits for key exchange if
+    // needed) and encrypts one copy per device
+    const envelopes = await signalProtocol.withSessionLock(receiverId, async () => {
+      // Setting up sessions can reveal a changed identity key - check again before encrypting
+      await signalProtocol.ensureSession(receiverId);
+      await identityTrust.assertCanSend(receiverId);
+      return await signalProtocol.encryptForUser(receiverId, text);
+    });
 
-    if (!encrypted) {
+    if (envelopes.length === 0) {
       throw new Error('Encryption failed - cannot send plaintext');
     }
 
+    // Our other devices get a copy too - a failure there must not hold the message back
+    let ownEnvelopes = [];
+    if (senderId && senderId !== receiverId) {
+      try {
+        ownEnvelopes = await signalProtocol.withSessionLock(senderId, () =>
+          signalProtocol.encryptForUser(senderId, text),
+        );
+      } catch (error) {
+        console.warn('⚠️ Could not encrypt for own devices:', error.message);
+      }
+    }
+
+    // Servers without linked devices only read the top-level fields (device without ID)
+    const legacyCopy = envelopes.find((envelope) => !envelope.deviceId);
+
     const messageData = {
       receiverId,
-      encryptedText: encrypted.ciphertext,
-      ratchetHeader: encrypted.header,
-      nonce: encrypted.nonce,
+      envelopes: [
+        ...envelopes.map((encrypted) => toWireEnvelope(receiverId, encrypted)),
+        ...ownEnvelopes.map((encrypted) => toWireEnvelope(senderId, encrypted)),
+      ],
+      senderDeviceId: await deviceService.getDeviceId(),
+      encryptedText: legacyCopy?.ciphertext,
+      ratchetHeader: legacyCopy?.header,
+      nonce: legacyCopy?.nonce,
+      // Until the receiver answered, every message carries the X3DH header
+      initialHeader: legacyCopy?.initialHeader,
       messageType: 'text',
       tempSessionId: isTemp ? tempSessionId : undefined,
       clientMessageId: message.id,
+      resendOf: message.resendOf, // Set by sessionRecovery
     };
 
     // Send via socket
     console.log(`📤 Sending encrypted message via socket...`);
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Send timeout'));
-      }, 30000); // 30s timeout for sending
-
-      socketService.socket.emit('message:send', messageData, (response) => {
-        clearTimeout(timeout);
-        if (response?.error) {
-          reject(new Error(response.error));
-        } else {
-          resolve(response);
-        }
-      });
+    const response = await socketService.emitWithAck(SOCKET_EVENTS.MESSAGE_SEND, messageData);
+
+    if (response?.error) {
+      // Server looked at the message and refused it - don't retry
+      const rejection = new Error(response.error);
+      rejection.fatal = true;
+      throw rejection;
+    }
+
+    return response;
+  }
+
+  /**
+   * Send a room message - encrypted once with our sender key for the room
+   * (senderKeys hands the key to new member devices first)
+   */
+  async sendRoomMessage(message) {
+    const { roomId, text } = message;
+    const senderId = message.senderId?._id || message.senderId;
+
+    console.log(`🔐 Encrypting room message for ${roomId}...`);
+    const encrypted = await senderKeys.encrypt(roomId, senderId, text);
+
+    const response = await socketService.emitWithAck(SOCKET_EVENTS.MESSAGE_SEND, {
+      roomId,
+      ...encrypted,
+      senderDeviceId: await deviceService.getDeviceId(),
+      messageType: 'text',
+      clientMessageId: message.id,
+      selfDestruct: message.selfDestruct,
     });
+
+    if (response?.error) {
+      const rejection = new Error(response.error);
+      rejection.fatal = true;
+      throw rejection;
+    }
+
+    return response;
   }
 
   /**
-   * Listen for message status updates
+   * Listen for message status updates ('pending' | 'failed' | 'sent')
+   * Listener stays registered across retries until the message is sent
    */
   onStatusChange(messageId, callback) {
     this.listeners.set(messageId, callback);
@@ -160,24 +492,72 @@ class MessageQueue {
     const callback = this.listeners.get(messageId);
     if (callback) {
       callback(status);
-      this.listeners.delete(messageId);
+      if (status === 'sent') {
+        this.listeners.delete(messageId);
+      }
     }
   }
 
   /**
-   * Get pending messages count
+   * Get pending messages count (failed messages wait for the user, not counted)
    */
   getPendingCount() {
-    return this.queue.length;
+    return this.queue.filter((msg) => msg.status !== 'failed').length;
   }
 
   /**
-   * Retry failed messages
+   * Get queued messages for a conversation (used to re-render the outbox after restart)
+   * @param {object} conversation - { receiverId } for direct chats, { roomId } for rooms,
+   *   { tempSessionId, isTemp } for temp sessions - matched by lane, like sending
+   */
+  getQueuedMessages(conversation) {
+    const laneKey = this.getLaneKey(conversation);
+    return this.queue.filter((msg) => this.getLaneKey(msg) === laneKey);
+  }
+
+  /**
+   * Drop every queued message and wipe the outbox (on logout)
+   */
+  async clear() {
+    this.clearRetryTimer();
+    this.queue = [];
+    this.listeners.clear();
+    this.hydrated = false;
+    await this.persist();
+    await secureStorage.removeItem(OUTBOX_STORAGE_KEY);
+  }
+
+  /**
+   * Retry everything still pending right away (e.g. after reconnection)
+   * Failed messages are left alone - they need an explicit retryMessage()
    */
   retryAll() {
     console.log('🔄 Retrying all queued messages...');
-    this.queue.forEach((msg) => (msg.retries = 0));
+    this.queue.forEach((msg) => {
+      if (msg.status === 'pending') {
+        msg.nextAttemptAt = 0;
+      }
+    });
+    this.processQueue();
+  }
+
+  /**
+   * Retry a single failed message (user tapped "retry")
+   * @returns {boolean} True if the message was found in the outbox
+   */
+  retryMessage(messageId) {
+    const message = this.queue.find((msg) => msg.id === messageId);
+    if (!message) return false;
+
+    console.log(`🔄 Retrying message ${messageId}...`);
+    message.status = 'pending';
+    message.retries = 0;
+    message.nextAttemptAt = 0;
+    message.lastError = undefined;
+    this.persist();
+    this.notifyListeners(messageId, 'pending');
     this.processQueue();
+    return true;
   }
 
   /**
@@ -0,0 +1,293 @@
+/**
+ * Plaintext Cache
+ * Decrypted message text keyed by message _id
+ *
+ * Double Ratchet message keys are deleted after use, so every ciphertext can be decrypted
+ * exactly once. Whatever we decrypt (or send) is kept here, and history fetched from the
+ * server is filled in from this cache instead of being decrypted again.
+ *
+ * Outgoing messages are cached under their temp ID at send time and moved to the
+ * server ID when `message:sent` comes back with the matching clientMessageId.
+ *
+ * File messages keep their decrypted file key here too (`fileKey`) - its envelope is a
+ * ratchet message as well, and the key is needed again for the preview and the download.
+ *
+ * Nothing is ever evicted - an entry can't be rebuilt, so it only goes when its message is
+ * deleted. Entries are stored per conversation, so a save only rewrites the conversations
+ * that changed.
+ */
+
+import secureStorage from './secureStorage';
+import logger from '../utils/logger';
+
+const CONVERSATIONS_KEY = 'plaintext_cache_index';
+const CONVERSATION_KEY_PREFIX = 'plaintext_cache_';
+const LEGACY_STORAGE_KEY = 'plaintext_cache'; // Everything in one blob (before per conversation)
+const LEGACY_CONVERSATION = 'legacy';
+const SAVE_DELAY = 500; // Batch bursts of writes (e.g. decrypting a page of history)
+
+export const DECRYPTION_FAILED_TEXT = '[Unable to decrypt message]';
+
+const idOf = (value) => value?._id || value;
+
+class PlaintextCache {
+  constructor() {
+    this.conversations = new Map(); // conversationId -> Map(messageId -> { text, fileKey?, decryptionError? })
+    this.index = new Map(); // messageId -> conversationId
+    this.dirty = new Set(); // conversationIds changed since the last save
+    this.inFlight = new Map(); // messageId -> Promise of a running decryption
+    this.loaded = false;
+    this.loadPromise = null;
+    this.saveTimer = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Conversation a message is stored under: room:<id> for rooms, both user IDs otherwise
+   * (the same for sent and received messages, no need to know who we are)
+   */
+  getConversationId(message) {
+    const roomId = idOf(message.roomId);
+    if (roomId) return `room:${roomId}`;
+    return [idOf(message.senderId), idOf(message.receiverId)].filter(Boolean).sort().join(':');
+  }
+
+  /**
+   * Load the cache from disk (safe to call repeatedly)
+   */
+  async load() {
+    if (this.loaded) return;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const storedIds = await secureStorage.getItem(CONVERSATIONS_KEY);
+        const conversationIds = Array.isArray(storedIds)
+          ? storedIds
+          : await this.migrateLegacyCache();
+
+        for (const conversationId of conversationIds) {
+          const stored = await secureStorage.getItem(`${CONVERSATION_KEY_PREFIX}${conversationId}`);
+          const entries = new Map(Array.isArray(stored) ? stored : []);
+          entries.forEach((_entry, messageId) => this.index.set(messageId, conversationId));
+          this.conversations.set(conversationId, entries);
+        }
+        this.loaded = true;
+        logger.log(
+          `🔓 Plaintext cache loaded: ${this.index.size} messages in ${conversationIds.length} conversations`,
+        );
+      })().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Move the single-blob cache of older versions into its own conversation bucket
+   * (their entries don't say which conversation they belong to)
+   * @returns {Promise<string[]>} Stored conversation IDs
+   */
+  async migrateLegacyCache() {
+    const legacy = await secureStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!Array.isArray(legacy) || legacy.length === 0) return [];
+
+    await secureStorage.setItem(`${CONVERSATION_KEY_PREFIX}${LEGACY_CONVERSATION}`, legacy);
+    await secureStorage.setItem(CONVERSATIONS_KEY, [LEGACY_CONVERSATION]);
+    await secureStorage.removeItem(LEGACY_STORAGE_KEY);
+    logger.log(`🔓 Plaintext cache migrated: ${legacy.length} messages`);
+    return [LEGACY_CONVERSATION];
+  }
+
+  /**
+   * Get the cached entry of a message
+   * @returns {Promise<{ text: string, fileKey?: string, decryptionError?: boolean }|null>}
+   */
+  async get(messageId) {
+    await this.load();
+    return this.lookup(messageId);
+  }
+
+  /**
+   * Cache the plaintext of a message
+   * @param {object} message - Message with _id (and senderId/receiverId or roomId)
+   * @param {object} [options] - { decryptionError, fileKey } (fileKey: base64, file messages)
+   */
+  async set(message, text, { decryptionError = false, fileKey } = {}) {
+    if (!message?._id || typeof text !== 'string') return;
+    await this.load();
+
+    const entry = { text };
+    if (fileKey) entry.fileKey = fileKey;
+    if (decryptionError) entry.decryptionError = true;
+
+    const conversationId = this.index.get(message._id) || this.getConversationId(message);
+    this.store(conversationId, message._id, entry);
+    this.scheduleSave();
+  }
+
+  /**
+   * Re-key an entry (temp ID → server ID once the server confirms a sent message)
+   */
+  async move(fromId, toId) {
+    if (!fromId || !toId || fromId === toId) return null;
+    await this.load();
+
+    const conversationId = this.index.get(fromId);
+    const entry = this.lookup(fromId);
+    if (!entry) return null;
+
+    this.remove(fromId);
+    this.store(conversationId, toId, entry);
+    this.scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Forget messages (deleted, self-destructed, chat cleared)
+   */
+  async delete(...messageIds) {
+    await this.load();
+
+    let changed = false;
+    messageIds.flat().forEach((id) => {
+      changed = this.remove(id) || changed;
+    });
+    if (changed) this.scheduleSave();
+  }
+
+  /**
+   * Decrypt a message at most once - later calls get the cached result
+   * Concurrent calls for the same message (socket + history fetch) share one decryption.
+   *
+   * @param {object} message - Message with _id
+   * @param {function} decrypt - async (message) => plaintext, or { text, fileKey } for files
+   * @returns {Promise<{ text: string, fileKey?: string, decryptionError?: boolean }>}
+   */
+  async decryptOnce(message, decrypt) {
+    const cached = await this.get(message._id);
+    if (cached) return cached;
+
+    if (!this.inFlight.has(message._id)) {
+      const decryption = (async () => {
+        try {
+          const result = await decrypt(message);
+          const { text, fileKey } = typeof result === 'string' ? { text: result } : result;
+          await this.set(message, text, { fileKey });
+        } catch (error) {
+          logger.error('❌ Failed to decrypt message:', message._id, error.message);
+          // Cache the failure too - retrying would burn more ratchet state
+          await this.set(message, DECRYPTION_FAILED_TEXT, { decryptionError: true });
+        }
+        return this.lookup(message._id);
+      })().finally(() => {
+        this.inFlight.delete(message._id);
+      });
+      this.inFlight.set(message._id, decryption);
+    }
+
+    return await this.inFlight.get(message._id);
+  }
+
+  /**
+   * Fill cached plaintext into messages (e.g. history re-fetched from the server)
+   * @param {Array} messages - Messages to fill in
+   * @returns {Promise<Array>} Messages with `text` set where the cache knows it
+   */
+  async apply(messages) {
+    await this.load();
+
+    return messages.map((msg) => {
+      const entry = this.lookup(msg._id);
+      if (!entry || msg.deleted) return msg;
+      return { ...msg, ...entry, encryptedText: undefined };
+    });
+  }
+
+  /**
+   * Wipe the cache (logout)
+   */
+  async clear() {
+    await this.load(); // Need the stored conversation IDs to delete them
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const conversationIds = [...this.conversations.keys()];
+    this.conversations = new Map();
+    this.index = new Map();
+    this.dirty.clear();
+    this.inFlight.clear();
+
+    this.saveChain = this.saveChain.then(async () => {
+      for (const conversationId of conversationIds) {
+        await secureStorage.removeItem(`${CONVERSATION_KEY_PREFIX}${conversationId}`);
+      }
+      await secureStorage.removeItem(CONVERSATIONS_KEY);
+      await secureStorage.removeItem(LEGACY_STORAGE_KEY);
+    });
+    await this.saveChain;
+  }
+
+  // ============= HELPERS =============
+
+  lookup(messageId) {
+    const conversationId = this.index.get(messageId);
+    return this.conversations.get(conversationId)?.get(messageId) || null;
+  }
+
+  store(conversationId, messageId, entry) {
+    if (!this.conversations.has(conversationId)) {
+      this.conversations.set(conversationId, new Map());
+    }
+    this.conversations.get(conversationId).set(messageId, entry);
+    this.index.set(messageId, conversationId);
+    this.dirty.add(conversationId);
+  }
+
+  remove(messageId) {
+    const conversationId = this.index.get(messageId);
+    if (conversationId === undefined) return false;
+
+    this.conversations.get(conversationId)?.delete(messageId);
+    this.index.delete(messageId);
+    this.dirty.add(conversationId);
+    return true;
+  }
+
+  /**
+   * Write the conversations that changed to disk shortly after the last change
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+
+      const changes = [...this.dirty].map((conversationId) => {
+        const entries = this.conversations.get(conversationId);
+        if (entries?.size === 0) this.conversations.delete(conversationId);
+        return [conversationId, entries?.size ? [...entries] : null];
+      });
+      this.dirty.clear();
+      const conversationIds = [...this.conversations.keys()];
+
+      this.saveChain = this.saveChain
+        .then(async () => {
+          for (const [conversationId, snapshot] of changes) {
+            const key = `${CONVERSATION_KEY_PREFIX}${conversationId}`;
+            if (snapshot) {
+              await secureStorage.setItem(key, snapshot);
+            } else {
+              await secureStorage.removeItem(key);
+            }
+          }
+          await secureStorage.setItem(CONVERSATIONS_KEY, conversationIds);
+        })
+        .catch((error) => {
+          logger.error('❌ Failed to save plaintext cache:', error);
+          changes.forEach(([conversationId]) => this.dirty.add(conversationId)); // Next save retries
+        });
+    }, SAVE_DELAY);
+  }
+}
+
+export default new PlaintextCache();
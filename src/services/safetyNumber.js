@@ -0,0 +1,118 @@
+/**
+ * Safety Numbers
+ * Human-comparable fingerprint of both identity keys of a conversation
+ *
+ * Each side's fingerprint is an iterated BLAKE2b hash of (version, identity key, user ID),
+ * shortened to 30 digits. Both fingerprints are ordered by user ID, so the two
+ * participants see the same 60-digit number. The QR code carries the owner's user ID
+ * plus that number - scanning the peer's code is a machine comparison of the two.
+ *
+ * Every device has its own identity key, so a safety number belongs to a pair of devices.
+ */
+
+import e2eeService from './e2eeService';
+import signalProtocol from './signalProtocol';
+import { BufferPolyfill } from '../utils/bufferPolyfill';
+
+const Buffer = BufferPolyfill;
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200; // Makes grinding for a look-alike number expensive
+const DIGIT_CHUNKS = 6; // 6 chunks × 5 digits = 30 digits per side
+const QR_PREFIX = 'whispchat-sn:1:';
+
+class SafetyNumberService {
+  /**
+   * 30-digit fingerprint of one identity key
+   */
+  async computeFingerprint(userId, identityKeyB64) {
+    const identityKey = e2eeService.fromBase64(identityKeyB64);
+
+    let hash = Buffer.concat([
+      new Uint8Array([0, FINGERPRINT_VERSION]),
+      identityKey,
+      Buffer.from(userId),
+    ]);
+    for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+      hash = await e2eeService.hash(Buffer.concat([hash, identityKey]), 64);
+    }
+
+    // Every 5 bytes → one 5-digit chunk (40-bit big-endian integer mod 100000)
+    let digits = '';
+    for (let chunk = 0; chunk < DIGIT_CHUNKS; chunk++) {
+      let value = 0;
+      for (let i = 0; i < 5; i++) {
+        value = value * 256 + hash[chunk * 5 + i];
+      }
+      digits += String(value % 100000).padStart(5, '0');
+    }
+    return digits;
+  }
+
+  /**
+   * Safety number of a conversation (same on both sides)
+   * @returns {Promise<string>} 60 digits
+   */
+  async computeSafetyNumber(localUserId, localIdentityKey, peerUserId, peerIdentityKey) {
+    const localFingerprint = await this.computeFingerprint(localUserId, localIdentityKey);
+    const peerFingerprint = await this.computeFingerprint(peerUserId, peerIdentityKey);
+
+    return localUserId < peerUserId
+      ? localFingerprint + peerFingerprint
+      : peerFingerprint + localFingerprint;
+  }
+
+  /**
+   * Safety number with one of the peer's devices, plus the identity key it was computed for
+   * @param {string} [peerDeviceId] - Device to compare with (first known device if omitted)
+   * @returns {Promise<{ safetyNumber: string, peerIdentityKey: string }>}
+   */
+  async getSafetyNumber(localUserId, peerUserId, peerDeviceId) {
+    const localIdentityKey = await signalProtocol.getLocalIdentityKey();
+    if (!localIdentityKey) {
+      throw new Error('Identity key not generated yet');
+    }
+
+    const peerIdentityKey = await signalProtocol.getPeerIdentityKey(peerUserId, peerDeviceId);
+    if (!peerIdentityKey) {
+      throw new Error('Contact has no identity key yet');
+    }
+
+    const safetyNumber = await this.computeSafetyNumber(
+      localUserId,
+      localIdentityKey,
+      peerUserId,
+      peerIdentityKey,
+    );
+    return { safetyNumber, peerIdentityKey };
+  }
+
+  /**
+   * Split a safety number into 5-digit groups for display
+   */
+  formatSafetyNumber(safetyNumber) {
+    return safetyNumber.match(/.{1,5}/g) || [];
+  }
+
+  /**
+   * QR payload shown to the peer
+   */
+  buildQrPayload(ownerUserId, safetyNumber) {
+    return `${QR_PREFIX}${ownerUserId}:${safetyNumber}`;
+  }
+
+  /**
+   * Parse a scanned QR payload
+   * @returns {{ userId: string, safetyNumber: string }|null} Null if it isn't a safety number code
+   */
+  parseQrPayload(data) {
+    if (typeof data !== 'string' || !data.startsWith(QR_PREFIX)) return null;
+
+    const [userId, safetyNumber] = data.slice(QR_PREFIX.length).split(':');
+    if (!userId || !/^\d{60}$/.test(safetyNumber || '')) return null;
+
+    return { userId, safetyNumber };
+  }
+}
+
+export default new SafetyNumberService();
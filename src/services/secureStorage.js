@@ -0,0 +1,138 @@
+/**
+ * Encrypted Local Storage
+ * AsyncStorage wrapper that seals every value with XChaCha20-Poly1305
+ *
+ * - Storage key: random 256-bit key kept in SecureStore (Keychain / Keystore)
+ * - Values: JSON-serialized, encrypted, then written to AsyncStorage
+ * - AsyncStorage key is bound as associated data (values can't be swapped between keys)
+ *
+ * SecureStore has a ~2KB per-value limit on Android, so only the key lives there;
+ * the (potentially large) ciphertext goes to AsyncStorage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import e2eeService from './e2eeService';
+import { BufferPolyfill } from '../utils/bufferPolyfill';
+import logger from '../utils/logger';
+
+const Buffer = BufferPolyfill;
+
+const STORAGE_KEY_ID = 'local_storage_key';
+const ENVELOPE_PREFIX = 'enc.v1:';
+
+class SecureStorage {
+  constructor() {
+    this.storageKey = null;
+    // Avoid generating two different keys when called concurrently on first launch
+    this.keyPromise = null;
+  }
+
+  /**
+   * Get (or create on first use) the local storage key
+   */
+  async getStorageKey() {
+    if (this.storageKey) return this.storageKey;
+
+    if (!this.keyPromise) {
+      this.keyPromise = (async () => {
+        await e2eeService.init();
+
+        let keyB64 = await e2eeService.getPrivateKey(STORAGE_KEY_ID);
+        if (!keyB64) {
+          const key = await e2eeService.randomBytes(32);
+          keyB64 = e2eeService.toBase64(key);
+          await e2eeService.storePrivateKey(STORAGE_KEY_ID, keyB64);
+          logger.log('🔑 Generated new local storage key');
+        }
+
+        this.storageKey = e2eeService.fromBase64(keyB64);
+        return this.storageKey;
+      })().finally(() => {
+        this.keyPromise = null;
+      });
+    }
+
+    return await this.keyPromise;
+  }
+
+  /**
+   * Check if a raw AsyncStorage value was written by this service
+   */
+  isEncrypted(rawValue) {
+    return typeof rawValue === 'string' && rawValue.startsWith(ENVELOPE_PREFIX);
+  }
+
+  /**
+   * Encrypt a JSON-serializable value into a storable envelope string
+   */
+  async encryptValue(key, value) {
+    const storageKey = await this.getStorageKey();
+    const nonce = await e2eeService.generateNonce();
+    const ciphertext = await e2eeService.encryptAEAD(
+      JSON.stringify(value),
+      storageKey,
+      nonce,
+      Buffer.from(key),
+    );
+
+    return `${ENVELOPE_PREFIX}${e2eeService.toBase64(nonce)}.${e2eeService.toBase64(ciphertext)}`;
+  }
+
+  /**
+   * Decrypt an envelope string back into its value
+   */
+  async decryptValue(key, envelope) {
+    const storageKey = await this.getStorageKey();
+    const [nonceB64, ciphertextB64] = envelope.slice(ENVELOPE_PREFIX.length).split('.');
+    const plaintext = await e2eeService.decryptAEAD(
+      e2eeService.fromBase64(ciphertextB64),
+      storageKey,
+      e2eeService.fromBase64(nonceB64),
+      Buffer.from(key),
+    );
+
+    return JSON.parse(Buffer.toString(plaintext));
+  }
+
+  /**
+   * Encrypt and store a value
+   * @param {string} key - AsyncStorage key
+   * @param {any} value - JSON-serializable value
+   */
+  async setItem(key, value) {
+    const envelope = await this.encryptValue(key, value);
+    await AsyncStorage.setItem(key, envelope);
+  }
+
+  /**
+   * Load and decrypt a value
+   * @param {string} key - AsyncStorage key
+   * @returns {Promise<any|null>} Stored value, or null if missing/unreadable
+   */
+  async getItem(key) {
+    const raw = await AsyncStorage.getItem(key);
+    if (!raw) return null;
+
+    if (!this.isEncrypted(raw)) {
+      logger.warn(`⚠️ Ignoring unencrypted value for ${key}`);
+      return null;
+    }
+
+    try {
+      return await this.decryptValue(key, raw);
+    } catch (error) {
+      // Key lost (reinstall restores AsyncStorage backup but not Keychain) or data tampered
+      logger.error(`❌ Failed to decrypt stored value for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a stored value
+   */
+  async removeItem(key) {
+    await AsyncStorage.removeItem(key);
+  }
+}
+
+export default new SecureStorage();
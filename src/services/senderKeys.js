@@ -0,0 +1,546 @@
+/**
+ * Sender Keys (group encryption)
+ * Room messages are encrypted once per send with the sender's own chain for the room,
+ * instead of once per member device over the pairwise sessions.
+ *
+ * Every device keeps, per room:
+ * - its own sender key: a chain key plus an Ed25519 signing key
+ * - the sender keys the other member devices handed it
+ *
+ * Sending:
+ * 1. Member devices that don't have our current sender key get it over our pairwise
+ *    Signal session with them (`e2ee:sender-key`, one envelope per device)
+ * 2. The chain steps once per message (message key for `iteration`, then the next chain
+ *    key) and the ciphertext is signed - every member knows our chain key, only we can sign
+ *
+ * Rotation: once the member list differs from the one a sender key was made for (or a
+ * device that has it was unlinked), the next message goes out under a fresh key that only
+ * the current devices get. Who left can't read on, who joined gets a chain nothing was
+ * sent on yet.
+ */
+
+import { chatService } from './chatService';
+import { deviceAddress, deviceService, parseDeviceAddress, toWireEnvelope } from './device';
+import e2eeService from './e2eeService';
+import identityTrust from './identityTrust';
+import secureStorage from './secureStorage';
+import signalProtocol from './signalProtocol';
+import { socketService } from './socket';
+import { SOCKET_EVENTS } from './socketEvents';
+import { KeyedMutex } from '../utils/keyedMutex';
+import { BufferPolyfill } from '../utils/bufferPolyfill';
+import logger from '../utils/logger';
+
+const SENDER_KEYS_STORAGE_KEY = 'sender_keys';
+const DISTRIBUTION_TYPE = 'sender_key';
+
+const MAX_KEYS_PER_SENDER = 2; // Current + previous (messages still in flight after a rotation)
+const MAX_SKIPPED_KEYS = 500; // Per sender key - out-of-order delivery must stay bounded
+const KEY_WAIT_TIMEOUT = 10 * 1000; // A live message may overtake its sender key
+
+class SenderKeys {
+  constructor() {
+    this.rooms = new Map(); // roomId -> { own, received: { [device address]: { [keyId]: key } } }
+    this.members = new Map(); // roomId -> member user IDs (fetched, not persisted)
+    this.keyWaiters = new Map(); // `${roomId}|${address}|${keyId}` -> Set of callbacks
+    // Read-modify-write of one room's keys (chain steps must never interleave)
+    this.locks = new KeyedMutex();
+    this.loaded = false;
+    this.loadPromise = null;
+    this.persistChain = Promise.resolve();
+    this.started = false;
+
+    this.handleSenderKey = this.handleSenderKey.bind(this);
+    this.handleMembersChanged = this.handleMembersChanged.bind(this);
+    this.handleGroupUpdated = this.handleGroupUpdated.bind(this);
+    this.handleGroupRemoved = this.handleGroupRemoved.bind(this);
+    this.handleConnectionStatus = this.handleConnectionStatus.bind(this);
+  }
+
+  /**
+   * Listen for sender keys and membership changes (call after login)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    socketService.on(SOCKET_EVENTS.E2EE_SENDER_KEY, this.handleSenderKey);
+    socketService.on(SOCKET_EVENTS.ROOM_MEMBERS_CHANGED, this.handleMembersChanged);
+    socketService.on(SOCKET_EVENTS.GROUP_UPDATED, this.handleGroupUpdated);
+    socketService.on(SOCKET_EVENTS.GROUP_REMOVED, this.handleGroupRemoved);
+    socketService.on(SOCKET_EVENTS.CONNECTION_STATUS, this.handleConnectionStatus);
+  }
+
+  stop() {
+    this.started = false;
+    socketService.off(SOCKET_EVENTS.E2EE_SENDER_KEY, this.handleSenderKey);
+    socketService.off(SOCKET_EVENTS.ROOM_MEMBERS_CHANGED, this.handleMembersChanged);
+    socketService.off(SOCKET_EVENTS.GROUP_UPDATED, this.handleGroupUpdated);
+    socketService.off(SOCKET_EVENTS.GROUP_REMOVED, this.handleGroupRemoved);
+    socketService.off(SOCKET_EVENTS.CONNECTION_STATUS, this.handleConnectionStatus);
+    this.members.clear();
+  }
+
+  // ============= STORAGE =============
+
+  async load() {
+    if (this.loaded) return;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        const stored = await secureStorage.getItem(SENDER_KEYS_STORAGE_KEY);
+        this.rooms = new Map(Object.entries(stored || {}));
+        this.loaded = true;
+      })().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Write all rooms to disk (writes are serialized, the latest state always wins)
+   */
+  persist() {
+    this.persistChain = this.persistChain
+      .then(() => secureStorage.setItem(SENDER_KEYS_STORAGE_KEY, Object.fromEntries(this.rooms)))
+      .catch((error) => {
+        logger.error('❌ Failed to persist sender keys:', error.message);
+      });
+
+    return this.persistChain;
+  }
+
+  getRoom(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, { own: null, received: {} });
+    }
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Drop a room's keys - ours and everyone's (we left or were removed)
+   */
+  async forgetRoom(roomId) {
+    this.members.delete(roomId);
+    await this.load();
+    await this.locks.run(roomId, async () => {
+      this.rooms.delete(roomId);
+      await this.persist();
+    });
+  }
+
+  /**
+   * Drop every key (logout)
+   */
+  async clear() {
+    this.rooms = new Map();
+    this.members.clear();
+    this.loaded = true;
+    await this.persistChain;
+    await secureStorage.removeItem(SENDER_KEYS_STORAGE_KEY);
+  }
+
+  // ============= MEMBERSHIP =============
+
+  /**
+   * Member user IDs of a room (cached until the server reports a change)
+   */
+  async getMembers(roomId) {
+    if (!this.members.has(roomId)) {
+      this.members.set(roomId, await chatService.getRoomMembers(roomId));
+    }
+    return this.members.get(roomId);
+  }
+
+  async handleMembersChanged({ roomId, members }) {
+    logger.log(`👥 Members of room ${roomId} changed`);
+
+    if (!members) {
+      this.members.delete(roomId); // Fetched again before the next send
+      return;
+    }
+
+    const memberIds = members.map((member) => member?._id || member);
+    this.members.set(roomId, memberIds);
+
+    // Who left can't write to the room anymore - forget their keys
+    await this.load();
+    await this.locks.run(roomId, async () => {
+      const room = this.rooms.get(roomId);
+      if (!room) return;
+
+      for (const address of Object.keys(room.received)) {
+        if (!memberIds.includes(parseDeviceAddress(address).userId)) {
+          delete room.received[address];
+        }
+      }
+      await this.persist();
+    });
+  }
+
+  /**
+   * Groups are rooms - their member list comes with every group update
+   */
+  handleGroupUpdated({ group }) {
+    if (!group.members) return;
+    return this.handleMembersChanged({
+      roomId: group._id,
+      members: group.members.map((member) => member.user?._id || member.user),
+    });
+  }
+
+  handleGroupRemoved({ groupId }) {
+    return this.forgetRoom(groupId);
+  }
+
+  handleConnectionStatus({ connected }) {
+    // Membership changes while offline were missed - fetch the lists again
+    if (connected) this.members.clear();
+  }
+
+  /**
+   * Sessions with every device of every member (members we can't reach are skipped)
+   * @returns {Promise<Map<string, string[]>>} userId -> device addresses
+   */
+  async getMemberDevices(userIds) {
+    const devices = new Map();
+    for (const userId of userIds) {
+      try {
+        devices.set(
+          userId,
+          await signalProtocol.withSessionLock(userId, () => signalProtocol.ensureSession(userId)),
+        );
+      } catch (error) {
+        logger.warn(`⚠️ No session with room member ${userId}:`, error.message);
+      }
+    }
+    return devices;
+  }
+
+  // ============= SENDING =============
+
+  /**
+   * Encrypt a room message with our sender key (rotated and handed out first if needed)
+   * @param {string} roomId
+   * @param {string} senderId - Our user ID (our other devices are members too)
+   * @param {string} plaintext
+   * @returns {Promise<{ encryptedText, nonce, senderKeyHeader: { keyId, iteration, signature } }>}
+   */
+  async encrypt(roomId, senderId, plaintext) {
+    await this.load();
+    const members = [...new Set([...(await this.getMembers(roomId)), senderId])];
+    const senderDeviceId = await deviceService.getDeviceId();
+
+    return await this.locks.run(roomId, async () => {
+      const room = this.getRoom(roomId);
+      const devices = await this.getMemberDevices(members);
+
+      if (!room.own || this.needsRotation(room.own, members, devices)) {
+        room.own = await this.createSenderKey(members);
+        await this.persist();
+        logger.log(`🔑 New sender key for room ${roomId}`);
+      }
+      await this.distribute(roomId, room.own, devices, senderDeviceId);
+
+      const { keyId, iteration } = room.own;
+      const { messageKey, nextChainKey } = await signalProtocol.stepChain(
+        room.own.chainKey,
+        iteration,
+      );
+      room.own.chainKey = nextChainKey;
+      room.own.iteration = iteration + 1;
+      await this.persist(); // A message key is never used twice, even if this send fails
+
+      const associatedData = this.getAssociatedData(roomId, keyId, iteration);
+      const nonce = e2eeService.toBase64(await e2eeService.generateNonce());
+      const encryptedText = e2eeService.toBase64(
+        await e2eeService.encryptAEAD(
+          plaintext,
+          messageKey,
+          e2eeService.fromBase64(nonce),
+          associatedData,
+        ),
+      );
+      const signature = await e2eeService.sign(
+        this.getSignedData(associatedData, nonce, encryptedText),
+        room.own.signingPrivateKey,
+      );
+
+      return { encryptedText, nonce, senderKeyHeader: { keyId, iteration, signature } };
+    });
+  }
+
+  /**
+   * Members changed since the key was made, or a device that has it was unlinked
+   */
+  needsRotation(own, members, devices) {
+    const memberIds = [...members].sort();
+    if (memberIds.join(',') !== own.memberIds.join(',')) return true;
+
+    return own.distributedTo.some((address) => {
+      const current = devices.get(parseDeviceAddress(address).userId);
+      return current && !current.includes(address);
+    });
+  }
+
+  async createSenderKey(members) {
+    const signingKey = await e2eeService.generateIdentityKeyPair(); // Ed25519
+    return {
+      keyId: e2eeService.toBase64(await e2eeService.randomBytes(16)),
+      chainKey: e2eeService.toBase64(await e2eeService.randomBytes(32)),
+      iteration: 0,
+      signingPublicKey: signingKey.publicKey,
+      signingPrivateKey: signingKey.privateKey,
+      memberIds: [...members].sort(),
+      distributedTo: [], // Device addresses that have this key
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Hand our sender key (at its current chain position) to devices that don't have it yet
+   */
+  async distribute(roomId, own, devices, senderDeviceId) {
+    const payload = JSON.stringify({
+      type: DISTRIBUTION_TYPE,
+      roomId,
+      keyId: own.keyId,
+      chainKey: own.chainKey,
+      iteration: own.iteration,
+      signingKey: own.signingPublicKey,
+    });
+
+    const envelopes = [];
+    for (const [userId, addresses] of devices) {
+      const missing = addresses.filter((address) => !own.distributedTo.includes(address));
+      if (missing.length === 0) continue;
+
+      // Never hand our key to a verified contact's new identity key without consent
+      if (await identityTrust.isSendBlocked(userId)) {
+        logger.warn(`⚠️ Safety number of ${userId} changed - not sharing the room key`);
+        continue;
+      }
+
+      try {
+        const encrypted = await signalProtocol.withSessionLock(userId, async () => {
+          const copies = [];
+          for (const address of missing) {
+            copies.push({
+              deviceId: parseDeviceAddress(address).deviceId,
+              ...(await signalProtocol.ratchetEncrypt(address, payload)),
+            });
+          }
+          return copies;
+        });
+        envelopes.push(...encrypted.map((copy) => toWireEnvelope(userId, copy)));
+      } catch (error) {
+        logger.warn(`⚠️ Could not share the room key with ${userId}:`, error.message);
+      }
+    }
+    if (envelopes.length === 0) return;
+
+    const response = await socketService.emitWithAck(SOCKET_EVENTS.E2EE_SENDER_KEY, {
+      roomId,
+      senderDeviceId,
+      envelopes,
+    });
+    if (response?.error) {
+      const rejection = new Error(response.error);
+      rejection.fatal = true;
+      throw rejection;
+    }
+
+    own.distributedTo.push(
+      ...envelopes.map((envelope) => deviceAddress(envelope.userId, envelope.deviceId)),
+    );
+    await this.persist();
+    logger.log(`📤 Room key for ${roomId} shared with ${envelopes.length} device(s)`);
+  }
+
+  // ============= RECEIVING =============
+
+  /**
+   * A member device handed us its sender key
+   */
+  async handleSenderKey(data) {
+    const senderId = data.senderId?._id || data.senderId;
+    if (!senderId) return;
+    const address = deviceAddress(senderId, data.senderDeviceId);
+
+    try {
+      const plaintext = await signalProtocol.withSessionLock(senderId, async () => {
+        const { initialHeader } = data;
+        if (initialHeader && (await signalProtocol.shouldAcceptSession(address, initialHeader))) {
+          await signalProtocol.acceptSession(initialHeader, address);
+        }
+        return await signalProtocol.ratchetDecrypt(address, {
+          ciphertext: data.encryptedText,
+          header: data.ratchetHeader,
+          nonce: data.nonce,
+        });
+      });
+
+      const distribution = JSON.parse(plaintext);
+      if (distribution.type !== DISTRIBUTION_TYPE || distribution.roomId !== data.roomId) {
+        logger.warn(`⚠️ Ignoring malformed sender key from ${address}`);
+        return;
+      }
+      await this.storeSenderKey(data.roomId, address, distribution);
+    } catch (error) {
+      logger.error(`❌ Failed to read sender key from ${address}:`, error.message);
+    }
+  }
+
+  async storeSenderKey(roomId, address, { keyId, chainKey, iteration, signingKey }) {
+    await this.load();
+    await this.locks.run(roomId, async () => {
+      const room = this.getRoom(roomId);
+      const keys = room.received[address] || {};
+      if (keys[keyId]) return; // Redelivered - keep our chain position
+
+      keys[keyId] = { chainKey, iteration, signingKey, skipped: {}, receivedAt: Date.now() };
+      room.received[address] = Object.fromEntries(
+        Object.entries(keys)
+          .sort(([, a], [, b]) => b.receivedAt - a.receivedAt)
+          .slice(0, MAX_KEYS_PER_SENDER),
+      );
+      await this.persist();
+    });
+
+    logger.log(`🔑 Sender key from ${address} for room ${roomId}`);
+    this.notifyKeyWaiters(roomId, address, keyId);
+  }
+
+  /**
+   * Decrypt a room message
+   * @param {object} message - { roomId, senderId, senderDeviceId, encryptedText, nonce, senderKeyHeader }
+   * @param {object} options
+   * @param {boolean} options.waitForKey - Give a missing sender key a moment to arrive
+   *   (live messages - history from before we joined would only wait in vain)
+   * @returns {Promise<string>} Plaintext
+   */
+  async decrypt(message, { waitForKey = false } = {}) {
+    await this.load();
+    const { roomId, senderKeyHeader: header, encryptedText, nonce } = message;
+    const senderId = message.senderId?._id || message.senderId;
+    const address = deviceAddress(senderId, message.senderDeviceId);
+
+    if (waitForKey && !this.rooms.get(roomId)?.received[address]?.[header.keyId]) {
+      await this.waitForKey(roomId, address, header.keyId);
+    }
+
+    return await this.locks.run(roomId, async () => {
+      const room = this.getRoom(roomId);
+      const key = room.received[address]?.[header.keyId];
+      if (!key) {
+        throw new Error(`No sender key from ${address} for this message`);
+      }
+
+      // Verify before touching the chain - a forged message must not advance it
+      const associatedData = this.getAssociatedData(roomId, header.keyId, header.iteration);
+      const valid = await e2eeService.verify(
+        this.getSignedData(associatedData, nonce, encryptedText),
+        header.signature,
+        key.signingKey,
+      );
+      if (!valid) {
+        throw new Error('Invalid sender key signature');
+      }
+
+      const { messageKey, nextKey } = await this.getMessageKey(key, header.iteration);
+      const plaintext = await e2eeService.decryptAEAD(
+        e2eeService.fromBase64(encryptedText),
+        messageKey,
+        e2eeService.fromBase64(nonce),
+        associatedData,
+      );
+
+      room.received[address][header.keyId] = nextKey;
+      await this.persist();
+      return BufferPolyfill.toString(plaintext);
+    });
+  }
+
+  /**
+   * Message key for `iteration` and the key state after using it
+   * (keys stepped over are kept for late messages, oldest dropped first)
+   */
+  async getMessageKey(key, iteration) {
+    const skipped = { ...key.skipped };
+
+    if (iteration < key.iteration) {
+      const stored = skipped[iteration];
+      if (!stored) {
+        throw new Error('Room message already read or too old');
+      }
+      delete skipped[iteration];
+      return { messageKey: e2eeService.fromBase64(stored), nextKey: { ...key, skipped } };
+    }
+
+    if (iteration - key.iteration > MAX_SKIPPED_KEYS) {
+      throw new Error('Too many room messages missing before this one');
+    }
+
+    let chainKey = key.chainKey;
+    for (let index = key.iteration; index < iteration; index++) {
+      const step = await signalProtocol.stepChain(chainKey, index);
+      skipped[index] = e2eeService.toBase64(step.messageKey);
+      chainKey = step.nextChainKey;
+    }
+    const { messageKey, nextChainKey } = await signalProtocol.stepChain(chainKey, iteration);
+
+    const skippedIterations = Object.keys(skipped)
+      .map(Number)
+      .sort((a, b) => a - b);
+    skippedIterations
+      .slice(0, Math.max(skippedIterations.length - MAX_SKIPPED_KEYS, 0))
+      .forEach((index) => delete skipped[index]);
+
+    return {
+      messageKey,
+      nextKey: { ...key, chainKey: nextChainKey, iteration: iteration + 1, skipped },
+    };
+  }
+
+  waitForKey(roomId, address, keyId) {
+    const waitKey = `${roomId}|${address}|${keyId}`;
+
+    return new Promise((resolve) => {
+      const waiters = this.keyWaiters.get(waitKey) || new Set();
+      const done = () => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        if (waiters.size === 0) this.keyWaiters.delete(waitKey);
+        resolve();
+      };
+      const timer = setTimeout(done, KEY_WAIT_TIMEOUT);
+
+      waiters.add(done);
+      this.keyWaiters.set(waitKey, waiters);
+    });
+  }
+
+  notifyKeyWaiters(roomId, address, keyId) {
+    const waiters = this.keyWaiters.get(`${roomId}|${address}|${keyId}`);
+    if (waiters) [...waiters].forEach((done) => done());
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * AEAD associated data - binds the ciphertext to its room and chain position
+   */
+  getAssociatedData(roomId, keyId, iteration) {
+    return `${roomId}:${keyId}:${iteration}`;
+  }
+
+  /**
+   * What the sender signs - the position plus everything the receiver decrypts
+   */
+  getSignedData(associatedData, nonce, encryptedText) {
+    return `${associatedData}:${nonce}:${encryptedText}`;
+  }
+}
+
+export default new SenderKeys();
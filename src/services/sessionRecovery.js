@@ -0,0 +1,223 @@
+/**
+ * Session Recovery
+ * Repairs a Double Ratchet session after messages from a peer failed to decrypt
+ * Sessions are per device - only the session with the device that sent the broken
+ * messages is rebuilt.
+ *
+ * Receiver side (messages from Alice don't decrypt):
+ * 1. Failures are collected per sender for a moment - a broken session fails in bursts
+ * 2. Our session is dropped and rebuilt from Alice's fresh prekey bundle
+ * 3. `e2ee:session-reset` goes to Alice: the X3DH header of the new session plus,
+ *    encrypted with it, the IDs of the messages that failed
+ *
+ * Sender side (Alice receives the reset):
+ * 4. The new session replaces the old one (only if the control message decrypts)
+ * 5. The failed messages are re-sent through the message queue, marked `resendOf`
+ */
+
+import { deviceAddress, deviceService, parseDeviceAddress } from './device';
+import localDatabase from './localDatabase';
+import messageQueue from './messageQueue';
+import plaintextCache from './plaintextCache';
+import signalProtocol from './signalProtocol';
+import { socketService } from './socket';
+import { SOCKET_EVENTS } from './socketEvents';
+import logger from '../utils/logger';
+
+const CONTROL_TYPE = 'session_reset';
+const COLLECT_DELAY = 2000; // Wait for the rest of a burst of failures
+const RESET_COOLDOWN = 60 * 1000; // Max one reset per peer per minute (no reset ping-pong)
+const MAX_RESEND_IDS = 50;
+
+class SessionRecovery {
+  constructor() {
+    this.started = false;
+    this.failedIds = new Map(); // device address -> Set of message IDs that failed to decrypt
+    this.resetTimers = new Map(); // device address -> pending reset timeout
+    this.lastResetAt = new Map(); // device address -> timestamp
+
+    this.handleSessionReset = this.handleSessionReset.bind(this);
+  }
+
+  /**
+   * Listen for resets from peers (call after login)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    socketService.on(SOCKET_EVENTS.E2EE_SESSION_RESET, this.handleSessionReset);
+  }
+
+  /**
+   * Stop listening and drop pending resets (logout)
+   */
+  stop() {
+    this.started = false;
+    socketService.off(SOCKET_EVENTS.E2EE_SESSION_RESET, this.handleSessionReset);
+    this.resetTimers.forEach((timer) => clearTimeout(timer));
+    this.resetTimers.clear();
+    this.failedIds.clear();
+    this.lastResetAt.clear();
+  }
+
+  // ============= RECEIVER SIDE =============
+
+  /**
+   * Report a message that failed to decrypt - schedules a session reset with its sender
+   * @param {string} peerUserId - Sender
+   * @param {string} messageId
+   * @param {string} [senderDeviceId] - Device the message came from
+   */
+  reportDecryptionFailure(peerUserId, messageId, senderDeviceId = null) {
+    if (!this.started || !peerUserId || !messageId) return;
+
+    const address = deviceAddress(peerUserId, senderDeviceId);
+    if (!this.failedIds.has(address)) {
+      this.failedIds.set(address, new Set());
+    }
+    this.failedIds.get(address).add(messageId);
+    this.scheduleReset(address);
+  }
+
+  scheduleReset(address) {
+    if (this.resetTimers.has(address)) return;
+
+    const sinceLastReset = Date.now() - (this.lastResetAt.get(address) || 0);
+    const delay = Math.max(COLLECT_DELAY, RESET_COOLDOWN - sinceLastReset);
+
+    const timer = setTimeout(() => {
+      this.resetTimers.delete(address);
+      this.requestReset(address).catch((error) => {
+        logger.error(`❌ Session reset with ${address} failed:`, error.message);
+      });
+    }, delay);
+    this.resetTimers.set(address, timer);
+  }
+
+  /**
+   * Rebuild the session with one of a peer's devices and ask them to resend what failed
+   */
+  async requestReset(address) {
+    const { userId: peerUserId, deviceId } = parseDeviceAddress(address);
+    const failedMessageIds = [...(this.failedIds.get(address) || [])].slice(-MAX_RESEND_IDS);
+    this.failedIds.delete(address);
+    this.lastResetAt.set(address, Date.now());
+
+    logger.log(`🔄 Resetting session with ${address} (${failedMessageIds.length} failed)`);
+
+    const encrypted = await signalProtocol.withSessionLock(peerUserId, async () => {
+      await signalProtocol.resetSession(address);
+      // Fresh bundle → new X3DH with that device (the other devices keep their sessions)
+      const sessionIds = await signalProtocol.ensureSession(peerUserId);
+      if (!sessionIds.includes(address)) return null; // Device was unlinked meanwhile
+      return await signalProtocol.ratchetEncrypt(
+        address,
+        JSON.stringify({ type: CONTROL_TYPE, failedMessageIds }),
+      );
+    });
+    if (!encrypted) return;
+
+    const sent = socketService.emit(SOCKET_EVENTS.E2EE_SESSION_RESET, {
+      receiverId: peerUserId,
+      receiverDeviceId: deviceId,
+      senderDeviceId: await deviceService.getDeviceId(),
+      initialHeader: encrypted.initialHeader,
+      encryptedText: encrypted.ciphertext,
+      ratchetHeader: encrypted.header,
+      nonce: encrypted.nonce,
+    });
+
+    if (!sent) {
+      // Offline - try again after the cooldown (the new session is kept)
+      failedMessageIds.forEach((id) => this.reportDecryptionFailure(peerUserId, id, deviceId));
+    }
+  }
+
+  // ============= SENDER SIDE =============
+
+  /**
+   * A peer rebuilt our session - adopt it and resend the messages they couldn't read
+   */
+  async handleSessionReset(data) {
+    const peerUserId = data.senderId?._id || data.senderId;
+    if (!peerUserId) return;
+    const sessionId = deviceAddress(peerUserId, data.senderDeviceId);
+
+    try {
+      const control = await signalProtocol.withSessionLock(peerUserId, async () => {
+        if (!(await signalProtocol.shouldAcceptSession(sessionId, data.initialHeader))) {
+          return null; // Our own reset wins (both sides reset at once)
+        }
+
+        const previousSession = await signalProtocol.getSessionState(sessionId);
+        try {
+          await signalProtocol.acceptSession(data.initialHeader, sessionId);
+          const plaintext = await signalProtocol.ratchetDecrypt(sessionId, {
+            ciphertext: data.encryptedText,
+            header: data.ratchetHeader,
+            nonce: data.nonce,
+          });
+          return JSON.parse(plaintext);
+        } catch (error) {
+          // Forged or broken reset - keep the session we had (or none, as before)
+          if (previousSession) {
+            await signalProtocol.saveSessionState(sessionId, previousSession);
+          } else {
+            await signalProtocol.resetSession(sessionId);
+          }
+          throw error;
+        }
+      });
+
+      if (control?.type !== CONTROL_TYPE) return;
+
+      logger.log(`🔄 ${sessionId} reset our session`);
+      await this.resendMessages(peerUserId, control.failedMessageIds || []);
+    } catch (error) {
+      logger.error(`❌ Failed to handle session reset from ${peerUserId}:`, error.message);
+    }
+  }
+
+  /**
+   * Queue the failed messages again with their cached plaintext
+   * (they go to all of the peer's devices - the others just replace their copy)
+   * Only messages we sent to this peer qualify - a reset must never make us
+   * forward text from anyone else's conversation.
+   */
+  async resendMessages(peerUserId, messageIds) {
+    const requested = new Set(messageIds.slice(0, MAX_RESEND_IDS));
+    if (requested.size === 0) return;
+
+    const conversation = await localDatabase.getMessages(peerUserId);
+    const resendable = conversation.filter((msg) => {
+      const senderId = msg.senderId?._id || msg.senderId;
+      const receiverId = msg.receiverId?._id || msg.receiverId;
+      return (
+        requested.has(msg._id) &&
+        receiverId === peerUserId &&
+        senderId !== peerUserId &&
+        !msg.deleted
+      );
+    });
+
+    for (const original of resendable) {
+      const entry = await plaintextCache.get(original._id);
+      if (!entry || entry.decryptionError) continue;
+
+      const resend = {
+        _id: `temp_${Date.now()}_${Math.random()}`,
+        senderId: original.senderId?._id || original.senderId,
+        receiverId: peerUserId,
+        text: entry.text,
+        createdAt: new Date(),
+        resendOf: original._id,
+      };
+      await plaintextCache.set(resend, entry.text);
+      messageQueue.enqueue(resend);
+    }
+
+    logger.log(`📤 Re-sending ${resendable.length} message(s) to ${peerUserId}`);
+  }
+}
+
+export default new SessionRecovery();
@@ -12,29 +12,84 @@
  * ✅ Forward Secrecy: Past messages secure even if current keys compromised
  * ✅ Future Secrecy: Self-healing after key compromise
  * ✅ Replay Protection: Message counters prevent duplicate delivery
- * ✅ Out-of-Order Delivery: Skipped message keys stored temporarily
+ * ✅ Out-of-Order Delivery: Skipped message keys stored temporarily (bounded, expiring)
  */
 
+import { deviceAddress, deviceService, parseDeviceAddress } from './device';
 import e2eeService from './e2eeService';
+import identityTrust from './identityTrust';
+import secureStorage from './secureStorage';
+import { KeyedMutex } from '../utils/keyedMutex';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { BufferPolyfill } from '../utils/bufferPolyfill';
 
 // Use BufferPolyfill as Buffer for React Native compatibility
 const Buffer = BufferPolyfill;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Signed prekey rotation defaults (override with configureSignedPrekeyRotation)
+const DEFAULT_SIGNED_PREKEY_ROTATION = {
+  interval: 7 * DAY_MS, // Publish a fresh signed prekey weekly
+  gracePeriod: 30 * DAY_MS, // Keep retired keys this long for in-flight X3DH handshakes
+};
+
+const SIGNED_PREKEY_HISTORY_KEY = 'signed_prekey_history';
+
+// One-time prekeys the server stopped listing may still be in a peer's queued first message
+const OTP_ORPHAN_GRACE_PERIOD = 7 * DAY_MS;
+const OTP_INDEX_KEY = 'otp_index';
+
+// userId -> devices we hold sessions with (from their last prekey fetch)
+const DEVICE_LISTS_KEY = 'device_lists';
+
+// Skipped message keys (out-of-order delivery) - a peer must not be able to make us
+// derive and store keys without bound
+const MAX_SKIPPED_KEYS_PER_CHAIN = 1000;
+const MAX_SKIPPED_KEYS_PER_SESSION = 2000;
+const SKIPPED_KEY_MAX_AGE = 7 * DAY_MS; // Messages delayed longer than this can't be decrypted
+
+/**
+ * Thrown when a message would need more skipped message keys than we keep
+ */
+export class SkippedKeyLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SkippedKeyLimitError';
+  }
+}
+
 class SignalProtocol {
   constructor() {
     this.initialized = false;
+    this.initPromise = null;
     // Session caching for fast lookup
     this.sessionCache = new Map();
     // Track pending session setups to avoid duplicates
     this.pendingSetup = new Map();
+    // Read-modify-write of one session's ratchet state (never interleave two of them)
+    this.stateLocks = new KeyedMutex();
+    // Multi-step flows on one session - set up + encrypt, accept + decrypt
+    this.sessionLocks = new KeyedMutex();
+    this.signedPrekeyRotation = { ...DEFAULT_SIGNED_PREKEY_ROTATION };
+    // Serializes read-modify-write of the one-time prekey index
+    this.otpIndexChain = Promise.resolve();
   }
 
   async init() {
     if (this.initialized) return;
-    await e2eeService.init();
-    this.initialized = true;
+
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        await e2eeService.init();
+        await this.migrateSessionStore();
+        this.initialized = true;
+      })().finally(() => {
+        this.initPromise = null;
+      });
+    }
+
+    await this.initPromise;
   }
 
   // ============= KEY BUNDLE MANAGEMENT =============
@@ -62,21 +117,32 @@ class SignalProtocol {
       console.log('✅ Generated new identity keypair');
     }
 
-    // Generate signed prekey
-    const signedPrekeyPair = await e2eeService.generateX25519KeyPair();
-    const signedPrekeyId = Date.now();
+    // Reuse the current signed prekey - rotation happens on its own schedule
+    const signedPrekey =
+      (await this.getCurrentSignedPrekey()) || (await this.createSignedPrekey(identityPrivateKey));
+    await this.activateSignedPrekey(signedPrekey);
 
-    // Sign the public key with identity key
-    const signature = await e2eeService.sign(signedPrekeyPair.publicKey, identityPrivateKey);
+    const oneTimePrekeys = await this.generateOneTimePrekeys(count);
 
-    // Store signed prekey privately
-    await e2eeService.storePrivateKey(
-      `signed_prekey_${signedPrekeyId}`,
-      signedPrekeyPair.privateKey,
-    );
-    await AsyncStorage.setItem('current_signed_prekey_id', signedPrekeyId.toString());
+    console.log(`✅ Generated prekey bundle: 1 signed + ${count} one-time prekeys`);
+
+    return {
+      identityKey: identityPublicKey,
+      signedPrekey: {
+        id: signedPrekey.id,
+        publicKey: signedPrekey.publicKey,
+        signature: signedPrekey.signature,
+      },
+      oneTimePrekeys,
+    };
+  }
 
-    // Generate one-time prekeys
+  /**
+   * Generate one-time prekeys (private keys stay in SecureStore)
+   * @param {number} count - Number of prekeys
+   * @returns {Promise<Array<{ id: string, publicKey: string }>>} Public parts to upload
+   */
+  async generateOneTimePrekeys(count) {
     const oneTimePrekeys = [];
     for (let i = 0; i < count; i++) {
       const prekeyPair = await e2eeService.generateX25519KeyPair();
@@ -91,17 +157,224 @@ class SignalProtocol {
       });
     }
 
-    console.log(`✅ Generated prekey bundle: 1 signed + ${count} one-time prekeys`);
+    const createdAt = Date.now();
+    await this.updateOtpIndex((index) => [
+      ...index,
+      ...oneTimePrekeys.map(({ id }) => ({ id, createdAt })),
+    ]);
+    return oneTimePrekeys;
+  }
 
-    return {
-      identityKey: identityPublicKey,
-      signedPrekey: {
-        id: signedPrekeyId,
-        publicKey: signedPrekeyPair.publicKey,
-        signature,
-      },
-      oneTimePrekeys,
+  // ============= ONE-TIME PREKEY LIFECYCLE =============
+  //
+  // SecureStore can't list its keys, so every otp_<id> we store is tracked in an index:
+  // [{ id, createdAt, orphanedAt? }]. A key leaves the index (and SecureStore) when a peer
+  // uses it, or when the server stopped holding it for longer than the grace period.
+  // Keys generated before the index existed can't be found anymore and stay behind.
+
+  async getOtpIndex() {
+    const indexJson = await AsyncStorage.getItem(OTP_INDEX_KEY);
+    return indexJson ? JSON.parse(indexJson) : [];
+  }
+
+  /**
+   * Apply a change to the one-time prekey index (serialized)
+   * @param {function} update - (index) => newIndex
+   */
+  updateOtpIndex(update) {
+    this.otpIndexChain = this.otpIndexChain
+      .catch(() => {})
+      .then(async () => {
+        const index = await this.getOtpIndex();
+        await AsyncStorage.setItem(OTP_INDEX_KEY, JSON.stringify(update(index)));
+      });
+    return this.otpIndexChain;
+  }
+
+  /**
+   * Take a one-time prekey for an incoming handshake - deleted right away, it's single use
+   * @returns {Promise<string|null>} Private key, or null if it's gone
+   */
+  async consumeOneTimePrekey(prekeyId) {
+    const privateKey = await e2eeService.getPrivateKey(`otp_${prekeyId}`);
+    await e2eeService.deletePrivateKey(`otp_${prekeyId}`);
+    await this.updateOtpIndex((index) => index.filter((entry) => entry.id !== prekeyId));
+    return privateKey;
+  }
+
+  /**
+   * Reconcile local one-time prekeys with the ones the server still holds
+   * Keys the server no longer lists were handed out (or replaced by a bundle upload).
+   * They're kept for OTP_ORPHAN_GRACE_PERIOD in case the handshake is still on its way.
+   *
+   * @param {Array<string>} serverPrekeyIds - IDs from /keys/status
+   * @returns {Promise<number>} Number of private keys deleted
+   */
+  async pruneOneTimePrekeys(serverPrekeyIds) {
+    const onServer = new Set(serverPrekeyIds.map(String));
+    const now = Date.now();
+    let expired = [];
+
+    await this.updateOtpIndex((index) => {
+      const reconciled = index.map((entry) => {
+        if (onServer.has(String(entry.id))) {
+          const { orphanedAt: _orphanedAt, ...held } = entry;
+          return held;
+        }
+        return entry.orphanedAt ? entry : { ...entry, orphanedAt: now };
+      });
+      expired = reconciled.filter((entry) => now - entry.orphanedAt > OTP_ORPHAN_GRACE_PERIOD);
+      return reconciled.filter((entry) => !expired.includes(entry));
+    });
+
+    for (const entry of expired) {
+      await e2eeService.deletePrivateKey(`otp_${entry.id}`);
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Pruned ${expired.length} orphaned one-time prekey(s)`);
+    }
+    return expired.length;
+  }
+
+  // ============= SIGNED PREKEY ROTATION =============
+
+  /**
+   * Change the rotation schedule
+   * @param {object} options - { interval, gracePeriod } in milliseconds
+   */
+  configureSignedPrekeyRotation(options = {}) {
+    this.signedPrekeyRotation = { ...this.signedPrekeyRotation, ...options };
+  }
+
+  /**
+   * Signed prekeys we still hold private keys for
+   * @returns {Promise<Array<{ id, publicKey, signature, createdAt, retiredAt? }>>}
+   */
+  async getSignedPrekeyHistory() {
+    const historyJson = await AsyncStorage.getItem(SIGNED_PREKEY_HISTORY_KEY);
+    return historyJson ? JSON.parse(historyJson) : [];
+  }
+
+  async saveSignedPrekeyHistory(history) {
+    await AsyncStorage.setItem(SIGNED_PREKEY_HISTORY_KEY, JSON.stringify(history));
+  }
+
+  /**
+   * Public part of the signed prekey currently published on the server
+   */
+  async getCurrentSignedPrekey() {
+    const currentId = await AsyncStorage.getItem('current_signed_prekey_id');
+    if (!currentId) return null;
+
+    const history = await this.getSignedPrekeyHistory();
+    return history.find((key) => String(key.id) === currentId) || null;
+  }
+
+  /**
+   * Generate and sign a new signed prekey (stored, but not yet current)
+   */
+  async createSignedPrekey(identityPrivateKey) {
+    const signedPrekeyPair = await e2eeService.generateX25519KeyPair();
+    const signedPrekey = {
+      id: Date.now(),
+      publicKey: signedPrekeyPair.publicKey,
+      // Sign the public key with identity key
+      signature: await e2eeService.sign(signedPrekeyPair.publicKey, identityPrivateKey),
+      createdAt: Date.now(),
     };
+
+    // Store signed prekey privately
+    await e2eeService.storePrivateKey(
+      `signed_prekey_${signedPrekey.id}`,
+      signedPrekeyPair.privateKey,
+    );
+
+    return signedPrekey;
+  }
+
+  /**
+   * Make a signed prekey current - the previous one enters its grace window
+   */
+  async activateSignedPrekey(signedPrekey) {
+    const previousId = await AsyncStorage.getItem('current_signed_prekey_id');
+    if (previousId === String(signedPrekey.id)) return;
+
+    const now = Date.now();
+    const history = (await this.getSignedPrekeyHistory()).map((key) =>
+      key.retiredAt ? key : { ...key, retiredAt: now },
+    );
+
+    // Keys from before rotation existed have no history entry - give them a grace window too
+    if (previousId && !history.some((key) => String(key.id) === previousId)) {
+      history.push({ id: Number(previousId), createdAt: Number(previousId), retiredAt: now });
+    }
+
+    history.push(signedPrekey);
+    await this.saveSignedPrekeyHistory(history);
+    await AsyncStorage.setItem('current_signed_prekey_id', String(signedPrekey.id));
+  }
+
+  /**
+   * Rotate the signed prekey when it's older than the rotation interval,
+   * then purge retired keys whose grace window is over.
+   *
+   * The new key is only activated after the server accepted it - if the upload fails,
+   * peers keep getting the old (still valid) key and we retry next time.
+   *
+   * @param {object} options - { force } rotate regardless of age
+   * @returns {Promise<boolean>} True if a new signed prekey was published
+   */
+  async rotateSignedPrekeyIfNeeded({ force = false } = {}) {
+    await this.init();
+
+    const identityPrivateKey = await e2eeService.getPrivateKey('identity_private');
+    if (!identityPrivateKey) return false; // No identity yet - generatePrekeyBundle runs first
+
+    let rotated = false;
+    const current = await this.getCurrentSignedPrekey();
+    const age = current ? Date.now() - current.createdAt : Infinity;
+
+    if (force || age >= this.signedPrekeyRotation.interval) {
+      const signedPrekey = await this.createSignedPrekey(identityPrivateKey);
+      try {
+        const keyService = (await import('./keyService')).keyService;
+        await keyService.uploadSignedPrekey({
+          id: signedPrekey.id,
+          publicKey: signedPrekey.publicKey,
+          signature: signedPrekey.signature,
+        });
+      } catch (error) {
+        await e2eeService.deletePrivateKey(`signed_prekey_${signedPrekey.id}`);
+        throw error;
+      }
+
+      await this.activateSignedPrekey(signedPrekey);
+      rotated = true;
+      console.log(`🔄 Signed prekey rotated (id ${signedPrekey.id})`);
+    }
+
+    await this.purgeExpiredSignedPrekeys();
+    return rotated;
+  }
+
+  /**
+   * Delete private keys of signed prekeys retired longer than the grace period
+   */
+  async purgeExpiredSignedPrekeys() {
+    const history = await this.getSignedPrekeyHistory();
+    const cutoff = Date.now() - this.signedPrekeyRotation.gracePeriod;
+
+    const expired = history.filter((key) => key.retiredAt && key.retiredAt < cutoff);
+    if (expired.length === 0) return 0;
+
+    for (const key of expired) {
+      await e2eeService.deletePrivateKey(`signed_prekey_${key.id}`);
+    }
+    await this.saveSignedPrekeyHistory(history.filter((key) => !expired.includes(key)));
+
+    console.log(`🧹 Purged ${expired.length} expired signed prekey(s)`);
+    return expired.length;
   }
 
   /**
@@ -135,7 +408,7 @@ class SignalProtocol {
    * 4. Initialize sender ratchet state
    *
    * @param {object} bobBundle - Bob's prekey bundle from server
-   * @param {string} peerUserId - Optional explicit session ID (user ID)
+   * @param {string} peerUserId - Optional explicit session ID (device address, see device.js)
    * @returns {object} Session state + initial message header
    */
   async initiateSession(bobBundle, peerUserId = null) {
@@ -144,6 +417,9 @@ class SignalProtocol {
     // Verify Bob's prekey signature
     await this.verifyPrekeyBundle(bobBundle);
 
+    // Pin Bob's identity key (or record that it changed)
+    await identityTrust.checkIdentity(peerUserId, bobBundle.identityKey);
+
     // Get Alice's identity key
     const aliceIdentityPrivate = await e2eeService.getPrivateKey('identity_private');
     const aliceIdentityPublic = await AsyncStorage.getItem('identity_public');
@@ -195,11 +471,24 @@ class SignalProtocol {
     const newRootKey = ratchetKeys.slice(0, 32);
     const sendingChainKey = ratchetKeys.slice(32, 64);
 
+    const initialHeader = {
+      identityKey: aliceIdentityPublic,
+      ephemeralKey: aliceEphemeralPair.publicKey,
+      usedOneTimePrekey,
+      // Lets Bob find the right signed prekey even after he rotated it
+      signedPrekeyId: bobBundle.signedPrekey.id,
+      senderRatchetKey: senderRatchetPair.publicKey,
+      createdAt: Date.now(),
+    };
+
     // Store session state
     // ✅ FIXED: Use peerUserId if provided, otherwise fallback to identity key slice
     const sessionId = peerUserId || `${bobBundle.identityKey.slice(0, 16)}`;
     const sessionState = {
       sessionId,
+      createdAt: initialHeader.createdAt,
+      // Sent along with every message until Bob answers - he needs it to accept the session
+      pendingInitialHeader: initialHeader,
       peerIdentityKey: bobBundle.identityKey,
       rootKey: e2eeService.toBase64(newRootKey),
       sendingChainKey: e2eeService.toBase64(sendingChainKey),
@@ -213,30 +502,37 @@ class SignalProtocol {
       skippedMessageKeys: {}, // Store temporarily for out-of-order messages
     };
 
-    await this.saveSessionState(sessionId, sessionState);
+    await this.stateLocks.run(sessionId, () => this.saveSessionState(sessionId, sessionState));
 
     console.log(`✅ X3DH session initiated with ${sessionId}`);
 
-    return {
-      sessionId,
-      initialHeader: {
-        identityKey: aliceIdentityPublic,
-        ephemeralKey: aliceEphemeralPair.publicKey,
-        usedOneTimePrekey,
-        senderRatchetKey: senderRatchetPair.publicKey,
-      },
-    };
+    return { sessionId, initialHeader };
   }
 
   // ============= SESSION MANAGEMENT =============
 
   /**
-   * Ensure E2EE session exists (used by message queue)
+   * Run a multi-step flow on one peer's sessions exclusively
+   * (e.g. ensure sessions + encrypt, accept X3DH + decrypt). Single ratchet operations
+   * are atomic on their own; this keeps whole flows from interleaving.
+   * Locks are per user - one flow covers the sessions with all of their devices.
+   *
+   * Not reentrant: don't nest calls for the same peer.
+   *
+   * @param {string} peerUserId - User ID
+   * @param {function} task - async () => result
+   */
+  withSessionLock(peerUserId, task) {
+    return this.sessionLocks.run(peerUserId, task);
+  }
+
+  /**
+   * Ensure E2EE sessions exist with every device of a user (used by message queue)
    * Uses caching to avoid redundant initialization
    * Handles concurrent requests gracefully
    *
    * @param {string} peerUserId - MongoDB user ID
-   * @returns {Promise<string>} Session ID
+   * @returns {Promise<string[]>} Session IDs (one device address per device)
    */
   async ensureSession(peerUserId) {
     // Check cache first
@@ -257,10 +553,10 @@ class SignalProtocol {
     this.pendingSetup.set(peerUserId, setupPromise);
 
     try {
-      const sessionId = await setupPromise;
-      this.sessionCache.set(peerUserId, sessionId);
-      console.log(`✅ E2EE session ready: ${peerUserId}`);
-      return sessionId;
+      const sessionIds = await setupPromise;
+      this.sessionCache.set(peerUserId, sessionIds);
+      console.log(`✅ E2EE session ready: ${peerUserId} (${sessionIds.length} device(s))`);
+      return sessionIds;
     } catch (error) {
       console.error(`❌ E2EE session setup failed: ${error.message}`);
       throw error;
@@ -270,31 +566,101 @@ class SignalProtocol {
   }
 
   /**
-   * Verify if remote user's identity key has changed (e.g. reinstall)
-   * If changed, invalidates local session to force re-keying
+   * Encrypt one plaintext for every device of a user
+   * Each device has its own ratchet, so each gets its own ciphertext.
+   *
+   * @returns {Promise<Array<{ deviceId, ciphertext, header, nonce, initialHeader }>>}
+   */
+  async encryptForUser(peerUserId, plaintext) {
+    const sessionIds = await this.ensureSession(peerUserId);
+
+    const envelopes = [];
+    for (const sessionId of sessionIds) {
+      const encrypted = await this.ratchetEncrypt(sessionId, plaintext);
+      envelopes.push({ deviceId: parseDeviceAddress(sessionId).deviceId, ...encrypted });
+    }
+    return envelopes;
+  }
+
+  /**
+   * Drop one device's session so the next ensureSession() builds a new one from a fresh bundle
+   * @param {string} sessionId - Device address (or user ID for a legacy single-device peer)
+   */
+  async resetSession(sessionId) {
+    await this.deleteSession(sessionId);
+    this.sessionCache.delete(parseDeviceAddress(sessionId).userId);
+    console.log(`🔄 Session with ${sessionId} reset`);
+  }
+
+  /**
+   * Decide if an incoming X3DH header should replace our session with the peer
+   * - no session yet: accept
+   * - header we already accepted, or older than our session (history redelivery): ignore
+   * - both sides initiated at the same time: the smaller identity key accepts the other's
+   *   session, so exactly one of the two sessions survives
+   */
+  async shouldAcceptSession(peerUserId, aliceHeader) {
+    const session = await this.getSessionState(peerUserId);
+    if (!session) return true;
+
+    if (session.acceptedEphemeralKey === aliceHeader.ephemeralKey) return false;
+    if ((aliceHeader.createdAt || 0) <= (session.createdAt || 0)) return false;
+    if (!session.pendingInitialHeader) return true; // Peer started over
+
+    const localIdentityKey = await this.getLocalIdentityKey();
+    return localIdentityKey < aliceHeader.identityKey;
+  }
+
+  /**
+   * Verify if remote user's identity keys have changed (e.g. reinstall)
+   * If a device's key changed, invalidates that device's session to force re-keying
+   *
+   * @returns {Promise<boolean>} False if any device's identity key changed
    */
   async verifyIdentity(peerUserId) {
     try {
-      const sessionState = await this.getSessionState(peerUserId);
-      if (!sessionState) return true; // No session, nothing to verify
+      const knownSessions = [];
+      for (const sessionId of await this.getSessionIds(peerUserId)) {
+        const sessionState = await this.getSessionState(sessionId);
+        if (sessionState) knownSessions.push({ sessionId, sessionState });
+      }
+      if (knownSessions.length === 0) return true; // No session, nothing to verify
 
-      // Fetch current bundle to check identity key
+      // Fetch current bundles to check identity keys
       const keyService = (await import('./keyService')).keyService;
       const response = await keyService.fetchPrekeyBundle(peerUserId);
-      const bundle = response.data;
-
-      if (!bundle || !bundle.identityKey) return true;
+      const bundles = response.data?.devices || [];
+
+      let unchanged = true;
+      for (const { sessionId, sessionState } of knownSessions) {
+        const { deviceId } = parseDeviceAddress(sessionId);
+        const bundle = bundles.find((candidate) => candidate.deviceId === deviceId);
+        if (!bundle?.identityKey) continue; // Device unlinked - initSession drops the session
+
+        // Record the change (warning / send block) before re-keying
+        // Sessions older than the trust store get their key pinned first
+        await identityTrust.checkIdentity(sessionId, sessionState.peerIdentityKey);
+        await identityTrust.checkIdentity(sessionId, bundle.identityKey);
+
+        if (bundle.identityKey !== sessionState.peerIdentityKey) {
+          console.warn(
+            `⚠️ Identity key changed for ${sessionId} (Reinstall detected). Resetting session.`,
+          );
+          await this.deleteSession(sessionId);
+          unchanged = false;
+        }
+      }
 
-      if (bundle.identityKey !== sessionState.peerIdentityKey) {
-        console.warn(
-          `⚠️ Identity key changed for ${peerUserId} (Reinstall detected). Resetting session.`,
-        );
-        await this.deleteSession(peerUserId);
+      // Linked or unlinked devices and reset sessions are picked up by the next ensureSession
+      const knownDeviceIds = (await this.getDevices(peerUserId)).map((device) => device.deviceId);
+      const deviceListChanged =
+        bundles.length !== knownDeviceIds.length ||
+        bundles.some((bundle) => !knownDeviceIds.includes(bundle.deviceId));
+      if (!unchanged || deviceListChanged) {
         this.sessionCache.delete(peerUserId);
-        return false; // Identity changed
       }
 
-      return true; // Identity verified
+      return unchanged; // Identity verified
     } catch (error) {
       console.warn('Failed to verify identity:', error);
       return true; // Assume valid on error to prevent blocking
@@ -302,54 +668,171 @@ class SignalProtocol {
   }
 
   /**
-   * High-level session initialization (fetches bundle and initiates session)
+   * Our own identity public key (base64)
+   */
+  async getLocalIdentityKey() {
+    return await AsyncStorage.getItem('identity_public');
+  }
+
+  /**
+   * Peer identity public key (base64) of one of their devices (first known one if not given)
+   * Prefers the key our session was built with - that's the key messages are actually
+   * encrypted to - and falls back to the server bundle when there's no session yet.
+   */
+  async getPeerIdentityKey(peerUserId, deviceId) {
+    const targetDeviceId =
+      deviceId !== undefined
+        ? deviceId
+        : ((await this.getDevices(peerUserId))[0]?.deviceId ?? null);
+
+    const sessionState = await this.getSessionState(deviceAddress(peerUserId, targetDeviceId));
+    if (sessionState?.peerIdentityKey) return sessionState.peerIdentityKey;
+
+    const keyService = (await import('./keyService')).keyService;
+    const response = await keyService.fetchPrekeyBundle(peerUserId);
+    const bundles = response.data?.devices || [];
+    const bundle =
+      deviceId !== undefined
+        ? bundles.find((candidate) => candidate.deviceId === deviceId)
+        : bundles[0];
+    return bundle?.identityKey || null;
+  }
+
+  // ============= DEVICES =============
+
+  /**
+   * Devices of a user as of the last prekey fetch (never includes this device)
+   * @returns {Promise<Array<{ deviceId: string|null, deviceName?: string }>>}
+   */
+  async getDevices(peerUserId) {
+    const deviceLists = (await secureStorage.getItem(DEVICE_LISTS_KEY)) || {};
+    return deviceLists[peerUserId] || [];
+  }
+
+  async saveDevices(peerUserId, devices) {
+    const deviceLists = (await secureStorage.getItem(DEVICE_LISTS_KEY)) || {};
+    deviceLists[peerUserId] = devices;
+    await secureStorage.setItem(DEVICE_LISTS_KEY, deviceLists);
+  }
+
+  /**
+   * Session IDs of all known devices of a user
+   * Before the first device list fetch that's just the user ID (sessions from
+   * single-device versions live there).
+   */
+  async getSessionIds(peerUserId) {
+    const devices = await this.getDevices(peerUserId);
+    if (devices.length === 0) return [peerUserId];
+    return devices.map((device) => deviceAddress(peerUserId, device.deviceId));
+  }
+
+  /**
+   * Forget which devices a user has - the next ensureSession() fetches the list again
+   * (call when a device was linked or unlinked)
+   */
+  invalidateDevices(peerUserId) {
+    this.sessionCache.delete(peerUserId);
+  }
+
+  /**
+   * Whether a bundle belongs to this very device (we never open a session with ourselves)
+   */
+  async isOwnBundle(bundle) {
+    return (
+      bundle.deviceId === (await deviceService.getDeviceId()) ||
+      bundle.identityKey === (await this.getLocalIdentityKey())
+    );
+  }
+
+  /**
+   * High-level session initialization (fetches bundles and initiates a session per device)
    * This is the wrapper that ChatContext should call
    *
+   * Called for our own user ID too - our other devices get a copy of everything we send.
+   *
    * @param {string} peerUserId - MongoDB user ID of the peer
-   * @returns {string} Session ID (same as peerUserId for easy lookup)
+   * @returns {Promise<string[]>} Session IDs, one per device
    */
   async initSession(peerUserId) {
     await this.init();
 
     try {
-      console.log(`🔑 Initiating E2EE session with user: ${peerUserId}`);
+      console.log(`🔑 Initiating E2EE sessions with user: ${peerUserId}`);
 
-      // Check if session already exists (avoid redundant initialization)
-      const existingSession = await this.getSessionState(peerUserId);
-      if (existingSession) {
-        console.log(`✅ E2EE session already exists for: ${peerUserId}`);
-        return peerUserId;
-      }
-
-      console.log(`🔑 No session found, initiating X3DH...`);
-
-      // Fetch peer's prekey bundle from server
+      // Fetch the prekey bundles of all of the peer's devices
       const keyService = (await import('./keyService')).keyService;
       let response;
       try {
         response = await keyService.fetchPrekeyBundle(peerUserId);
       } catch (apiError) {
+        // Offline: sessions we already have are good enough
+        const sessionIds = await this.getSessionIds(peerUserId);
+        const existing = [];
+        for (const sessionId of sessionIds) {
+          if (await this.getSessionState(sessionId)) existing.push(sessionId);
+        }
+        if (existing.length > 0 && existing.length === sessionIds.length) {
+          console.log(`✅ Using existing E2EE sessions for: ${peerUserId} (offline)`);
+          return existing;
+        }
+
         console.error('Failed to fetch prekey bundle:', apiError);
         throw new Error(
           `Cannot establish encrypted session: ${apiError.message || 'Network error'}`,
         );
       }
 
-      const bundle = response.data;
+      const bundles = response.data?.devices || [];
 
-      if (!bundle) {
+      if (bundles.length === 0) {
         throw new Error(
           'No prekey bundle available - user may not have registered encryption keys',
         );
       }
 
-      // Initiate X3DH session
-      // ✅ FIXED: Pass peerUserId to use as session ID
-      const { sessionId } = await this.initiateSession(bundle, peerUserId);
+      const devices = [];
+      for (const bundle of bundles) {
+        if (!(await this.isOwnBundle(bundle))) devices.push(bundle);
+      }
 
-      console.log(`✅ X3DH session initiated: ${sessionId}`);
+      // Drop the sessions of devices that were unlinked since the last fetch
+      const previousSessionIds = await this.getSessionIds(peerUserId);
+      const sessionIds = devices.map((bundle) => deviceAddress(peerUserId, bundle.deviceId));
+      for (const sessionId of previousSessionIds) {
+        if (!sessionIds.includes(sessionId) && (await this.getSessionState(sessionId))) {
+          console.log(`🗑️ Device unlinked, dropping session: ${sessionId}`);
+          await this.deleteSession(sessionId);
+        }
+      }
 
-      return sessionId;
+      // Initiate X3DH with every device we don't have a session with yet
+      const ready = [];
+      for (const bundle of devices) {
+        const sessionId = deviceAddress(peerUserId, bundle.deviceId);
+        try {
+          if (!(await this.getSessionState(sessionId))) {
+            await this.initiateSession(bundle, sessionId);
+            console.log(`✅ X3DH session initiated: ${sessionId}`);
+          }
+          ready.push(sessionId);
+        } catch (error) {
+          // One bad device (e.g. invalid signature) must not cut off the others
+          console.warn(`⚠️ Skipping device ${sessionId}:`, error.message);
+        }
+      }
+
+      if (devices.length > 0 && ready.length === 0) {
+        throw new Error('Cannot establish encrypted session with any device');
+      }
+
+      await this.saveDevices(
+        peerUserId,
+        devices
+          .filter((bundle) => ready.includes(deviceAddress(peerUserId, bundle.deviceId)))
+          .map(({ deviceId, deviceName }) => ({ deviceId, deviceName })),
+      );
+
+      return ready;
     } catch (error) {
       console.error(`❌ Failed to init session with ${peerUserId}:`, error.message);
       throw error;
@@ -361,33 +844,31 @@ class SignalProtocol {
   /**
    * Accept X3DH session as responder (Bob receiving first message from Alice)
    * @param {object} aliceHeader - Initial header from Alice's first message
-   * @param {string} peerUserId - Optional explicit session ID (Alice's user ID)
+   * @param {string} peerUserId - Optional explicit session ID (Alice's device address)
    */
   async acceptSession(aliceHeader, peerUserId = null) {
     await this.init();
 
+    // Pin Alice's identity key (or record that it changed)
+    await identityTrust.checkIdentity(peerUserId, aliceHeader.identityKey);
+
     const bobIdentityPrivate = await e2eeService.getPrivateKey('identity_private');
 
-    // Get signed prekey that Alice used
-    const signedPrekeyId = await AsyncStorage.getItem('current_signed_prekey_id');
+    // Get signed prekey that Alice used (headers from older clients don't name it)
+    const signedPrekeyId =
+      aliceHeader.signedPrekeyId ?? (await AsyncStorage.getItem('current_signed_prekey_id'));
     const bobSignedPrekeyPrivate = await e2eeService.getPrivateKey(
       `signed_prekey_${signedPrekeyId}`,
     );
 
     if (!bobSignedPrekeyPrivate) {
-      throw new Error('Signed prekey not found - may have been rotated');
+      throw new Error('Signed prekey not found - rotated out of its grace window');
     }
 
-    // Get one-time prekey if Alice used one
+    // Get one-time prekey if Alice used one (deleted on read - hence "one-time")
     let bobOneTimePrekeyPrivate = null;
     if (aliceHeader.usedOneTimePrekey) {
-      bobOneTimePrekeyPrivate = await e2eeService.getPrivateKey(
-        `otp_${aliceHeader.usedOneTimePrekey}`,
-      );
-      // Delete one-time prekey after use (hence "one-time")
-      if (bobOneTimePrekeyPrivate) {
-        await e2eeService.deletePrivateKey(`otp_${aliceHeader.usedOneTimePrekey}`);
-      }
+      bobOneTimePrekeyPrivate = await this.consumeOneTimePrekey(aliceHeader.usedOneTimePrekey);
     }
 
     // X3DH: Perform same 4 DH operations (Bob's perspective)
@@ -423,6 +904,8 @@ class SignalProtocol {
     const sessionId = peerUserId || `${aliceHeader.identityKey.slice(0, 16)}`;
     const sessionState = {
       sessionId,
+      createdAt: aliceHeader.createdAt || Date.now(),
+      acceptedEphemeralKey: aliceHeader.ephemeralKey,
       peerIdentityKey: aliceHeader.identityKey,
       rootKey: e2eeService.toBase64(newRootKey),
       sendingChainKey: null, // Will generate on first send
@@ -436,7 +919,7 @@ class SignalProtocol {
       skippedMessageKeys: {},
     };
 
-    await this.saveSessionState(sessionId, sessionState);
+    await this.stateLocks.run(sessionId, () => this.saveSessionState(sessionId, sessionState));
 
     console.log(`✅ X3DH session accepted from ${sessionId}`);
 
@@ -457,73 +940,76 @@ class SignalProtocol {
   async ratchetEncrypt(sessionId, plaintext) {
     await this.init();
 
-    const state = await this.getSessionState(sessionId);
-    if (!state) {
-      throw new Error(`No session found for ${sessionId}`);
-    }
-
-    // Generate sender ratchet if first message
-    if (!state.senderRatchetPrivate) {
-      const senderRatchetPair = await e2eeService.generateX25519KeyPair();
-      state.senderRatchetPrivate = senderRatchetPair.privateKey;
-      state.senderRatchetPublic = senderRatchetPair.publicKey;
-
-      // Perform DH ratchet step
-      const dhOut = await e2eeService.performDH(
-        state.senderRatchetPrivate,
-        state.receiverRatchetPublic,
-      );
-
-      const ratchetKeys = await e2eeService.hkdf(
-        Buffer.concat([e2eeService.fromBase64(state.rootKey), dhOut]),
-        'WhispChat-Ratchet',
-        'ChainKey',
-        64,
-      );
+    return await this.stateLocks.run(sessionId, async () => {
+      const state = await this.getSessionState(sessionId);
+      if (!state) {
+        throw new Error(`No session found for ${sessionId}`);
+      }
 
-      state.rootKey = e2eeService.toBase64(ratchetKeys.slice(0, 32));
-      state.sendingChainKey = e2eeService.toBase64(ratchetKeys.slice(32, 64));
-      state.sendingChainLength = 0;
-    }
+      // Generate sender ratchet if first message
+      if (!state.senderRatchetPrivate) {
+        const senderRatchetPair = await e2eeService.generateX25519KeyPair();
+        state.senderRatchetPrivate = senderRatchetPair.privateKey;
+        state.senderRatchetPublic = senderRatchetPair.publicKey;
 
-    // Derive message key from chain key
-    const chainKey = e2eeService.fromBase64(state.sendingChainKey);
-    const messageKey = await e2eeService.hkdf(
-      chainKey,
-      'MessageKey',
-      `${state.sendingChainLength} `,
-      32,
-    );
+        // Perform DH ratchet step
+        const dhOut = await e2eeService.performDH(
+          state.senderRatchetPrivate,
+          state.receiverRatchetPublic,
+        );
 
-    // Advance chain key: CK_new = HMAC(CK, 0x02)
-    const newChainKey = await e2eeService.hkdf(chainKey, 'ChainKey', 'Advance', 32);
-    state.sendingChainKey = e2eeService.toBase64(newChainKey);
+        const ratchetKeys = await e2eeService.hkdf(
+          Buffer.concat([e2eeService.fromBase64(state.rootKey), dhOut]),
+          'WhispChat-Ratchet',
+          'ChainKey',
+          64,
+        );
 
-    // Generate nonce
-    const nonce = await e2eeService.generateNonce();
+        state.rootKey = e2eeService.toBase64(ratchetKeys.slice(0, 32));
+        state.sendingChainKey = e2eeService.toBase64(ratchetKeys.slice(32, 64));
+        state.sendingChainLength = 0;
+      }
 
-    // Associated data: session ID + counter (prevents reordering attacks)
-    const associatedData = Buffer.from(`${sessionId}:${state.sendingChainLength} `);
+      // Derive message key and advance the sending chain
+      const { messageKey, nextChainKey } = await this.stepChain(
+        state.sendingChainKey,
+        state.sendingChainLength,
+      );
+      state.sendingChainKey = nextChainKey;
 
-    // Encrypt with AEAD
-    const ciphertext = await e2eeService.encryptAEAD(plaintext, messageKey, nonce, associatedData);
+      // Generate nonce
+      const nonce = await e2eeService.generateNonce();
 
-    // Increment counter
-    const messageCounter = state.sendingChainLength;
-    state.sendingChainLength += 1;
+      // Associated data: session ID + counter (prevents reordering attacks)
+      const associatedData = Buffer.from(`${sessionId}:${state.sendingChainLength} `);
 
-    // Save updated state
-    await this.saveSessionState(sessionId, state);
+      // Encrypt with AEAD
+      const ciphertext = await e2eeService.encryptAEAD(
+        plaintext,
+        messageKey,
+        nonce,
+        associatedData,
+      );
 
-    return {
-      ciphertext: e2eeService.toBase64(ciphertext),
-      header: {
-        senderRatchetKey: state.senderRatchetPublic,
-        messageCounter,
-        previousChainLength: state.previousSendingChainLength,
-      },
-      nonce: e2eeService.toBase64(nonce),
-    };
+      // Increment counter
+      const messageCounter = state.sendingChainLength;
+      state.sendingChainLength += 1;
+
+      // Save updated state
+      await this.saveSessionState(sessionId, state);
+
+      return {
+        ciphertext: e2eeService.toBase64(ciphertext),
+        header: {
+          senderRatchetKey: state.senderRatchetPublic,
+          messageCounter,
+          previousChainLength: state.previousSendingChainLength,
+        },
+        nonce: e2eeService.toBase64(nonce),
+        // X3DH header until the peer answered (undefined afterwards)
+        initialHeader: state.pendingInitialHeader,
+      };
+    });
   }
 
   // ============= DOUBLE RATCHET: RECEIVE =============
@@ -531,65 +1017,70 @@ class SignalProtocol {
   /**
    * Decrypt message using Double Ratchet
    * Handles out-of-order delivery and ratchet advancement
+   *
+   * The session is only saved after the message decrypted, so a forged or broken
+   * message can't advance (or fill up) the ratchet state.
    */
   async ratchetDecrypt(sessionId, encryptedMessage) {
     await this.init();
 
-    const state = await this.getSessionState(sessionId);
-    if (!state) {
-      throw new Error(`No session found for ${sessionId}`);
-    }
-
-    const { ciphertext, header, nonce } = encryptedMessage;
-
-    // Check if sender performed DH ratchet (new sender ratchet key)
-    if (header.senderRatchetKey !== state.receiverRatchetPublic) {
-      // Sender advanced ratchet - perform DH and derive new receiving chain
-      await this.performDHRatchet(state, header.senderRatchetKey);
-    }
+    return await this.stateLocks.run(sessionId, async () => {
+      const state = await this.getSessionState(sessionId);
+      if (!state) {
+        throw new Error(`No session found for ${sessionId}`);
+      }
 
-    // Check for skipped messages (out-of-order delivery)
-    if (header.messageCounter > state.receivingChainLength) {
-      // Store skipped message keys
-      for (let i = state.receivingChainLength; i < header.messageCounter; i++) {
-        const skippedKey = await this.deriveMessageKey(state.receivingChainKey, i);
-        state.skippedMessageKeys[`${header.senderRatchetKey}:${i} `] =
-          e2eeService.toBase64(skippedKey);
+      const { ciphertext, header, nonce } = encryptedMessage;
+      this.pruneSkippedMessageKeys(state);
+
+      let messageKey;
+      const skipKeyId = `${header.senderRatchetKey}:${header.messageCounter} `;
+      const skipped = state.skippedMessageKeys[skipKeyId];
+
+      if (skipped) {
+        // Late arrival of a message we stepped over earlier
+        messageKey = e2eeService.fromBase64(skipped.key);
+        delete state.skippedMessageKeys[skipKeyId];
+      } else {
+        // Check if sender performed DH ratchet (new sender ratchet key)
+        if (header.senderRatchetKey !== state.receiverRatchetPublic) {
+          // Keep keys for messages of the old chain that haven't arrived yet
+          await this.skipMessageKeys(state, header.previousChainLength || 0);
+          await this.performDHRatchet(state, header.senderRatchetKey);
+        }
+
+        if (header.messageCounter < state.receivingChainLength) {
+          throw new Error(
+            `Message key ${header.messageCounter} already used or expired (duplicate or too old)`,
+          );
+        }
+
+        // Store keys of messages skipped in this chain (out-of-order delivery)
+        await this.skipMessageKeys(state, header.messageCounter);
+
+        const step = await this.stepChain(state.receivingChainKey, header.messageCounter);
+        messageKey = step.messageKey;
+        state.receivingChainKey = step.nextChainKey;
+        state.receivingChainLength = header.messageCounter + 1;
       }
-    }
 
-    // Derive message key
-    let messageKey;
-    const skipKeyId = `${header.senderRatchetKey}:${header.messageCounter} `;
-
-    if (state.skippedMessageKeys[skipKeyId]) {
-      // Use stored skipped key
-      messageKey = e2eeService.fromBase64(state.skippedMessageKeys[skipKeyId]);
-      delete state.skippedMessageKeys[skipKeyId];
-    } else {
-      // Derive from current chain
-      messageKey = await this.deriveMessageKey(state.receivingChainKey, header.messageCounter);
-
-      // Advance receiving chain key
-      const chainKey = e2eeService.fromBase64(state.receivingChainKey);
-      const newChainKey = await e2eeService.hkdf(chainKey, 'ChainKey', 'Advance', 32);
-      state.receivingChainKey = e2eeService.toBase64(newChainKey);
-      state.receivingChainLength = header.messageCounter + 1;
-    }
+      // Decrypt with AEAD
+      const associatedData = Buffer.from(`${sessionId}:${header.messageCounter} `);
+      const plaintextBytes = await e2eeService.decryptAEAD(
+        e2eeService.fromBase64(ciphertext),
+        messageKey,
+        e2eeService.fromBase64(nonce),
+        associatedData,
+      );
 
-    // Decrypt with AEAD
-    const associatedData = Buffer.from(`${sessionId}:${header.messageCounter} `);
-    const plaintextBytes = await e2eeService.decryptAEAD(
-      e2eeService.fromBase64(ciphertext),
-      messageKey,
-      e2eeService.fromBase64(nonce),
-      associatedData,
-    );
+      // The peer encrypted to this session, so they have it - stop sending the X3DH header
+      delete state.pendingInitialHeader;
 
-    // Save updated state
-    await this.saveSessionState(sessionId, state);
+      // Save updated state
+      await this.saveSessionState(sessionId, state);
 
-    return Buffer.from(plaintextBytes).toString('utf-8');
+      return BufferPolyfill.toString(plaintextBytes);
+    });
   }
 
   /**
@@ -623,33 +1114,114 @@ class SignalProtocol {
   }
 
   /**
-   * Derive message key from chain key at specific index
+   * One step of a symmetric chain: message key for `index` + the next chain key
+   * @param {string} chainKeyB64 - Chain key at position `index`
+   */
+  async stepChain(chainKeyB64, index) {
+    const chainKey = e2eeService.fromBase64(chainKeyB64);
+    const messageKey = await e2eeService.hkdf(chainKey, 'MessageKey', `${index} `, 32);
+    // Advance chain key: CK_new = KDF(CK)
+    const nextChainKey = await e2eeService.hkdf(chainKey, 'ChainKey', 'Advance', 32);
+    return { messageKey, nextChainKey: e2eeService.toBase64(nextChainKey) };
+  }
+
+  /**
+   * Advance the receiving chain to `until`, keeping the keys we step over
+   * @throws {SkippedKeyLimitError} If that would exceed the per-chain or per-session limit
    */
-  async deriveMessageKey(chainKeyB64, index) {
-    let chainKey = e2eeService.fromBase64(chainKeyB64);
+  async skipMessageKeys(state, until) {
+    if (!state.receivingChainKey || until <= state.receivingChainLength) return;
 
-    // Advance chain key to index
-    for (let i = 0; i < index; i++) {
-      chainKey = await e2eeService.hkdf(chainKey, 'ChainKey', 'Advance', 32);
+    const skipCount = until - state.receivingChainLength;
+    const storedIds = Object.keys(state.skippedMessageKeys);
+    const chainPrefix = `${state.receiverRatchetPublic}:`;
+    const inChain = storedIds.filter((id) => id.startsWith(chainPrefix)).length;
+
+    if (inChain + skipCount > MAX_SKIPPED_KEYS_PER_CHAIN) {
+      throw new SkippedKeyLimitError(
+        `Message skips ${skipCount} keys - more than ${MAX_SKIPPED_KEYS_PER_CHAIN} per chain`,
+      );
+    }
+    if (storedIds.length + skipCount > MAX_SKIPPED_KEYS_PER_SESSION) {
+      throw new SkippedKeyLimitError(
+        `Message skips ${skipCount} keys - more than ${MAX_SKIPPED_KEYS_PER_SESSION} per session`,
+      );
     }
 
-    // Derive message key
-    return await e2eeService.hkdf(chainKey, 'MessageKey', `${index} `, 32);
+    const storedAt = Date.now();
+    while (state.receivingChainLength < until) {
+      const { messageKey, nextChainKey } = await this.stepChain(
+        state.receivingChainKey,
+        state.receivingChainLength,
+      );
+      state.skippedMessageKeys[`${chainPrefix}${state.receivingChainLength} `] = {
+        key: e2eeService.toBase64(messageKey),
+        storedAt,
+      };
+      state.receivingChainKey = nextChainKey;
+      state.receivingChainLength += 1;
+    }
+  }
+
+  /**
+   * Drop skipped message keys older than SKIPPED_KEY_MAX_AGE
+   * Keys stored before they carried a timestamp (plain base64 strings) start their
+   * max age now.
+   */
+  pruneSkippedMessageKeys(state) {
+    const now = Date.now();
+    const cutoff = now - SKIPPED_KEY_MAX_AGE;
+    const entries = Object.entries(state.skippedMessageKeys || {}).map(([id, entry]) => [
+      id,
+      typeof entry === 'string' ? { key: entry, storedAt: now } : entry,
+    ]);
+    state.skippedMessageKeys = Object.fromEntries(
+      entries.filter(([, entry]) => entry?.key && entry.storedAt >= cutoff),
+    );
   }
 
   // ============= SESSION STORAGE =============
+  //
+  // Session state holds root/chain keys, our ratchet private key and skipped message keys,
+  // so it's sealed with secureStorage (storage key in SecureStore), never plain AsyncStorage.
 
   async saveSessionState(sessionId, state) {
-    await AsyncStorage.setItem(`session_${sessionId} `, JSON.stringify(state));
+    await secureStorage.setItem(`session_${sessionId} `, state);
   }
 
   async getSessionState(sessionId) {
-    const stateJson = await AsyncStorage.getItem(`session_${sessionId} `);
-    return stateJson ? JSON.parse(stateJson) : null;
+    await this.init(); // Sessions still in plaintext must be migrated before we read them
+    return await secureStorage.getItem(`session_${sessionId} `);
   }
 
   async deleteSession(sessionId) {
-    await AsyncStorage.removeItem(`session_${sessionId} `);
+    await this.stateLocks.run(sessionId, () => secureStorage.removeItem(`session_${sessionId} `));
+  }
+
+  /**
+   * Encrypt sessions written in plaintext by older versions (in place, same keys)
+   */
+  async migrateSessionStore() {
+    const sessionKeys = (await AsyncStorage.getAllKeys()).filter((key) =>
+      key.startsWith('session_'),
+    );
+
+    let migrated = 0;
+    for (const key of sessionKeys) {
+      const raw = await AsyncStorage.getItem(key);
+      if (!raw || secureStorage.isEncrypted(raw)) continue;
+
+      try {
+        await secureStorage.setItem(key, JSON.parse(raw));
+        migrated += 1;
+      } catch (error) {
+        console.error(`❌ Failed to migrate session ${key}:`, error.message);
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`🔐 Encrypted ${migrated} session(s) stored in plaintext`);
+    }
   }
 }
 
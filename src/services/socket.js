@@ -1,5 +1,8 @@
 import * as SecureStore from 'expo-secure-store';
 import { io } from 'socket.io-client';
+import { handleAuthFailure, refreshAccessToken } from './api';
+import { deviceService } from './device';
+import { SOCKET_EVENTS, isLocalEvent, validatePayload } from './socketEvents';
 import logger from '../utils/logger';
 
 // Socket server configuration from environment variables
@@ -18,11 +21,22 @@ const getSocketURL = () => {
 
 const SOCKET_URL = getSocketURL();
 
+// connect_error messages meaning the access token was rejected (not a network problem)
+const AUTH_ERROR_MESSAGES = ['jwt expired', 'invalid token', 'unauthorized', 'authentication'];
+
+const isAuthError = (error) =>
+  AUTH_ERROR_MESSAGES.some((msg) => error?.message?.toLowerCase().includes(msg));
+
+// connect_error messages meaning this device may no longer use the account
+const DEVICE_REVOKED_ERRORS = ['Device unlinked', 'Logged in from another device'];
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
-    this.listeners = new Map();
+    this.listeners = new Map(); // event -> [{ callback, handler }] for server events (survive reconnects)
+    this.localListeners = new Map(); // event -> [callback] for local events (survive reconnects)
+    this.refreshingAuth = false;
   }
 
   /**
@@ -31,7 +45,7 @@ class SocketService {
   async connect() {
     try {
       const token = await SecureStore.getItemAsync('userToken');
-      const deviceId = await SecureStore.getItemAsync('deviceId'); // ✅ FIX: Get device ID
+      const deviceId = await deviceService.getDeviceId();
 
       if (!token) {
         logger.error('❌ No token found, cannot connect socket');
@@ -56,7 +70,12 @@ class SocketService {
       // Return a promise that resolves when socket is connected
       return new Promise((resolve, reject) => {
         this.socket = io(SOCKET_URL, {
-          auth: { token, deviceId }, // ✅ FIX: Send device ID for verification
+          // Evaluated on every (re)connection attempt so a refreshed token is picked up
+          auth: (cb) => {
+            SecureStore.getItemAsync('userToken')
+              .then((currentToken) => cb({ token: currentToken || token, deviceId })) // Device ID routes messages to this device
+              .catch(() => cb({ token, deviceId }));
+          },
           transports: ['websocket', 'polling'], // WebSocket first, polling as fallback
           reconnection: true,
           reconnectionDelay: 1000, // 1 second delay between reconnection attempts
@@ -68,16 +87,27 @@ class SocketService {
         }); // Setup default event listeners
         this.setupDefaultListeners();
 
+        // Attach listeners registered before this socket (at login, or on an earlier socket)
+        this.listeners.forEach((entries, event) => {
+          entries.forEach(({ handler }) => this.socket.on(event, handler));
+        });
+
+        const handleInitialError = (error) => {
+          // Expired token: keep waiting - reconnectWithFreshToken() retries with a new one
+          if (isAuthError(error)) return;
+          logger.error('❌ Socket connection failed:', error);
+          this.socket?.off('connect_error', handleInitialError);
+          reject(error);
+        };
+
         // Wait for actual connection
         this.socket.once('connect', () => {
           logger.log('✅ Socket connection established');
+          this.socket.off('connect_error', handleInitialError);
           resolve(true);
         });
 
-        this.socket.once('connect_error', (error) => {
-          logger.error('❌ Socket connection failed:', error);
-          reject(error);
-        });
+        this.socket.on('connect_error', handleInitialError);
 
         // Timeout after 15 seconds
         setTimeout(() => {
@@ -101,7 +131,7 @@ class SocketService {
     this.socket.on('connect', () => {
       logger.log('✅ Socket connected');
       this.isConnected = true;
-      this.emit('connection_status', { connected: true });
+      this.emitLocal(SOCKET_EVENTS.CONNECTION_STATUS, { connected: true });
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -111,51 +141,75 @@ class SocketService {
         logger.warn('🔌 Socket disconnected:', reason); // Changed from log to warn
       }
       this.isConnected = false;
-      this.emit('connection_status', { connected: false, reason });
+      this.emitLocal(SOCKET_EVENTS.CONNECTION_STATUS, { connected: false, reason });
     });
 
     this.socket.on('connect_error', (error) => {
       logger.error('❌ Socket connection error:', error.message);
       this.isConnected = false;
-      this.emit('connection_error', error);
-      this.emit('connection_status', { connected: false }); // Added this line
-
-      // ✅ FIX: Handle device login conflict
-      if (error.message === 'Logged in from another device') {
-        logger.warn('⚠️ Logged in from another device - clearing local session');
-        this.emit('force:logout', {
-          reason: 'Logged in from another device',
-          message: 'You have been logged out because you logged in on another device',
+      this.emitLocal(SOCKET_EVENTS.CONNECTION_ERROR, error);
+      this.emitLocal(SOCKET_EVENTS.CONNECTION_STATUS, { connected: false }); // Added this line
+
+      // Access token expired - refresh it and reconnect with the new one
+      if (isAuthError(error)) {
+        this.reconnectWithFreshToken();
+      }
+
+      // This device was removed from the account (or replaced, on servers without linked devices)
+      if (DEVICE_REVOKED_ERRORS.includes(error.message)) {
+        logger.warn(`⚠️ ${error.message} - clearing local session`);
+        this.emitLocal(SOCKET_EVENTS.FORCE_LOGOUT, {
+          reason: error.message,
+          message:
+            'You have been logged out because this device is no longer linked to your account',
         });
       }
     });
 
     this.socket.on('error', (error) => {
       logger.error('❌ Socket error:', error);
-      this.emit('socket_error', error);
+      this.emitLocal(SOCKET_EVENTS.SOCKET_ERROR, error);
     });
 
-    // ✅ FIX: Handle force logout from another device
-    this.socket.on('force:logout', (data) => {
-      logger.warn('🚪 Force logout:', data.reason);
-      this.emit('force:logout', data);
+    // Server-side logout of this device (unlinked from another device)
+    this.socket.on(SOCKET_EVENTS.FORCE_LOGOUT, (data) => {
+      logger.warn('🚪 Force logout:', data?.reason);
+      this.emitLocal(SOCKET_EVENTS.FORCE_LOGOUT, data || {});
     });
+  }
 
-    // E2EE session initialization handler
-    this.socket.on('e2ee:init-session', (data) => {
-      logger.log('🔐 E2EE session initialization received:', data);
-      this.emit('e2ee:init-session', data);
-    });
+  /**
+   * Refresh the access token after the server rejected it, then reconnect
+   * (middleware rejections are not retried by socket.io on its own)
+   */
+  async reconnectWithFreshToken() {
+    if (this.refreshingAuth) return;
+    this.refreshingAuth = true;
 
-    // Force logout handler (single device login)
-    this.socket.on('force:logout', (data) => {
-      logger.log('🚪 Force logout received:', data);
-      this.emit('force:logout', data);
-    });
+    try {
+      logger.log('🔄 Socket auth rejected - refreshing token...');
+      await refreshAccessToken();
+      if (this.socket && !this.socket.connected) {
+        logger.log('🔌 Reconnecting socket with refreshed token...');
+        this.socket.connect();
+      }
+    } catch (error) {
+      logger.error('❌ Could not refresh token for socket:', error.message);
+      // Offline: keep the session, the next connect_error tries again.
+      // Refresh token rejected: the session is over - sign out instead of retrying forever.
+      const isNetworkFailure = error.request && !error.response;
+      if (!isNetworkFailure) {
+        await handleAuthFailure();
+      }
+    } finally {
+      this.refreshingAuth = false;
+    }
   }
 
   /**
    * Disconnect socket
+   * Registered listeners stay - connect() attaches them to the next socket
+   * (services remove their own in stop()).
    */
   disconnect() {
     if (this.socket) {
@@ -163,28 +217,49 @@ class SocketService {
       this.socket.disconnect();
       this.socket = null;
       this.isConnected = false;
-      this.listeners.clear();
     }
   }
 
   /**
    * Subscribe to a socket event
-   * @param {string} event - Event name
+   * Server payloads are validated against the event registry first -
+   * malformed payloads are dropped instead of reaching the callback.
+   *
+   * @param {string} event - Event name (see SOCKET_EVENTS)
    * @param {function} callback - Callback function
    */
   on(event, callback) {
-    if (!this.socket) {
-      logger.warn('⚠️ Socket not connected, cannot listen to:', event);
+    // Local events don't need a socket (and keep their listeners across reconnects)
+    if (isLocalEvent(event)) {
+      if (!this.localListeners.has(event)) {
+        this.localListeners.set(event, []);
+      }
+      this.localListeners.get(event).push(callback);
+
+      // Late subscribers still learn the current connection state
+      if (event === SOCKET_EVENTS.CONNECTION_STATUS && this.isConnected) {
+        callback({ connected: true });
+      }
       return;
     }
 
+    const handler = (payload, ...rest) => {
+      const errors = validatePayload(event, payload, 'incoming');
+      if (errors.length > 0) {
+        logger.error(`❌ Dropping invalid "${event}" payload:`, errors.join('; '));
+        return;
+      }
+      return callback(payload, ...rest);
+    };
+
     // Store listener for cleanup
     if (!this.listeners.has(event)) {
       this.listeners.set(event, []);
     }
-    this.listeners.get(event).push(callback);
+    this.listeners.get(event).push({ callback, handler });
 
-    this.socket.on(event, callback);
+    // Services subscribe at login, before the socket exists - connect() attaches them
+    this.socket?.on(event, handler);
   }
 
   /**
@@ -193,29 +268,72 @@ class SocketService {
    * @param {function} callback - Callback function (optional)
    */
   off(event, callback) {
-    if (!this.socket) return;
+    if (isLocalEvent(event)) {
+      if (callback) {
+        const callbacks = this.localListeners.get(event) || [];
+        this.localListeners.set(
+          event,
+          callbacks.filter((cb) => cb !== callback),
+        );
+      } else {
+        this.localListeners.delete(event);
+      }
+      return;
+    }
 
     if (callback) {
-      this.socket.off(event, callback);
-
       // Remove from listeners map
-      const callbacks = this.listeners.get(event);
-      if (callbacks) {
-        const index = callbacks.indexOf(callback);
-        if (index > -1) {
-          callbacks.splice(index, 1);
-        }
+      const entries = this.listeners.get(event) || [];
+      const entry = entries.find((e) => e.callback === callback);
+      if (entry) {
+        this.socket?.off(event, entry.handler);
+        entries.splice(entries.indexOf(entry), 1);
       }
     } else {
-      this.socket.off(event);
+      this.socket?.off(event);
       this.listeners.delete(event);
     }
   }
 
+  /**
+   * Dispatch a local event to its subscribers
+   * @param {string} event - Local event name
+   * @param {any} data - Event data
+   */
+  emitLocal(event, data) {
+    const errors = validatePayload(event, data, 'local');
+    if (errors.length > 0) {
+      logger.error(`❌ Invalid local "${event}" payload:`, errors.join('; '));
+      return;
+    }
+
+    (this.localListeners.get(event) || []).forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        logger.error(`❌ Listener for "${event}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Check outgoing payload against the registry before it goes over the wire
+   * @returns {boolean} True if the payload may be sent
+   */
+  validateOutgoing(event, data) {
+    const errors = validatePayload(event, data, 'outgoing');
+    if (errors.length > 0) {
+      logger.error(`❌ Refusing to emit invalid "${event}" payload:`, errors.join('; '));
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Emit a socket event
-   * @param {string} event - Event name
+   * @param {string} event - Event name (see SOCKET_EVENTS)
    * @param {any} data - Data to send
+   * @returns {boolean} True if the event was sent
    */
   emit(event, data) {
     if (!this.socket || !this.isConnected) {
@@ -225,41 +343,47 @@ class SocketService {
         isConnected: this.isConnected,
         socketConnected: this.socket?.connected,
       });
-      return;
+      return false;
     }
 
+    if (!this.validateOutgoing(event, data)) return false;
+
     logger.log('📡 Emitting socket event:', event, 'Data:', data);
     this.socket.emit(event, data);
+    return true;
   }
 
   /**
-   * Send a message
-   * @param {string} receiverId - Receiver user ID
-   * @param {string} text - Message text
-   * @param {string} messageType - Message type (default: 'text')
-   * @param {string} roomId - Room ID for public rooms (optional)
-   * @param {object} selfDestruct - Self destruct settings (optional)
+   * Emit a socket event and wait for the server acknowledgement
+   * @param {string} event - Event name (see SOCKET_EVENTS)
+   * @param {any} data - Data to send
+   * @param {number} timeoutMs - Reject if the server doesn't ack in time
+   * @returns {Promise<any>} Server ack response
    */
-  sendMessage(receiverId, text, messageType = 'text', roomId = null, selfDestruct = null) {
-    const messageData = {
-      text,
-      messageType,
-    };
+  emitWithAck(event, data, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      if (!this.isSocketConnected()) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
 
-    if (roomId) {
-      messageData.roomId = roomId;
-      if (receiverId) {
-        messageData.receiverId = receiverId;
+      if (!this.validateOutgoing(event, data)) {
+        const invalid = new Error(`Invalid "${event}" payload`);
+        invalid.fatal = true; // Re-sending the same payload won't fix it
+        reject(invalid);
+        return;
       }
-    } else {
-      messageData.receiverId = receiverId;
-    }
 
-    if (selfDestruct && selfDestruct.enabled) {
-      messageData.selfDestruct = selfDestruct;
-    }
+      const timeout = setTimeout(() => {
+        reject(new Error('Send timeout'));
+      }, timeoutMs);
 
-    this.emit('message:send', messageData);
+      logger.log('📡 Emitting socket event (ack):', event);
+      this.socket.emit(event, data, (response) => {
+        clearTimeout(timeout);
+        resolve(response);
+      });
+    });
   }
 
   /**
@@ -267,7 +391,7 @@ class SocketService {
    * @param {string} roomId - Room ID to join
    */
   joinRoom(roomId) {
-    this.emit('room:join', { roomId });
+    this.emit(SOCKET_EVENTS.ROOM_JOIN, { roomId });
   }
 
   /**
@@ -275,7 +399,7 @@ class SocketService {
    * @param {string} roomId - Room ID to leave
    */
   leaveRoom(roomId) {
-    this.emit('room:leave', { roomId });
+    this.emit(SOCKET_EVENTS.ROOM_LEAVE, { roomId });
   }
 
   /**
@@ -284,7 +408,7 @@ class SocketService {
    * @param {string} senderId - Sender user ID
    */
   markMessageAsRead(messageId, senderId) {
-    this.emit('message:read', {
+    this.emit(SOCKET_EVENTS.MESSAGE_READ, {
       messageId,
       senderId,
     });
@@ -295,7 +419,7 @@ class SocketService {
    * @param {string} receiverId - Receiver user ID
    */
   startTyping(receiverId) {
-    this.emit('typing:start', { receiverId });
+    this.emit(SOCKET_EVENTS.TYPING_START, { receiverId });
   }
 
   /**
@@ -303,7 +427,7 @@ class SocketService {
    * @param {string} receiverId - Receiver user ID
    */
   stopTyping(receiverId) {
-    this.emit('typing:stop', { receiverId });
+    this.emit(SOCKET_EVENTS.TYPING_STOP, { receiverId });
   }
 
   /**
@@ -312,7 +436,7 @@ class SocketService {
    * @param {string} emoji - Emoji reaction
    */
   reactToMessage(messageId, emoji) {
-    this.emit('message:react', { messageId, emoji });
+    this.emit(SOCKET_EVENTS.MESSAGE_REACT, { messageId, emoji });
   }
 
   /**
@@ -0,0 +1,510 @@
+/**
+ * Socket Event Registry
+ * Single source of truth for every socket event name and its payload shape
+ *
+ * Directions:
+ * - incoming: server → client (validated before listeners run)
+ * - outgoing: client → server (validated in SocketService.emit)
+ * - local:    raised by SocketService itself, never sent over the wire
+ *
+ * Payload specs are intentionally small (no schema library):
+ *   { type, required, fields, items, refine }
+ *   type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'id' | 'date' | 'any'
+ *         (or an array of those). 'id' = ObjectId string or populated { _id } object.
+ *   Unknown extra fields are allowed - the server may add data before we update the app.
+ */
+
+export const SOCKET_EVENTS = {
+  // Connection (local)
+  CONNECTION_STATUS: 'connection_status',
+  CONNECTION_ERROR: 'connection_error',
+  SOCKET_ERROR: 'socket_error',
+  FORCE_LOGOUT: 'force:logout',
+
+  // Chats
+  CHAT_CREATED: 'chat:created',
+  CHAT_REQUEST: 'chat:request',
+
+  // Messages
+  MESSAGE_SEND: 'message:send',
+  MESSAGE_RECEIVE: 'message:receive',
+  MESSAGE_SENT: 'message:sent',
+  MESSAGE_READ: 'message:read',
+  MESSAGE_READ_RECEIPT: 'message:read:receipt',
+  MESSAGE_DELETED: 'message:deleted',
+  MESSAGE_SELF_DESTRUCT: 'message:self-destruct',
+  MESSAGE_REACT: 'message:react',
+  MESSAGE_REACTION: 'message:reaction',
+
+  // Typing
+  TYPING_START: 'typing:start',
+  TYPING_STOP: 'typing:stop',
+
+  // Rooms
+  ROOM_JOIN: 'room:join',
+  ROOM_LEAVE: 'room:leave',
+  ROOM_MEMBERS_CHANGED: 'room:members-changed',
+
+  // Groups (rooms with a managed member list)
+  GROUP_UPDATED: 'group:updated',
+  GROUP_REMOVED: 'group:removed',
+
+  // Temp sessions
+  TEMP_SESSION_JOINED: 'temp:session:joined',
+  TEMP_SESSION_ENDED: 'temp:session:ended',
+
+  // Presence
+  ONLINE_USERS: 'online-users',
+  USER_ONLINE: 'user:online',
+  USER_OFFLINE: 'user:offline',
+
+  // E2EE
+  E2EE_INIT_SESSION: 'e2ee:init-session',
+  E2EE_SESSION_RESET: 'e2ee:session-reset',
+  E2EE_SENDER_KEY: 'e2ee:sender-key',
+  KEYS_LOW: 'keys:low',
+
+  // Linked devices
+  DEVICE_LINK_REQUEST: 'device:link-request',
+  DEVICES_CHANGED: 'devices:changed',
+};
+
+const E = SOCKET_EVENTS;
+
+// ============= SHARED SHAPES =============
+
+const ratchetHeader = {
+  type: 'object',
+  fields: {
+    senderRatchetKey: { type: 'string', required: true },
+    messageCounter: { type: 'number', required: true },
+    previousChainLength: { type: 'number' },
+  },
+};
+
+// One device's copy of an encrypted message (every device has its own ratchet)
+const deviceEnvelope = {
+  type: 'object',
+  fields: {
+    userId: { type: 'string', required: true },
+    deviceId: { type: 'string' }, // Absent for a legacy single-device user
+    encryptedText: { type: 'string', required: true },
+    ratchetHeader: { ...ratchetHeader, required: true },
+    nonce: { type: 'string', required: true },
+    initialHeader: { type: 'object' },
+  },
+};
+
+// Room messages are encrypted once with the sender's chain for the room (see senderKeys.js)
+const senderKeyHeader = {
+  type: 'object',
+  fields: {
+    keyId: { type: 'string', required: true },
+    iteration: { type: 'number', required: true },
+    signature: { type: 'string', required: true },
+  },
+};
+
+// Delivered with the copy for the receiving device in the top-level fields
+const message = {
+  type: 'object',
+  fields: {
+    _id: { type: 'string', required: true },
+    senderId: { type: 'id', required: true },
+    senderDeviceId: { type: 'string' },
+    receiverId: { type: 'id' },
+    roomId: { type: 'string' },
+    messageType: { type: 'string' },
+    text: { type: 'string' },
+    encryptedText: { type: 'string' },
+    ratchetHeader,
+    senderKeyHeader,
+    nonce: { type: 'string' },
+    initialHeader: { type: 'object' },
+    clientMessageId: { type: 'string' },
+    resendOf: { type: 'string' },
+    mediaUrl: { type: 'string' },
+    createdAt: { type: 'date' },
+    reactions: { type: 'array', items: { type: 'object' } },
+  },
+  // Encrypted messages must carry everything needed to decrypt them
+  refine: (payload) =>
+    payload.encryptedText &&
+    ((!payload.ratchetHeader && !payload.senderKeyHeader) || !payload.nonce)
+      ? 'encrypted message without ratchetHeader/senderKeyHeader/nonce'
+      : null,
+};
+
+const withUserId = { type: 'object', fields: { userId: { type: 'string', required: true } } };
+
+const withMessageId = {
+  type: 'object',
+  fields: { messageId: { type: 'string', required: true } },
+};
+
+// ============= REGISTRY =============
+
+export const EVENT_SCHEMAS = {
+  // Local
+  [E.CONNECTION_STATUS]: {
+    direction: 'local',
+    payload: {
+      type: 'object',
+      fields: { connected: { type: 'boolean', required: true }, reason: { type: 'string' } },
+    },
+  },
+  [E.CONNECTION_ERROR]: { direction: 'local', payload: { type: 'any' } },
+  [E.SOCKET_ERROR]: { direction: 'local', payload: { type: 'any' } },
+  // Sent by the server and re-raised locally on device conflicts
+  [E.FORCE_LOGOUT]: {
+    direction: 'local',
+    payload: {
+      type: 'object',
+      fields: { reason: { type: 'string' }, message: { type: 'string' } },
+    },
+  },
+
+  // Chats
+  [E.CHAT_CREATED]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: { user: { type: 'id' }, isInSecondary: { type: 'boolean' } },
+    },
+  },
+  [E.CHAT_REQUEST]: {
+    direction: 'incoming',
+    payload: { type: 'object', fields: { sender: { type: 'id' } } },
+  },
+
+  // Messages
+  [E.MESSAGE_SEND]: {
+    direction: 'outgoing',
+    payload: {
+      type: 'object',
+      fields: {
+        receiverId: { type: 'string' },
+        roomId: { type: 'string' },
+        text: { type: 'string' },
+        encryptedText: { type: 'string' },
+        ratchetHeader,
+        senderKeyHeader, // Room messages
+        nonce: { type: 'string' },
+        initialHeader: { type: 'object' },
+        // Copies for the receiver's devices and our own other devices
+        envelopes: { type: 'array', items: deviceEnvelope },
+        senderDeviceId: { type: 'string' },
+        messageType: { type: 'string', required: true },
+        tempSessionId: { type: 'string' },
+        clientMessageId: { type: 'string' },
+        resendOf: { type: 'string' },
+        selfDestruct: { type: 'object' },
+      },
+      refine: (payload) => {
+        if (!payload.receiverId && !payload.roomId) return 'receiverId or roomId is required';
+        if (!payload.text && !payload.encryptedText && !payload.envelopes?.length) {
+          return 'text, encryptedText or envelopes is required';
+        }
+        return null;
+      },
+    },
+  },
+  [E.MESSAGE_RECEIVE]: { direction: 'incoming', payload: message },
+  [E.MESSAGE_SENT]: { direction: 'incoming', payload: message },
+  [E.MESSAGE_READ]: {
+    direction: 'outgoing',
+    payload: {
+      type: 'object',
+      fields: {
+        messageId: { type: 'string', required: true },
+        senderId: { type: 'string', required: true },
+      },
+    },
+  },
+  [E.MESSAGE_READ_RECEIPT]: { direction: 'incoming', payload: withMessageId },
+  [E.MESSAGE_DELETED]: { direction: 'incoming', payload: withMessageId },
+  [E.MESSAGE_SELF_DESTRUCT]: { direction: 'incoming', payload: withMessageId },
+  [E.MESSAGE_REACT]: {
+    direction: 'outgoing',
+    payload: {
+      type: 'object',
+      fields: {
+        messageId: { type: 'string', required: true },
+        emoji: { type: 'string', required: true },
+      },
+    },
+  },
+  [E.MESSAGE_REACTION]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: {
+        messageId: { type: 'string', required: true },
+        userId: { type: 'string' },
+        emoji: { type: 'string', required: true },
+      },
+    },
+  },
+
+  // Typing (receiverId going out, userId coming in)
+  [E.TYPING_START]: {
+    direction: 'both',
+    payload: {
+      type: 'object',
+      fields: { receiverId: { type: 'string' }, userId: { type: 'string' } },
+    },
+  },
+  [E.TYPING_STOP]: {
+    direction: 'both',
+    payload: {
+      type: 'object',
+      fields: { receiverId: { type: 'string' }, userId: { type: 'string' } },
+    },
+  },
+
+  // Rooms
+  [E.ROOM_JOIN]: {
+    direction: 'outgoing',
+    payload: { type: 'object', fields: { roomId: { type: 'string', required: true } } },
+  },
+  [E.ROOM_LEAVE]: {
+    direction: 'outgoing',
+    payload: { type: 'object', fields: { roomId: { type: 'string', required: true } } },
+  },
+  // Someone joined or left - the next room message goes out under a new sender key
+  [E.ROOM_MEMBERS_CHANGED]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: {
+        roomId: { type: 'string', required: true },
+        members: { type: 'array', items: { type: 'id' } }, // Absent: fetch the list again
+      },
+    },
+  },
+
+  // Groups
+  // Created, renamed, new avatar, members added/removed, roles changed (sent to all members)
+  [E.GROUP_UPDATED]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: {
+        group: {
+          type: 'object',
+          required: true,
+          fields: {
+            _id: { type: 'string', required: true },
+            name: { type: 'string' },
+            avatarId: { type: 'number' },
+            members: {
+              type: 'array',
+              items: {
+                type: 'object',
+                fields: { user: { type: 'id', required: true }, role: { type: 'string' } },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  // We are no longer a member (removed by an admin, left on another device, group deleted)
+  [E.GROUP_REMOVED]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: {
+        groupId: { type: 'string', required: true },
+        reason: { type: 'string' }, // 'removed' | 'left' | 'deleted'
+      },
+    },
+  },
+
+  // Temp sessions
+  [E.TEMP_SESSION_JOINED]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: {
+        sessionId: { type: 'string', required: true },
+        participantId: { type: 'string', required: true },
+        alias: { type: 'string' },
+      },
+    },
+  },
+  [E.TEMP_SESSION_ENDED]: {
+    direction: 'incoming',
+    payload: { type: 'object', fields: { sessionId: { type: 'string', required: true } } },
+  },
+
+  // Presence
+  [E.ONLINE_USERS]: {
+    direction: 'incoming',
+    payload: { type: 'array', items: { type: 'string' } },
+  },
+  [E.USER_ONLINE]: { direction: 'incoming', payload: withUserId },
+  [E.USER_OFFLINE]: { direction: 'incoming', payload: withUserId },
+
+  // E2EE
+  [E.E2EE_INIT_SESSION]: {
+    direction: 'both',
+    payload: {
+      type: 'object',
+      fields: {
+        receiverId: { type: 'string' },
+        senderId: { type: 'string' },
+        header: { type: 'object', required: true },
+      },
+    },
+  },
+  // Encrypted control message: "I rebuilt our session, resend these messages"
+  [E.E2EE_SESSION_RESET]: {
+    direction: 'both',
+    payload: {
+      type: 'object',
+      fields: {
+        receiverId: { type: 'string' },
+        receiverDeviceId: { type: 'string' },
+        senderId: { type: 'id' },
+        senderDeviceId: { type: 'string' },
+        initialHeader: { type: 'object', required: true },
+        encryptedText: { type: 'string', required: true },
+        ratchetHeader: { ...ratchetHeader, required: true },
+        nonce: { type: 'string', required: true },
+      },
+    },
+  },
+  // A member's sender key for a room, encrypted over the pairwise session with each device
+  // (outgoing: one envelope per device; incoming: the copy for this device, top-level)
+  [E.E2EE_SENDER_KEY]: {
+    direction: 'both',
+    payload: {
+      type: 'object',
+      fields: {
+        roomId: { type: 'string', required: true },
+        senderId: { type: 'id' },
+        senderDeviceId: { type: 'string' },
+        envelopes: { type: 'array', items: deviceEnvelope },
+        encryptedText: { type: 'string' },
+        ratchetHeader,
+        nonce: { type: 'string' },
+        initialHeader: { type: 'object' },
+      },
+      refine: (payload) =>
+        !payload.envelopes?.length && (!payload.encryptedText || !payload.ratchetHeader)
+          ? 'envelopes or encryptedText/ratchetHeader is required'
+          : null,
+    },
+  },
+  // Server hint: our one-time prekeys are running out
+  [E.KEYS_LOW]: {
+    direction: 'incoming',
+    payload: { type: 'object', fields: { count: { type: 'number' } } },
+  },
+
+  // Linked devices
+  // A new device scanned our link QR code and waits for approval
+  [E.DEVICE_LINK_REQUEST]: {
+    direction: 'incoming',
+    payload: {
+      type: 'object',
+      fields: {
+        linkId: { type: 'string', required: true },
+        deviceId: { type: 'string', required: true },
+        deviceName: { type: 'string' },
+        ephemeralKey: { type: 'string', required: true },
+      },
+    },
+  },
+  // A user linked or unlinked a device - their device list must be fetched again
+  [E.DEVICES_CHANGED]: {
+    direction: 'incoming',
+    payload: { type: 'object', fields: { userId: { type: 'string', required: true } } },
+  },
+};
+
+// ============= VALIDATION =============
+
+const isType = (value, type) => {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'id':
+      return (
+        typeof value === 'string' ||
+        (typeof value === 'object' && value !== null && typeof value._id === 'string')
+      );
+    case 'date':
+      return (
+        (typeof value === 'string' || typeof value === 'number' || value instanceof Date) &&
+        !Number.isNaN(new Date(value).getTime())
+      );
+    default:
+      return typeof value === type;
+  }
+};
+
+const validateValue = (value, spec, path, errors) => {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.some((type) => isType(value, type))) {
+    errors.push(
+      `${path}: expected ${types.join(' | ')}, got ${value === null ? 'null' : typeof value}`,
+    );
+    return;
+  }
+
+  if (spec.fields && isType(value, 'object')) {
+    Object.entries(spec.fields).forEach(([field, fieldSpec]) => {
+      const fieldValue = value[field];
+      if (fieldValue === undefined || fieldValue === null) {
+        if (fieldSpec.required) errors.push(`${path}.${field}: required`);
+        return;
+      }
+      validateValue(fieldValue, fieldSpec, `${path}.${field}`, errors);
+    });
+  }
+
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateValue(item, spec.items, `${path}[${index}]`, errors));
+  }
+
+  if (spec.refine && errors.length === 0) {
+    const refineError = spec.refine(value);
+    if (refineError) errors.push(`${path}: ${refineError}`);
+  }
+};
+
+/**
+ * Check if an event is raised locally by SocketService (never sent over the wire)
+ */
+export const isLocalEvent = (event) => EVENT_SCHEMAS[event]?.direction === 'local';
+
+/**
+ * Validate an event payload against the registry
+ *
+ * @param {string} event - Event name (see SOCKET_EVENTS)
+ * @param {any} payload - Payload to check
+ * @param {'incoming'|'outgoing'|'local'} direction - Which way the payload travels
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export const validatePayload = (event, payload, direction) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return [`unknown event "${event}"`];
+  }
+
+  if (schema.direction !== 'both' && schema.direction !== direction) {
+    return [`event "${event}" is ${schema.direction}, not ${direction}`];
+  }
+
+  const errors = [];
+  validateValue(payload, schema.payload, 'payload', errors);
+  return errors;
+};
+
+export default SOCKET_EVENTS;
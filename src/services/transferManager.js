@@ -0,0 +1,370 @@
+/**
+ * Transfer Manager
+ * Tracks encrypted media uploads and downloads - bytes done, cancel, resume
+ *
+ * - Uploads go to the server in chunks, one encrypted media chunk per request. After a
+ *   network drop the server is asked which chunks it already has and the upload goes on
+ *   from there.
+ * - Downloads continue where they stopped with an HTTP range request
+ *   (createDownloadResumable).
+ * - Network errors are retried with backoff. A transfer that still fails stays 'failed'
+ *   and can be retried later (retry) from its last chunk.
+ *
+ * Every transfer has an ID chosen by the caller (the temp message ID for uploads, the
+ * message ID for downloads) so message bubbles can show its progress.
+ * Stages before/after the network part (encrypt, decrypt) report through update().
+ */
+
+import { File } from 'expo-file-system';
+import * as LegacyFileSystem from 'expo-file-system/legacy';
+import { chatService } from './chatService';
+import logger from '../utils/logger';
+
+const MAX_ATTEMPTS = 5; // Per network drop, before the transfer is marked failed
+const RETRY_BASE_DELAY = 1000; // Doubles with every attempt
+
+export const TRANSFER_STATUS = {
+  ACTIVE: 'active',
+  FAILED: 'failed',
+};
+
+/**
+ * Thrown to whoever awaits a transfer that was cancelled
+ */
+export class TransferCancelledError extends Error {
+  constructor() {
+    super('Transfer cancelled');
+    this.name = 'TransferCancelledError';
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether an error is worth another attempt - network drops, not server rejections
+ */
+const isRetryable = (error) => {
+  if (error?.fatal || error instanceof TransferCancelledError) return false;
+  if (error?.isAxiosError) return !error.response;
+  return error instanceof Error;
+};
+
+class TransferManager {
+  constructor() {
+    this.transfers = new Map(); // id -> { id, direction, stage, bytes, totalBytes, status, error }
+    this.jobs = new Map(); // id -> internal state (uploadId, download task, cancel flag)
+    this.listeners = new Set();
+  }
+
+  // ============= STATE =============
+
+  /**
+   * Follow all transfers
+   * @param {function} listener - (transfers: { [id]: transfer }) => void, called right away
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getAll());
+    return () => this.listeners.delete(listener);
+  }
+
+  getAll() {
+    return Object.fromEntries(this.transfers);
+  }
+
+  get(id) {
+    return this.transfers.get(id) || null;
+  }
+
+  notify() {
+    const transfers = this.getAll();
+    this.listeners.forEach((listener) => listener(transfers));
+  }
+
+  /**
+   * Start tracking a transfer, or move a tracked one to its next stage
+   * @param {string} id - Transfer ID
+   * @param {object} state - { direction: 'upload'|'download', stage, totalBytes }
+   */
+  track(id, { direction, stage, totalBytes = 0 }) {
+    const existing = this.transfers.get(id);
+    this.transfers.set(id, {
+      id,
+      direction: direction || existing?.direction,
+      stage,
+      bytes: 0,
+      totalBytes,
+      status: TRANSFER_STATUS.ACTIVE,
+      error: null,
+    });
+    if (!this.jobs.has(id)) {
+      this.jobs.set(id, { cancelled: false });
+    }
+    this.notify();
+  }
+
+  /**
+   * Report progress of the current stage
+   */
+  update(id, patch) {
+    const transfer = this.transfers.get(id);
+    if (!transfer) return;
+    this.transfers.set(id, { ...transfer, ...patch });
+    this.notify();
+  }
+
+  /**
+   * Transfer done - it stops being tracked
+   */
+  finish(id) {
+    const job = this.jobs.get(id);
+    if (job?.temporaryFileUri) this.deleteFile(job.temporaryFileUri);
+    this.jobs.delete(id);
+    this.transfers.delete(id);
+    this.notify();
+  }
+
+  /**
+   * Transfer gave up - keep what was sent/received so retry() continues from there
+   */
+  fail(id, error) {
+    this.update(id, {
+      status: TRANSFER_STATUS.FAILED,
+      error: error?.message || 'Transfer failed',
+    });
+  }
+
+  /**
+   * Throws if the transfer was cancelled meanwhile (check between chunks)
+   * - cancel() stops tracking right away, so an untracked ID counts as cancelled
+   */
+  throwIfCancelled(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.cancelled) {
+      throw new TransferCancelledError();
+    }
+  }
+
+  // ============= UPLOADS =============
+
+  /**
+   * Upload an encrypted file in chunks and turn it into a message
+   *
+   * @param {string} id - Transfer ID
+   * @param {object} upload
+   * @param {string} upload.fileUri - Encrypted file (deleted once uploaded or cancelled)
+   * @param {number} upload.chunkSize - Bytes per uploaded chunk
+   * @param {object} upload.fields - Message fields sent when completing the upload
+   * @returns {Promise<object>} The created message
+   */
+  async upload(id, { fileUri, chunkSize, fields }) {
+    const totalBytes = new File(fileUri).size;
+    this.track(id, { direction: 'upload', stage: 'upload', totalBytes });
+    Object.assign(this.jobs.get(id), {
+      fileUri,
+      chunkSize,
+      fields,
+      totalBytes,
+      temporaryFileUri: fileUri,
+      uploadId: null,
+    });
+    return await this.runUpload(id);
+  }
+
+  async runUpload(id) {
+    const job = this.jobs.get(id);
+    try {
+      const message = await this.withRetries(id, () => this.sendChunks(id, job));
+      this.finish(id);
+      return message;
+    } catch (error) {
+      this.handleFailure(id, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send every chunk the server doesn't have yet, then complete the upload
+   */
+  async sendChunks(id, job) {
+    const chunkCount = Math.max(Math.ceil(job.totalBytes / job.chunkSize), 1);
+    const chunkLength = (index) => Math.min(job.chunkSize, job.totalBytes - index * job.chunkSize);
+
+    let received = [];
+    if (job.uploadId) {
+      // Resuming - the server tells which chunks arrived before the drop
+      received = (await chatService.getUpload(job.uploadId)).receivedChunks || [];
+    } else {
+      const upload = await chatService.createUpload({
+        size: job.totalBytes,
+        chunkSize: job.chunkSize,
+        chunkCount,
+      });
+      job.uploadId = upload.uploadId;
+      received = upload.receivedChunks || [];
+    }
+
+    const receivedChunks = new Set(received);
+    let bytesDone = [...receivedChunks].reduce((sum, index) => sum + chunkLength(index), 0);
+    this.update(id, { bytes: bytesDone, stage: 'upload' });
+
+    const reader = new File(job.fileUri).open();
+    try {
+      for (let index = 0; index < chunkCount; index++) {
+        if (receivedChunks.has(index)) continue;
+        this.throwIfCancelled(id);
+
+        reader.offset = index * job.chunkSize;
+        const chunk = reader.readBytes(chunkLength(index));
+
+        job.controller = new AbortController();
+        const chunkStart = bytesDone;
+        await chatService.uploadChunk(job.uploadId, index, chunk, {
+          signal: job.controller.signal,
+          onUploadProgress: ({ loaded }) => this.update(id, { bytes: chunkStart + loaded }),
+        });
+
+        bytesDone += chunk.length;
+        this.update(id, { bytes: bytesDone });
+      }
+    } finally {
+      reader.close();
+      job.controller = null;
+    }
+
+    this.throwIfCancelled(id);
+    return await chatService.completeUpload(job.uploadId, job.fields);
+  }
+
+  // ============= DOWNLOADS =============
+
+  /**
+   * Download a file to disk - a failed download with the same ID continues where it stopped
+   *
+   * @param {string} id - Transfer ID
+   * @param {object} download - { url, destinationUri }
+   * @returns {Promise<string>} destinationUri
+   */
+  async download(id, { url, destinationUri }) {
+    const job = this.jobs.get(id);
+    if (job?.resumable && job.url === url) {
+      this.update(id, { status: TRANSFER_STATUS.ACTIVE, error: null, stage: 'download' });
+    } else {
+      this.track(id, { direction: 'download', stage: 'download' });
+      Object.assign(this.jobs.get(id), { url, destinationUri, resumable: null });
+    }
+    return await this.runDownload(id);
+  }
+
+  async runDownload(id) {
+    const job = this.jobs.get(id);
+    try {
+      await this.withRetries(id, async () => {
+        let result;
+        if (!job.resumable) {
+          job.resumable = LegacyFileSystem.createDownloadResumable(
+            job.url,
+            job.destinationUri,
+            {},
+            ({ totalBytesWritten, totalBytesExpectedToWrite }) =>
+              this.update(id, { bytes: totalBytesWritten, totalBytes: totalBytesExpectedToWrite }),
+          );
+          result = await job.resumable.downloadAsync();
+        } else {
+          result = await job.resumable.resumeAsync();
+        }
+
+        this.throwIfCancelled(id);
+        if (!result || result.status < 200 || result.status >= 300) {
+          const error = new Error(`Download failed (HTTP ${result?.status ?? 'no response'})`);
+          error.fatal = !!result; // The server answered - asking again won't help
+          throw error;
+        }
+      });
+      return job.destinationUri;
+    } catch (error) {
+      this.handleFailure(id, error);
+      throw error;
+    }
+  }
+
+  // ============= CANCEL / RETRY =============
+
+  /**
+   * Cancel a transfer - whoever awaits it gets a TransferCancelledError
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    job.cancelled = true;
+    job.controller?.abort();
+    if (job.resumable) {
+      await job.resumable.pauseAsync().catch(() => {});
+      this.deleteFile(job.destinationUri);
+    }
+    if (job.uploadId) {
+      chatService
+        .cancelUpload(job.uploadId)
+        .catch((error) => logger.warn('⚠️ Failed to cancel upload on server:', error.message));
+    }
+
+    this.finish(id);
+    logger.log('🛑 Transfer cancelled:', id);
+  }
+
+  /**
+   * Continue a failed upload from its last chunk
+   * (downloads resume by calling download() again with the same ID)
+   * @returns {Promise<object>} The created message
+   */
+  async retry(id) {
+    const transfer = this.transfers.get(id);
+    const job = this.jobs.get(id);
+    if (!transfer || !job?.fileUri || transfer.status !== TRANSFER_STATUS.FAILED) {
+      throw new Error('Nothing to retry');
+    }
+
+    this.update(id, { status: TRANSFER_STATUS.ACTIVE, error: null });
+    return await this.runUpload(id);
+  }
+
+  // ============= HELPERS =============
+
+  /**
+   * Run `attempt` again after network drops (with backoff) until it works or gives up
+   */
+  async withRetries(id, attempt) {
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        this.throwIfCancelled(id);
+        if (!isRetryable(error) || attemptNumber >= MAX_ATTEMPTS) throw error;
+
+        const delay = RETRY_BASE_DELAY * 2 ** (attemptNumber - 1);
+        logger.warn(`⚠️ Transfer ${id} interrupted, retrying in ${delay}ms:`, error.message);
+        await sleep(delay);
+        this.throwIfCancelled(id);
+      }
+    }
+  }
+
+  handleFailure(id, error) {
+    if (error instanceof TransferCancelledError || !this.transfers.has(id)) return;
+    logger.error(`❌ Transfer ${id} failed:`, error?.message || error);
+    this.fail(id, error);
+  }
+
+  deleteFile(uri) {
+    try {
+      const file = new File(uri);
+      if (file.exists) file.delete();
+    } catch (error) {
+      logger.warn('⚠️ Failed to delete transfer file:', error.message);
+    }
+  }
+}
+
+export default new TransferManager();
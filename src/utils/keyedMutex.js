@@ -0,0 +1,53 @@
+/**
+ * Keyed Mutex
+ * Runs async tasks one at a time per key (in call order); different keys run concurrently
+ *
+ * Usage:
+ * const locks = new KeyedMutex();
+ * await locks.run(sessionId, async () => { read state → change it → write it back });
+ *
+ * Not reentrant - a task must not call run() with its own key, it would wait for itself.
+ */
+
+export class KeyedMutex {
+  constructor() {
+    this.tails = new Map(); // key -> Promise that resolves when the last queued task is done
+  }
+
+  /**
+   * Run a task once every earlier task for the same key has finished
+   * @param {string} key - Lock key
+   * @param {function} task - async () => result
+   * @returns {Promise<any>} The task's result (or its error)
+   */
+  async run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+
+    let release;
+    const done = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => done);
+    this.tails.set(key, tail);
+
+    try {
+      await previous;
+      return await task();
+    } finally {
+      release();
+      // Last one out cleans up, so idle keys don't pile up
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check if a task is running or queued for a key
+   */
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+export default KeyedMutex;